@@ -0,0 +1,411 @@
+/**
+ * Engagement analytics
+ * Opt-in and cookie-less. Nothing is recorded until the visitor allows it
+ * from the consent banner, and visitors who send Do Not Track or Global
+ * Privacy Control never see the banner and are never tracked. The choice is
+ * kept in localStorage; the footer gets a button to change it.
+ *
+ * Once allowed, it records:
+ *
+ *   page_view          every page, with the referring site (never its path)
+ *   experience_open    a homepage tile followed (slug, position, image or button)
+ *   scroll_depth       25, 50, 75 and 100% of the page, each once
+ *   gallery_open       the image modal opening (gallery, image id), then
+ *   gallery_browse     every other image shown before it closes
+ *   video_play, video_pause, video_complete
+ *                      from LazyVideoLoader's video:* events (video, position)
+ *   contact_click      email, phone, LinkedIn and résumé links
+ *
+ * Events are sent in batches to a sink: any object with send(batch). The
+ * default posts JSON with sendBeacon to the endpoint the page sets with
+ * data-analytics-endpoint on <body>. Without a sink there is nothing to send
+ * to, so there is no banner and nothing is recorded.
+ * tools/collect-analytics.mjs stands in for a server locally:
+ *
+ *   localStorage.setItem('analytics-endpoint', 'http://localhost:8788/events');
+ */
+
+import { t } from './i18n.js';
+import { readEndpoint } from './endpoints.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const ANALYTICS_DEFAULTS = {
+    // Where batches are POSTed; empty (and no sink) turns analytics off
+    endpoint: '',
+    maxBatch: 10,
+    // Send what is queued at least this often (ms) while the page is open
+    flushInterval: 15000
+};
+
+const CONSENT_KEY = 'analytics-consent';
+const ENDPOINT_KEY = 'analytics-endpoint';
+const SESSION_KEY = 'analytics-session';
+const SCROLL_MILESTONES = [25, 50, 75, 100];
+
+export const CONSENT_GRANTED = 'granted';
+export const CONSENT_DENIED = 'denied';
+
+// =============================================================================
+// CONSENT
+// =============================================================================
+
+/**
+ * Whether the browser asks not to be tracked (Do Not Track or Global Privacy Control)
+ */
+export function isDoNotTrack() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+/**
+ * The visitor's choice, or null before they made one
+ */
+export function getConsent() {
+    try {
+        const value = localStorage.getItem(CONSENT_KEY);
+        return value === CONSENT_GRANTED || value === CONSENT_DENIED ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+export function saveConsent(value) {
+    try {
+        localStorage.setItem(CONSENT_KEY, value);
+    } catch {
+        // Applies to this page only; the banner comes back on the next one
+    }
+}
+
+// =============================================================================
+// SINKS
+// =============================================================================
+
+/**
+ * Sink that posts each batch as JSON to `endpoint`
+ */
+export function beaconSink(endpoint) {
+    return {
+        send(batch) {
+            // text/plain keeps the request CORS-simple, so a collector on another origin needs no preflight
+            const body = new Blob([JSON.stringify(batch)], { type: 'text/plain' });
+            if (navigator.sendBeacon?.(endpoint, body)) return;
+
+            fetch(endpoint, { method: 'POST', body, keepalive: true, mode: 'no-cors' }).catch(error => {
+                console.warn('Could not send analytics events:', error.message);
+            });
+        }
+    };
+}
+
+// =============================================================================
+// ANALYTICS
+// =============================================================================
+
+/**
+ * Analytics Handler
+ * Options: `sink` (overrides the endpoint), plus any of ANALYTICS_DEFAULTS
+ */
+export class Analytics {
+    constructor(options = {}) {
+        this.config = { ...ANALYTICS_DEFAULTS, ...options };
+        this.sink = options.sink || defaultSink(this.config.endpoint);
+        this.enabled = false;
+        this.queue = [];
+        this.banner = null;
+        this.settingsButton = null;
+        this.timer = null;
+        this.controller = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.sink || isDoNotTrack()) return;
+
+        this.addSettingsButton();
+
+        const consent = getConsent();
+        if (consent === CONSENT_GRANTED) {
+            this.start();
+        } else if (consent === null) {
+            this.showBanner();
+        }
+    }
+
+    /**
+     * Record the visitor's choice and start or stop tracking accordingly
+     */
+    setConsent(value) {
+        saveConsent(value);
+        this.hideBanner();
+
+        if (value === CONSENT_GRANTED) {
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+
+    start() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.controller = new AbortController();
+
+        this.listen(this.controller.signal);
+        this.timer = setInterval(() => this.flush(), this.config.flushInterval);
+        this.track('page_view', { referrer: referringSite() });
+    }
+
+    stop() {
+        if (!this.enabled) return;
+        this.enabled = false;
+
+        // Whatever was queued was recorded with consent; send it, then nothing more
+        this.flush();
+        this.controller.abort();
+        clearInterval(this.timer);
+    }
+
+    // =========================================================================
+    // EVENTS
+    // =========================================================================
+
+    listen(signal) {
+        const options = { signal };
+
+        document.addEventListener('click', (e) => this.onClick(e), options);
+
+        const modal = document.getElementById('imageModal');
+        if (modal) {
+            let open = false;
+            modal.addEventListener('gallery:open', (e) => {
+                this.track(open ? 'gallery_browse' : 'gallery_open', { gallery: e.detail.gallery, image: e.detail.id });
+                open = true;
+            }, options);
+            modal.addEventListener('gallery:close', () => {
+                open = false;
+            }, options);
+        }
+
+        document.addEventListener('video:play', (e) => this.trackVideo('video_play', e), options);
+        document.addEventListener('video:pause', (e) => {
+            // Browsers pause a video that ends; that is reported as the completion
+            if (!e.target.ended) this.trackVideo('video_pause', e);
+        }, options);
+        document.addEventListener('video:ended', (e) => this.trackVideo('video_complete', e), options);
+
+        this.trackScrollDepth(signal);
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        }, options);
+        window.addEventListener('pagehide', () => this.flush(), options);
+    }
+
+    onClick(e) {
+        const link = e.target.closest('a[href]');
+        if (!link) return;
+
+        const tile = link.closest('.experience-item[data-experience]');
+        if (tile) {
+            const tiles = [...document.querySelectorAll('.experience-item[data-experience]')];
+            this.track('experience_open', {
+                experience: tile.dataset.experience,
+                position: tiles.indexOf(tile) + 1,
+                via: link.classList.contains('experience-image-link') ? 'image' : 'button'
+            });
+            return;
+        }
+
+        const channel = contactChannel(link);
+        if (channel) this.track('contact_click', { channel });
+    }
+
+    trackVideo(name, e) {
+        const { src, currentTime, duration } = e.detail;
+        this.track(name, {
+            video: new URL(src, document.baseURI).pathname,
+            position: Math.round(currentTime),
+            ...(duration ? { percent: Math.round((currentTime / duration) * 100) } : {})
+        });
+    }
+
+    trackScrollDepth(signal) {
+        const reached = new Set();
+        let scheduled = false;
+
+        const measure = () => {
+            scheduled = false;
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            const depth = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+
+            SCROLL_MILESTONES.forEach(milestone => {
+                if (depth >= milestone && !reached.has(milestone)) {
+                    reached.add(milestone);
+                    this.track('scroll_depth', { percent: milestone });
+                }
+            });
+        };
+
+        window.addEventListener('scroll', () => {
+            if (scheduled) return;
+            scheduled = true;
+            requestAnimationFrame(measure);
+        }, { signal, passive: true });
+    }
+
+    track(name, properties = {}) {
+        if (!this.enabled) return;
+
+        this.queue.push({
+            event: name,
+            page: location.pathname,
+            lang: document.documentElement.lang,
+            time: Date.now(),
+            ...properties
+        });
+
+        if (this.queue.length >= this.config.maxBatch) this.flush();
+    }
+
+    // =========================================================================
+    // SENDING
+    // =========================================================================
+
+    flush() {
+        if (!this.queue.length) return;
+        this.sink.send({ session: sessionId(), events: this.queue.splice(0) });
+    }
+
+    // =========================================================================
+    // CONSENT UI
+    // =========================================================================
+
+    showBanner() {
+        if (this.banner) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', t('analytics.label'));
+
+        const text = document.createElement('p');
+        text.className = 'consent-text';
+        text.textContent = t('analytics.text');
+
+        const actions = document.createElement('div');
+        actions.className = 'consent-actions';
+        actions.append(
+            this.createConsentButton(t('analytics.allow'), CONSENT_GRANTED, 'consent-allow'),
+            this.createConsentButton(t('analytics.deny'), CONSENT_DENIED, 'consent-deny')
+        );
+
+        banner.append(text, actions);
+        document.body.appendChild(banner);
+        this.banner = banner;
+    }
+
+    hideBanner() {
+        if (!this.banner) return;
+
+        // Keep keyboard users where they were instead of dropping focus on <body>
+        const hadFocus = this.banner.contains(document.activeElement);
+        this.banner.remove();
+        this.banner = null;
+        if (hadFocus) this.settingsButton?.focus();
+    }
+
+    createConsentButton(label, value, className) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = className;
+        button.textContent = label;
+        button.addEventListener('click', () => this.setConsent(value));
+        return button;
+    }
+
+    /**
+     * A footer button that brings the banner back, so a choice can be changed
+     */
+    addSettingsButton() {
+        const container = document.querySelector('footer .container');
+        if (!container) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'consent-settings';
+        button.textContent = t('analytics.settings');
+        button.addEventListener('click', () => {
+            this.showBanner();
+            this.banner.querySelector('button').focus();
+        });
+
+        container.appendChild(button);
+        this.settingsButton = button;
+    }
+
+    destroy() {
+        this.stop();
+        this.hideBanner();
+        this.settingsButton?.remove();
+    }
+}
+
+/**
+ * Start the consent flow (and tracking, once allowed) for this page
+ */
+export function initializeAnalytics(options) {
+    return new Analytics(options);
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * A beacon sink for the configured endpoint, or null without one
+ */
+function defaultSink(configured) {
+    const endpoint = readEndpoint(ENDPOINT_KEY, configured);
+    return endpoint ? beaconSink(endpoint) : null;
+}
+
+/**
+ * Random id for this tab's visit, so events from one visit can be grouped;
+ * gone when the tab closes
+ */
+function sessionId() {
+    try {
+        let id = sessionStorage.getItem(SESSION_KEY);
+        if (!id) {
+            id = crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            sessionStorage.setItem(SESSION_KEY, id);
+        }
+        return id;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * The host of an external referrer, "internal" for another page of the site
+ */
+function referringSite() {
+    if (!document.referrer) return null;
+
+    const referrer = new URL(document.referrer);
+    return referrer.origin === location.origin ? 'internal' : referrer.hostname;
+}
+
+function contactChannel(link) {
+    const href = link.getAttribute('href');
+
+    if (href.startsWith('mailto:')) return 'email';
+    if (href.startsWith('tel:')) return 'phone';
+    if (/\.pdf$/i.test(link.pathname) || link.hasAttribute('data-resume-viewer')) return 'resume';
+    if (/(^|\.)linkedin\.com$/i.test(link.hostname)) return 'linkedin';
+    return null;
+}
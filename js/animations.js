@@ -0,0 +1,15 @@
+/**
+ * Scroll-triggered entrance animations
+ * Case study cards and badges fade in as they scroll into view; see
+ * js/motion.js, which skips them when motion is reduced, paused or off.
+ */
+
+import { revealOnScroll } from './motion.js';
+
+/**
+ * Scroll-triggered animations for elements; `options` are those of
+ * revealOnScroll (animation class, stagger in ms)
+ */
+export function initializeScrollAnimations(selector = '.result-card, .challenge-card, .tech-badge', options = {}) {
+    return revealOnScroll(document.querySelectorAll(selector), options);
+}
@@ -0,0 +1,294 @@
+/**
+ * Unified asset loader
+ * One loading path for gallery images, badge logos, homepage images and
+ * videos: per-asset timeouts, retries with exponential backoff, a readiness
+ * promise per element, and a shared error state with a retry button.
+ *
+ *   await loadAsset(img);               // load data-src into the element
+ *   await whenAssetReady(video);        // wait for whoever loads it
+ *   showAssetError(wrapper, { message, onRetry });
+ *   if (await isAssetCached(img)) revealWithoutTransition(wrapper, show);
+ */
+
+import { isResponsiveImage, activateResponsiveSources, responsiveCandidates } from './responsive-image.js';
+import { isCached } from './service-worker.js';
+import { t } from './i18n.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const DEFAULT_LOAD_OPTIONS = {
+    retries: 3,
+    baseDelay: 500,
+    maxDelay: 8000,
+    timeout: 15000
+};
+
+// Videos have to buffer their first frame, which takes longer than an image
+const VIDEO_TIMEOUT = 30000;
+
+/**
+ * Rejection reason once every attempt for an asset has failed
+ */
+export class AssetLoadError extends Error {
+    constructor(src, attempts, cause) {
+        super(`Failed to load ${src} after ${attempts} attempt(s): ${cause.message}`);
+        this.name = 'AssetLoadError';
+        this.src = src;
+        this.attempts = attempts;
+        this.cause = cause;
+    }
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+const readiness = new WeakMap();
+
+/**
+ * Load an <img> or <video> from `options.src` (default: its data-src).
+ * Resolves with the element once it has loaded, rejects with an
+ * AssetLoadError after the last retry. Calls for an element that is already
+ * loading or loaded share the same promise.
+ *
+ * Videos can pass `start(video, fail)` to attach their source themselves
+ * (e.g. a MediaSource stream); the attempt still completes on `loadeddata`,
+ * and `fail(error)` ends it early.
+ *
+ * The element then fires a bubbling `assetload` or `asseterror` event whose
+ * detail is { kind, src, duration, attempts } (plus `error`, the last
+ * failure's message), which js/performance.js reports.
+ */
+export function loadAsset(element, options = {}) {
+    const entry = readinessFor(element);
+    if (entry.state !== 'idle') return entry.promise;
+
+    const settings = {
+        ...DEFAULT_LOAD_OPTIONS,
+        timeout: element.tagName === 'VIDEO' ? VIDEO_TIMEOUT : DEFAULT_LOAD_OPTIONS.timeout,
+        ...options
+    };
+    const src = settings.src || element.dataset.src;
+
+    const startedAt = performance.now();
+    const report = (type, detail) => {
+        element.dispatchEvent(new CustomEvent(type, {
+            bubbles: true,
+            detail: { kind: element.tagName.toLowerCase(), src, duration: performance.now() - startedAt, ...detail }
+        }));
+    };
+
+    entry.state = 'loading';
+    loadWithRetry(element, src, settings).then(attempts => {
+        entry.state = 'loaded';
+        entry.resolve(element);
+        report('assetload', { attempts });
+    }, error => {
+        entry.state = 'failed';
+        entry.reject(error);
+        report('asseterror', { attempts: error.attempts, error: error.cause.message });
+    });
+
+    return entry.promise;
+}
+
+/**
+ * Promise for the element's current or next load, whoever starts it.
+ * After a failure the next loadAsset() call starts a fresh promise.
+ */
+export function whenAssetReady(element) {
+    return readinessFor(element).promise;
+}
+
+function readinessFor(element) {
+    let entry = readiness.get(element);
+
+    if (!entry || entry.state === 'failed') {
+        entry = { state: 'idle' };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        readiness.set(element, entry);
+    }
+
+    return entry;
+}
+
+async function loadWithRetry(element, src, settings) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await attemptLoad(element, src, settings);
+            return attempt + 1;
+        } catch (error) {
+            if (attempt >= settings.retries) {
+                throw new AssetLoadError(src, attempt + 1, error);
+            }
+
+            const delay = Math.min(settings.baseDelay * 2 ** attempt, settings.maxDelay);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+function attemptLoad(element, src, { timeout, start }) {
+    let stop = () => {};
+    let timer;
+
+    const load = new Promise((resolve, reject) => {
+        stop = startLoad(element, src, start, resolve, reject);
+    });
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms`)), timeout);
+    });
+
+    return Promise.race([load, timedOut]).finally(() => {
+        clearTimeout(timer);
+        stop();
+    });
+}
+
+/**
+ * Start one attempt; returns a function that detaches its listeners
+ */
+function startLoad(element, src, start, resolve, reject) {
+    const fail = () => reject(new Error('network or decode error'));
+
+    if (element.tagName === 'VIDEO') {
+        // Load into the element itself so the file is only fetched once
+        return listen(element, 'loadeddata', resolve, fail, () => {
+            if (start) {
+                start(element, error => reject(error || new Error('stream error')));
+                return;
+            }
+
+            element.preload = 'auto';
+            if (element.getAttribute('src') === src) {
+                element.load();
+            } else {
+                element.src = src;
+            }
+        });
+    }
+
+    if (isResponsiveImage(element)) {
+        // <picture> candidates load in place behind the blur-up placeholder
+        return listen(element, 'load', resolve, fail, () => activateResponsiveSources(element, src));
+    }
+
+    // Plain images load off-DOM so the placeholder stays until they are complete
+    const probe = new Image();
+    probe.onload = () => {
+        element.src = src;
+        resolve();
+    };
+    probe.onerror = fail;
+    probe.src = src;
+
+    return () => {
+        probe.onload = probe.onerror = null;
+    };
+}
+
+function listen(element, loadEvent, onLoad, onError, start) {
+    element.addEventListener(loadEvent, onLoad);
+    element.addEventListener('error', onError);
+    start();
+
+    return () => {
+        element.removeEventListener(loadEvent, onLoad);
+        element.removeEventListener('error', onError);
+    };
+}
+
+// =============================================================================
+// CACHED ASSETS
+// =============================================================================
+
+/**
+ * Whether the service worker already has the asset (for a responsive image,
+ * any of its candidates), so it will appear as soon as it is requested
+ */
+export function isAssetCached(element, src = element.dataset.src) {
+    const candidates = isResponsiveImage(element) ? responsiveCandidates(element) : [];
+    return isCached([src, ...candidates].filter(Boolean));
+}
+
+/**
+ * Run `reveal` (which switches `container` to its loaded state) with the
+ * loading transitions turned off for a frame, for assets shown from the
+ * cache. See .is-cached in css/runtime.css.
+ */
+export function revealWithoutTransition(container, reveal) {
+    container.classList.add('is-cached');
+    reveal();
+    requestAnimationFrame(() => requestAnimationFrame(() => container.classList.remove('is-cached')));
+}
+
+// =============================================================================
+// ERROR STATE
+// =============================================================================
+
+// Containers whose retry button was used, so a repeated failure gets focus back
+const retriedContainers = new WeakSet();
+
+/**
+ * Show the shared error state inside `container` (which should be
+ * positioned). `label` names the asset for the retry button's accessible name.
+ */
+export function showAssetError(container, { message = t('asset.error'), label = '', onRetry } = {}) {
+    clearAssetError(container);
+
+    const error = document.createElement('div');
+    error.className = 'asset-error';
+    error.setAttribute('role', 'alert');
+
+    const icon = document.createElement('span');
+    icon.className = 'asset-error-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = '⚠';
+
+    const text = document.createElement('p');
+    text.className = 'asset-error-message';
+    text.textContent = message;
+
+    error.append(icon, text);
+
+    if (onRetry) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'asset-error-retry';
+        button.textContent = t('asset.retry');
+        if (label) button.setAttribute('aria-label', t('asset.retryLabel', { label }));
+
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            retriedContainers.add(container);
+            clearAssetError(container);
+            onRetry();
+        });
+
+        error.appendChild(button);
+    }
+
+    container.classList.add('has-asset-error');
+    container.appendChild(error);
+
+    if (onRetry && retriedContainers.has(container)) {
+        retriedContainers.delete(container);
+        error.querySelector('.asset-error-retry').focus();
+    }
+
+    return error;
+}
+
+/**
+ * Remove the error state from `container`, if any
+ */
+export function clearAssetError(container) {
+    container.querySelector(':scope > .asset-error')?.remove();
+    container.classList.remove('has-asset-error');
+}
@@ -0,0 +1,384 @@
+/**
+ * Command palette
+ * Ctrl+K (⌘K on macOS) on any page opens a list of things to do, filtered
+ * as you type:
+ *
+ *   - go to a section of this page (the navbar links and numbered sections)
+ *   - go to another case study (from the site search index)
+ *   - open the résumé, in the viewer where the page has one
+ *   - switch the theme, as the navbar toggle does
+ *   - copy the email address or phone number from the page's contact links
+ *   - list the keyboard shortcuts (ShortcutHelp)
+ *   - search the site for what was typed (SiteSearch)
+ *
+ * Commands are collected each time the palette opens, so they always match
+ * what the page has. Matching is the site search's: forgiving about
+ * prefixes and typos, with the command title counting double.
+ */
+
+import { t } from './i18n.js';
+import { tokenize, scoreEntry } from './site-search.js';
+import { registerShortcut } from './shortcuts.js';
+import { scrollBehavior } from './motion.js';
+import { THEMES } from './theme.js';
+import { setBackgroundInert } from './dialog.js';
+
+// The HTML résumé sits at the site root, one level above this module
+const RESUME_URL = new URL('../resume/', import.meta.url);
+// Long enough to read "Copied" before the palette closes
+const COPIED_DELAY = 900;
+
+const OVERLAY_TEMPLATE = `
+    <div class="search-dialog" role="dialog" aria-modal="true" aria-label="${t('palette.dialog')}">
+        <div class="search-field">
+            <input type="text" class="search-input" role="combobox" aria-label="${t('palette.input')}"
+                aria-expanded="false" aria-controls="paletteCommands" aria-autocomplete="list"
+                placeholder="${t('palette.placeholder')}" autocomplete="off" spellcheck="false">
+            <button type="button" class="search-close" aria-label="${t('palette.close')}">Esc</button>
+        </div>
+        <p class="search-status" role="status" aria-live="polite"></p>
+        <ul class="search-results" id="paletteCommands" role="listbox" aria-label="${t('palette.commands')}"></ul>
+    </div>`;
+
+/**
+ * Command Palette Handler
+ * `search` (a SiteSearch) supplies the case studies and the search command,
+ * `help` (a ShortcutHelp) the shortcut list; without them those commands
+ * are left out.
+ */
+export class CommandPalette {
+    constructor({ search = null, help = null } = {}) {
+        this.search = search;
+        this.help = help;
+        this.overlay = null;
+        this.commands = [];
+        this.results = [];
+        this.activeIndex = -1;
+        this.restoreBackground = null;
+        this.returnFocus = null;
+        this.closeTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        registerShortcut({
+            keys: 'Mod+K',
+            group: t('shortcuts.scope.global'),
+            label: t('shortcuts.palette'),
+            allowInInputs: true,
+            handler: () => this.open()
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.overlay && !this.overlay.hidden);
+    }
+
+    open() {
+        if (!this.overlay) this.createOverlay();
+
+        if (!this.isOpen()) {
+            this.returnFocus = document.activeElement;
+            this.overlay.hidden = false;
+            document.body.classList.add('palette-open');
+            this.restoreBackground = setBackgroundInert(this.overlay);
+        }
+
+        clearTimeout(this.closeTimer);
+        this.input.value = '';
+        this.input.focus();
+        this.setStatus('');
+        this.collect();
+
+        // Case studies come from the search index, fetched the first time
+        this.search?.loadIndex().then(() => {
+            if (this.isOpen()) this.collect();
+        }, () => {});
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        clearTimeout(this.closeTimer);
+        this.overlay.hidden = true;
+        document.body.classList.remove('palette-open');
+        this.restoreBackground?.();
+        this.restoreBackground = null;
+        this.returnFocus?.focus?.();
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'search-overlay command-palette';
+        this.overlay.hidden = true;
+        this.overlay.innerHTML = OVERLAY_TEMPLATE;
+        document.body.appendChild(this.overlay);
+
+        this.input = this.overlay.querySelector('.search-input');
+        this.status = this.overlay.querySelector('.search-status');
+        this.list = this.overlay.querySelector('.search-results');
+        this.closeBtn = this.overlay.querySelector('.search-close');
+
+        this.input.addEventListener('input', () => this.filter());
+        this.closeBtn.addEventListener('click', () => this.close());
+
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('[role="option"]');
+            if (item) this.run(this.results[Number(item.dataset.index)]);
+        });
+
+        this.list.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('[role="option"]');
+            if (item) this.setActive(Number(item.dataset.index));
+        });
+
+        // Page shortcuts must not see keys typed here
+        this.overlay.addEventListener('keydown', (e) => {
+            this.onKeydown(e);
+            e.stopPropagation();
+        });
+    }
+
+    onKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+        } else if (e.key === 'Enter' && e.target === this.input) {
+            e.preventDefault();
+            const command = this.results[Math.max(this.activeIndex, 0)];
+            if (command) this.run(command);
+        } else if (e.key === 'Tab') {
+            // Only the field and the close button take focus; commands are reached with the arrows
+            e.preventDefault();
+            (document.activeElement === this.input ? this.closeBtn : this.input).focus();
+        } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    // =========================================================================
+    // COMMANDS
+    // =========================================================================
+
+    /**
+     * Gather the commands the page offers right now, then filter them
+     */
+    collect() {
+        this.commands = [
+            ...this.sectionCommands(),
+            ...this.experienceCommands(),
+            ...this.actionCommands()
+        ].map(command => ({
+            ...command,
+            titleWords: new Set(tokenize(command.title)),
+            textWords: new Set(tokenize(`${command.group} ${command.keywords || ''}`))
+        }));
+
+        this.filter();
+    }
+
+    sectionCommands() {
+        const group = t('palette.sections');
+
+        return [...document.querySelectorAll('section[id]')].map(section => {
+            const title = sectionTitle(section);
+            return title && {
+                title,
+                group,
+                run: () => {
+                    history.pushState(history.state, '', `#${section.id}`);
+                    section.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+                }
+            };
+        }).filter(Boolean);
+    }
+
+    experienceCommands() {
+        const group = t('palette.experiences');
+        const entries = this.search?.entries || [];
+
+        // The index has one entry without a section link per case study
+        return entries.filter(entry => !entry.url.includes('#')).map(entry => {
+            const url = new URL(entry.url, this.search.indexUrl);
+            return url.pathname !== location.pathname && {
+                title: entry.title,
+                group,
+                keywords: entry.text,
+                run: () => {
+                    location.href = url.href;
+                }
+            };
+        }).filter(Boolean);
+    }
+
+    actionCommands() {
+        const group = t('palette.actions');
+        const commands = [];
+        const resume = document.querySelector('[data-resume-viewer]');
+        const theme = document.querySelector('[data-theme-toggle]');
+        const email = document.querySelector('a[href^="mailto:"]');
+        const phone = document.querySelector('a[href^="tel:"]');
+
+        commands.push({
+            title: t('palette.resume'),
+            group,
+            keywords: 'cv pdf',
+            // The trigger opens the viewer, or follows its link on narrow screens
+            run: () => (resume ? resume.click() : location.assign(RESUME_URL.href))
+        });
+
+        if (theme) {
+            commands.push({
+                title: t('palette.theme'),
+                group,
+                keywords: `${theme.getAttribute('aria-label')} ${THEMES.map(name => t(`theme.${name}`)).join(' ')}`,
+                run: () => theme.click()
+            });
+        }
+
+        if (email) {
+            const address = decodeURIComponent(email.getAttribute('href').slice('mailto:'.length).split('?')[0]).trim();
+            commands.push({ title: t('palette.copyEmail'), group, keywords: address, copy: address });
+        }
+
+        if (phone) {
+            const number = phone.getAttribute('href').slice('tel:'.length).trim();
+            commands.push({ title: t('palette.copyPhone'), group, keywords: number, copy: number });
+        }
+
+        if (this.help) {
+            commands.push({ title: t('palette.shortcuts'), group, keywords: '?', run: () => this.help.open() });
+        }
+
+        return commands;
+    }
+
+    /**
+     * Filter by what was typed; "Search the site for …" always comes last
+     */
+    filter() {
+        const query = this.input.value.trim();
+        const terms = tokenize(query);
+
+        this.results = terms.length === 0 ? [...this.commands] : this.commands
+            .map(command => ({ command, match: scoreEntry(command, terms) }))
+            .filter(result => result.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .map(result => result.command);
+
+        if (query && this.search) {
+            this.results.push({
+                title: t('palette.searchFor', { query }),
+                group: t('palette.actions'),
+                run: () => this.search.open(query)
+            });
+        }
+
+        this.renderResults();
+        this.setStatus(this.results.length === 0 ? t('palette.none', { query }) : '');
+    }
+
+    renderResults() {
+        this.list.replaceChildren(...this.results.map((command, index) => {
+            const item = document.createElement('li');
+            item.id = `palette-command-${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            item.dataset.index = index;
+
+            const body = document.createElement('span');
+            body.className = 'search-result';
+
+            const title = document.createElement('span');
+            title.className = 'search-result-title';
+            title.textContent = command.title;
+
+            const context = document.createElement('span');
+            context.className = 'search-result-context';
+            context.textContent = command.group;
+
+            body.append(title, context);
+            item.appendChild(body);
+            return item;
+        }));
+
+        this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+        this.setActive(this.results.length ? 0 : -1);
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+
+        [...this.list.children].forEach((item, i) => {
+            item.setAttribute('aria-selected', String(i === index));
+            item.classList.toggle('active', i === index);
+        });
+
+        const active = this.list.children[index];
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    /**
+     * Close, then run the command, so a dialog it opens takes over focus
+     * from where the palette was opened
+     */
+    run(command) {
+        if (command.copy) {
+            this.copy(command.copy);
+            return;
+        }
+
+        this.close();
+        command.run();
+    }
+
+    copy(text) {
+        const copied = navigator.clipboard?.writeText(text) ?? Promise.reject(new Error('Clipboard unavailable'));
+
+        copied.then(() => {
+            this.setStatus(t('palette.copied', { text }));
+            this.closeTimer = setTimeout(() => this.close(), COPIED_DELAY);
+        }, () => {
+            // Leave it on screen to copy by hand
+            this.setStatus(t('palette.copyFailed', { text }));
+        });
+    }
+}
+
+/**
+ * What to call a section: its navbar link, else its heading without the
+ * section number
+ */
+function sectionTitle(section) {
+    const link = document.querySelector(`.nav-link[href="#${CSS.escape(section.id)}"]`);
+    if (link) return link.textContent.trim();
+
+    const heading = section.querySelector('h2, h3');
+    if (!heading) return '';
+
+    return [...heading.childNodes]
+        .filter(node => !node.classList?.contains('section-number'))
+        .map(node => node.textContent)
+        .join('')
+        .trim();
+}
@@ -0,0 +1,365 @@
+/**
+ * Contact form
+ * Enhances the homepage's <form data-contact-form>. The form ships hidden
+ * and is only shown once there is somewhere to send it (see below); until
+ * then the section's plain email link is the way to get in touch.
+ *
+ *   - validation with inline errors tied to each field (aria-invalid,
+ *     aria-describedby); the first invalid field gets focus on submit
+ *   - spam protection: a hidden honeypot field and a time trap (forms sent
+ *     within minFillTime of the page showing them) are silently dropped
+ *   - rate limiting: maxMessages per rateWindow and minInterval between
+ *     messages, remembered in localStorage
+ *   - sending, sent and failed states in a live region; a failed message can
+ *     be retried as it was, a sent one followed by another
+ *
+ * Delivery goes through a submit adapter: an object with
+ * `submit(message, { signal })` that resolves once the message is accepted
+ * and rejects with a ContactFormError otherwise. The form picks one by its
+ * data-adapter ("json" for a serverless function, "formspree" for
+ * Formspree-style services) and data-endpoint, and stays hidden with no
+ * endpoint. tools/mock-contact.mjs is a local endpoint to test against:
+ *
+ *   localStorage.setItem('contact-endpoint', 'http://localhost:8789/contact');
+ */
+
+import { t } from './i18n.js';
+import { readEndpoint } from './endpoints.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const CONTACT_DEFAULTS = {
+    minFillTime: 3000,
+    maxMessages: 3,
+    rateWindow: 60 * 60 * 1000,
+    minInterval: 30 * 1000,
+    timeout: 15000
+};
+
+const ENDPOINT_STORAGE_KEY = 'contact-endpoint';
+const SENT_STORAGE_KEY = 'contact-sent';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// =============================================================================
+// ADAPTERS
+// =============================================================================
+
+/**
+ * Rejection reason of a submit adapter; `retryable` is false when sending
+ * the same message again can't help (e.g. the service rejected its content)
+ */
+export class ContactFormError extends Error {
+    constructor(message, { retryable = true, status = null } = {}) {
+        super(message);
+        this.name = 'ContactFormError';
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
+
+/**
+ * POST the message as JSON; any 2xx response means it was accepted
+ */
+export function jsonAdapter(endpoint) {
+    return {
+        async submit(message, { signal }) {
+            const response = await post(endpoint, message, signal);
+            if (!response.ok) throw httpError(response);
+        }
+    };
+}
+
+/**
+ * Formspree-style services: JSON in, { ok } or { errors: [{ message }] } out
+ */
+export function formspreeAdapter(endpoint) {
+    return {
+        async submit({ name, email, message, page }, { signal }) {
+            const response = await post(endpoint, { name, email, message, page, _subject: `Portfolio message from ${name}` }, signal);
+            if (response.ok) return;
+
+            const body = await response.json().catch(() => ({}));
+            const reason = body.errors?.map(error => error.message).join(', ');
+            throw reason ? new ContactFormError(reason, { retryable: response.status >= 500, status: response.status }) : httpError(response);
+        }
+    };
+}
+
+export const ADAPTERS = {
+    json: jsonAdapter,
+    formspree: formspreeAdapter
+};
+
+async function post(endpoint, body, signal) {
+    try {
+        return await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        });
+    } catch (error) {
+        throw new ContactFormError(signal.aborted ? 'timed out' : error.message);
+    }
+}
+
+function httpError(response) {
+    // Client errors other than rate limiting won't go away on a retry
+    const retryable = response.status >= 500 || response.status === 429;
+    return new ContactFormError(`HTTP ${response.status}`, { retryable, status: response.status });
+}
+
+// =============================================================================
+// FORM
+// =============================================================================
+
+/**
+ * Contact Form Handler
+ * Options: `adapter` (overrides data-adapter/data-endpoint), plus any of CONTACT_DEFAULTS
+ */
+export class ContactForm {
+    constructor(form = document.querySelector('[data-contact-form]'), options = {}) {
+        this.form = form;
+        this.config = { ...CONTACT_DEFAULTS, ...options };
+        this.adapter = options.adapter || null;
+        this.shownAt = Date.now();
+        this.submitted = false;
+        this.pending = null;
+        this.controller = null;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.form) return;
+
+        // Nowhere to send it: the form stays hidden rather than pretend to send
+        this.adapter = this.adapter || this.createAdapter();
+        if (!this.adapter) return;
+
+        this.form.hidden = false;
+        this.fields = ['name', 'email', 'message'].map(name => this.form.elements[name]).filter(Boolean);
+        this.honeypot = this.form.elements.website;
+        this.submitButton = this.form.querySelector('.form-submit');
+        this.status = this.form.querySelector('.form-status');
+
+        this.fields.forEach(field => {
+            const error = document.createElement('p');
+            error.className = 'form-error';
+            error.id = `${field.id}-error`;
+            error.hidden = true;
+            field.after(error);
+            field.setAttribute('aria-describedby', error.id);
+
+            // Errors appear after the first submit, then follow the visitor's corrections
+            field.addEventListener('input', () => {
+                if (this.submitted) this.showFieldError(field, this.validateField(field));
+            });
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        this.status.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-contact-action]')?.dataset.contactAction;
+            if (action === 'retry') this.send(this.pending);
+            if (action === 'reset') this.reset();
+        });
+    }
+
+    /**
+     * The adapter for data-adapter and data-endpoint, or null without an endpoint
+     */
+    createAdapter() {
+        const { endpoint, adapter = 'json' } = this.form.dataset;
+        const url = readEndpoint(ENDPOINT_STORAGE_KEY, endpoint?.trim());
+
+        if (!url) return null;
+        if (!ADAPTERS[adapter]) {
+            console.warn(`Unknown contact form adapter "${adapter}", using "json"`);
+            return jsonAdapter(url);
+        }
+        return ADAPTERS[adapter](url);
+    }
+
+    // =========================================================================
+    // VALIDATION
+    // =========================================================================
+
+    /**
+     * The error message for a field, or '' when it is valid
+     */
+    validateField(field) {
+        const value = field.value.trim();
+
+        if (!value) return t('contact.required');
+        if (field.type === 'email' && !EMAIL_PATTERN.test(value)) return t('contact.invalidEmail');
+        if (field.minLength > 0 && value.length < field.minLength) return t('contact.tooShort', { min: field.minLength });
+        if (field.maxLength > 0 && value.length > field.maxLength) return t('contact.tooLong', { max: field.maxLength });
+        return '';
+    }
+
+    showFieldError(field, message) {
+        const error = document.getElementById(`${field.id}-error`);
+        error.textContent = message;
+        error.hidden = !message;
+        field.toggleAttribute('aria-invalid', Boolean(message));
+    }
+
+    /**
+     * Validate every field; focuses the first invalid one
+     */
+    validate() {
+        let firstInvalid = null;
+
+        this.fields.forEach(field => {
+            const message = this.validateField(field);
+            this.showFieldError(field, message);
+            if (message && !firstInvalid) firstInvalid = field;
+        });
+
+        firstInvalid?.focus();
+        return !firstInvalid;
+    }
+
+    // =========================================================================
+    // SUBMITTING
+    // =========================================================================
+
+    submit() {
+        if (this.form.dataset.state === 'sending') return;
+        this.submitted = true;
+
+        if (!this.validate()) return;
+
+        // Bots fill every field and submit at once; they get the success state and nothing is sent
+        if (this.honeypot?.value || Date.now() - this.shownAt < this.config.minFillTime) {
+            console.warn('Contact form submission dropped as spam');
+            this.setState('sent', t('contact.sent'), { action: 'reset', label: t('contact.sendAnother') });
+            return;
+        }
+
+        const wait = this.rateLimitWait();
+        if (wait > 0) {
+            this.setState('failed', t('contact.rateLimited', { count: Math.ceil(wait / 60000) }));
+            return;
+        }
+
+        this.send({
+            name: this.form.elements.name.value.trim(),
+            email: this.form.elements.email.value.trim(),
+            message: this.form.elements.message.value.trim(),
+            page: location.href,
+            lang: document.documentElement.lang
+        });
+    }
+
+    async send(message) {
+        this.pending = message;
+        this.setState('sending', t('contact.sending'));
+
+        this.controller = new AbortController();
+        const timer = setTimeout(() => this.controller.abort(), this.config.timeout);
+
+        try {
+            await this.adapter.submit(message, { signal: this.controller.signal });
+            this.recordSent();
+            this.setState('sent', t('contact.sent'), { action: 'reset', label: t('contact.sendAnother') });
+        } catch (error) {
+            console.error('Contact form delivery failed:', error.message);
+            const retryable = error.retryable !== false;
+            this.setState('failed', t(retryable ? 'contact.failed' : 'contact.rejected'),
+                retryable ? { action: 'retry', label: t('contact.retry') } : null);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    reset() {
+        this.form.reset();
+        this.submitted = false;
+        this.pending = null;
+        this.fields.forEach(field => this.showFieldError(field, ''));
+        this.setState('idle', '');
+        this.fields[0]?.focus();
+    }
+
+    /**
+     * Show a state in the live region, with an optional { action, label } button
+     */
+    setState(state, text, button = null) {
+        const sending = state === 'sending';
+        this.form.dataset.state = state;
+        this.form.setAttribute('aria-busy', String(sending));
+        this.submitButton.disabled = sending;
+
+        this.status.replaceChildren();
+        if (!text) return;
+
+        const message = document.createElement('p');
+        message.className = 'form-status-message';
+        message.textContent = text;
+        this.status.appendChild(message);
+
+        // The section's email link is the way in when sending fails
+        const mailto = this.form.closest('section')?.querySelector('a[href^="mailto:"]');
+        if (state === 'failed' && mailto) {
+            const fallback = document.createElement('p');
+            fallback.className = 'form-status-fallback';
+            fallback.append(`${t('contact.emailInstead')} `);
+            const link = document.createElement('a');
+            link.href = mailto.getAttribute('href');
+            link.textContent = link.href.replace(/^mailto:/, '');
+            fallback.appendChild(link);
+            this.status.appendChild(fallback);
+        }
+
+        if (button) {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = 'form-status-action';
+            element.dataset.contactAction = button.action;
+            element.textContent = button.label;
+            this.status.appendChild(element);
+            element.focus();
+        }
+    }
+
+    // =========================================================================
+    // RATE LIMITING
+    // =========================================================================
+
+    sentTimes() {
+        try {
+            const times = JSON.parse(localStorage.getItem(SENT_STORAGE_KEY)) || [];
+            return times.filter(time => Date.now() - time < this.config.rateWindow);
+        } catch {
+            return [];
+        }
+    }
+
+    recordSent() {
+        try {
+            localStorage.setItem(SENT_STORAGE_KEY, JSON.stringify([...this.sentTimes(), Date.now()]));
+        } catch {
+            // Not remembered; the server's own limits still apply
+        }
+    }
+
+    /**
+     * Milliseconds until another message may be sent, 0 if it can go now
+     */
+    rateLimitWait() {
+        const times = this.sentTimes();
+        if (!times.length) return 0;
+
+        const sinceLast = Date.now() - Math.max(...times);
+        const intervalWait = this.config.minInterval - sinceLast;
+        const windowWait = times.length >= this.config.maxMessages ? this.config.rateWindow - (Date.now() - Math.min(...times)) : 0;
+        return Math.max(intervalWait, windowWait, 0);
+    }
+}
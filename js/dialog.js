@@ -0,0 +1,121 @@
+/**
+ * Dialog helpers
+ * Shared by the overlays that take over the page: the image modal, the
+ * résumé viewer, site search, the shortcut list and the command palette.
+ *
+ *   const restore = setBackgroundInert(overlay);   // on open
+ *   restore();                                     // on close
+ *
+ *   dialog.addEventListener('keydown', e => e.key === 'Tab' && trapFocus(e, dialog));
+ *
+ * ModalShell is the full-screen .modal both viewers are built on.
+ */
+
+export const FOCUSABLE_SELECTOR = 'button:not(:disabled), [href]:not([hidden]), input:not(:disabled), [tabindex]:not([tabindex="-1"])';
+
+// The .modal fade in styles.css
+const MODAL_FADE_MS = 300;
+
+const openShells = new Set();
+
+/**
+ * Hide everything in <body> outside `dialog` from assistive technology and
+ * the tab order; returns a function that undoes it. Elements that were
+ * already inert stay inert.
+ */
+export function setBackgroundInert(dialog) {
+    const elements = [...document.body.children]
+        .filter(el => el !== dialog && !el.inert && el.tagName !== 'SCRIPT');
+
+    elements.forEach(el => {
+        el.inert = true;
+    });
+
+    return () => elements.forEach(el => {
+        el.inert = false;
+    });
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling through the visible controls of `dialog`;
+ * call it from a keydown handler for Tab
+ */
+export function trapFocus(e, dialog) {
+    const focusable = [...dialog.querySelectorAll(FOCUSABLE_SELECTOR)]
+        .filter(el => el.offsetParent !== null);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const outside = !dialog.contains(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || outside)) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || outside)) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// =============================================================================
+// MODAL SHELL
+// =============================================================================
+
+/**
+ * Modal Shell
+ * Shows and hides a .modal element (styles.css) with its fade. While one is
+ * open <body> has .modal-open, which hides the page's scrollbar and puts
+ * js/shortcuts.js in its "modal" scope; the rest of the page is inert and
+ * Tab stays inside. What the modal shows, and where focus goes when it
+ * closes, is up to its owner.
+ */
+export class ModalShell {
+    constructor(element) {
+        this.element = element;
+        this.opened = false;
+        this.hideTimer = null;
+        this.restoreBackground = null;
+
+        document.addEventListener('keydown', (e) => {
+            if (this.opened && e.key === 'Tab') trapFocus(e, this.element);
+        });
+    }
+
+    isOpen() {
+        return this.opened;
+    }
+
+    /**
+     * Show the modal and move focus to `focusTarget`
+     */
+    open(focusTarget) {
+        if (this.opened) return;
+
+        this.opened = true;
+        openShells.add(this);
+        clearTimeout(this.hideTimer);
+        this.element.style.display = 'flex';
+        setTimeout(() => this.element.classList.add('show'), 10);
+        document.body.classList.add('modal-open');
+
+        this.restoreBackground = setBackgroundInert(this.element);
+        focusTarget?.focus();
+    }
+
+    close() {
+        if (!this.opened) return;
+
+        this.opened = false;
+        openShells.delete(this);
+        this.element.classList.remove('show');
+        this.restoreBackground?.();
+        this.restoreBackground = null;
+
+        this.hideTimer = setTimeout(() => {
+            this.element.style.display = 'none';
+            // Another modal may have opened during the fade
+            if (openShells.size === 0) document.body.classList.remove('modal-open');
+        }, MODAL_FADE_MS);
+    }
+}
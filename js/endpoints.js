@@ -0,0 +1,23 @@
+/**
+ * Collector endpoints
+ * Performance metrics, analytics events and contact messages go to the
+ * endpoint the page configures. A developer can point one browser at a
+ * local collector instead, without a deploy:
+ *
+ *   localStorage.setItem('performance-endpoint', 'http://localhost:8787/collect');
+ *   localStorage.setItem('analytics-endpoint', 'http://localhost:8788/events');
+ *   localStorage.setItem('contact-endpoint', 'http://localhost:8789/contact');
+ */
+
+/**
+ * The endpoint stored under `storageKey`, else `configured` (which may be
+ * empty: nothing configured)
+ */
+export function readEndpoint(storageKey, configured = '') {
+    try {
+        return localStorage.getItem(storageKey) || configured || '';
+    } catch {
+        // Storage blocked: use the configured endpoint
+        return configured || '';
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Experience page runtime
+ * Shared entry point for every case study under experiences/<Name>/ and
+ * the résumé page (resume/).
+ *
+ * Pages opt in with a single module script and describe what they contain
+ * through data attributes on <body>:
+ *
+ *   <body data-video data-badge>
+ *   <script type="module" src="../../js/experience-page.js"></script>
+ *
+ * A bare attribute (or any value other than "false") enables a feature,
+ * data-<feature>="false" disables one that is on by default.
+ * data-animations="false" turns all decorative motion off (js/motion.js);
+ * data-shortcuts="false" leaves out "G", the "?" list and the Ctrl+K
+ * command palette (js/shortcuts.js).
+ */
+
+import { onReady } from './utils.js';
+import { LazyImageLoader, initializeBadgeLoader } from './lazy-loading.js';
+import { LazyVideoLoader } from './video-loader.js';
+import { ImageModal } from './image-modal.js';
+import { GalleryHistory } from './gallery-history.js';
+import { SiteSearch } from './site-search.js';
+import { ThemeToggle } from './theme.js';
+import { LanguageSwitcher } from './i18n.js';
+import { initializeScrollAnimations } from './animations.js';
+import { MotionController } from './motion.js';
+import { initializeSmoothScroll, initializeKeyboardShortcuts } from './navigation.js';
+import { initializePerformanceMonitoring } from './performance.js';
+import { registerServiceWorker } from './service-worker.js';
+import { initializeAnalytics } from './analytics.js';
+import { ResumeViewer } from './resume-viewer.js';
+import { ShortcutHelp } from './shortcuts.js';
+import { CommandPalette } from './command-palette.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const DEFAULT_CONFIG = {
+    badge: false,
+    video: false,
+    resume: false,
+    gallery: true,
+    search: true,
+    animations: true,
+    shortcuts: true,
+    performance: true,
+    offline: true,
+    analytics: true,
+    // Where js/performance.js and js/analytics.js send their batches
+    // (data-performance-endpoint, data-analytics-endpoint); none turns them off
+    performanceEndpoint: '',
+    analyticsEndpoint: ''
+};
+
+/**
+ * Read the page configuration from data attributes on the given element:
+ * switches are on unless set to "false", text settings are taken as written
+ */
+export function readPageConfig(element = document.body) {
+    const config = { ...DEFAULT_CONFIG };
+
+    Object.keys(config).forEach(key => {
+        if (!(key in element.dataset)) return;
+
+        config[key] = typeof config[key] === 'string'
+            ? element.dataset[key].trim()
+            : element.dataset[key] !== 'false';
+    });
+
+    return config;
+}
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+/**
+ * Initialize every runtime system enabled by the config
+ */
+export function initExperiencePage(config = readPageConfig()) {
+    const page = { config };
+
+    // The theme itself is applied before first paint by theme-init.js
+    page.themeToggle = new ThemeToggle();
+    page.languageSwitcher = new LanguageSwitcher();
+
+    // Initialize UI systems
+    if (config.gallery) {
+        page.imageModal = new ImageModal();
+        page.galleryHistory = new GalleryHistory(page.imageModal);
+    }
+
+    if (config.search) {
+        page.siteSearch = new SiteSearch();
+    }
+
+    if (config.resume) {
+        page.resumeViewer = new ResumeViewer();
+    }
+
+    page.motion = new MotionController();
+
+    // Initialize lazy loading systems
+    page.lazyImageLoader = new LazyImageLoader();
+
+    if (config.badge) {
+        initializeBadgeLoader();
+    }
+
+    if (config.video) {
+        page.lazyVideoLoader = new LazyVideoLoader();
+    }
+
+    if (config.animations) {
+        initializeScrollAnimations();
+    } else {
+        page.motion.disable();
+    }
+
+    initializeSmoothScroll();
+
+    // Initialize utilities; the gallery, video and résumé keys come with those components
+    if (config.shortcuts) {
+        initializeKeyboardShortcuts();
+        page.shortcutHelp = new ShortcutHelp();
+        page.commandPalette = new CommandPalette({ search: page.siteSearch, help: page.shortcutHelp });
+    }
+
+    if (config.performance) {
+        page.performanceMonitor = initializePerformanceMonitoring({ endpoint: config.performanceEndpoint });
+    }
+
+    if (config.offline) {
+        registerServiceWorker();
+    }
+
+    if (config.analytics) {
+        page.analytics = initializeAnalytics({ endpoint: config.analyticsEndpoint });
+    }
+
+    return page;
+}
+
+onReady(() => {
+    const page = initExperiencePage();
+
+    // Globals kept for console debugging and older inline callers
+    window.portfolioPage = page;
+    window.imageModal = page.imageModal;
+    window.lazyVideoLoader = page.lazyVideoLoader;
+    window.siteSearch = page.siteSearch;
+    window.initializeModal = () => page.imageModal?.reinitialize();
+});
@@ -0,0 +1,97 @@
+/**
+ * Deep links for the gallery modal
+ * Every image shown in the modal gets its own history entry
+ * (#gallery/<id>, e.g. #gallery/cfd-simulation), so a link opens the page
+ * straight on that image and Back/Forward step through the opened images
+ * before leaving the page. Closing the modal returns to the URL the page
+ * had before the gallery was opened.
+ */
+
+export const GALLERY_HASH_PREFIX = '#gallery/';
+
+/**
+ * Gallery id in a URL hash, or null when the hash is not a gallery link
+ */
+export function parseGalleryHash(hash) {
+    if (!hash.startsWith(GALLERY_HASH_PREFIX)) return null;
+
+    try {
+        return decodeURIComponent(hash.slice(GALLERY_HASH_PREFIX.length)) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Gallery History
+ * Keeps an ImageModal and the URL in sync
+ */
+export class GalleryHistory {
+    constructor(imageModal) {
+        this.imageModal = imageModal;
+        this.applying = false;
+        this.returnUrl = null;
+
+        if (!imageModal.modal) return;
+
+        this.init();
+    }
+
+    init() {
+        const { modal } = this.imageModal;
+
+        modal.addEventListener('gallery:open', (e) => this.push(e.detail.id));
+        modal.addEventListener('gallery:close', () => this.push(null));
+        window.addEventListener('popstate', () => this.apply());
+
+        // Restore a shared link
+        this.apply();
+    }
+
+    /**
+     * Record the modal state the user just navigated to
+     */
+    push(id) {
+        if (this.applying) return;
+
+        const current = parseGalleryHash(location.hash);
+        if (current === id) return;
+
+        if (id) {
+            if (current === null) this.returnUrl = currentUrl();
+            history.pushState({ gallery: id }, '', GALLERY_HASH_PREFIX + encodeURIComponent(id));
+        } else {
+            history.pushState(null, '', this.returnUrl || location.pathname + location.search);
+        }
+    }
+
+    /**
+     * Open or close the modal to match the current URL
+     */
+    apply() {
+        const id = parseGalleryHash(location.hash);
+        this.applying = true;
+
+        try {
+            if (id === null) {
+                this.imageModal.closeModal();
+                return;
+            }
+
+            const match = this.imageModal.findImage(id);
+            if (!match) {
+                console.warn(`No gallery image "${id}" on this page`);
+                return;
+            }
+
+            if (!this.imageModal.opened) this.returnUrl = location.pathname + location.search;
+            this.imageModal.open(match.gallery, match.index);
+        } finally {
+            this.applying = false;
+        }
+    }
+}
+
+function currentUrl() {
+    return location.pathname + location.search + location.hash;
+}
@@ -0,0 +1,158 @@
+/**
+ * Internationalization
+ * Pages are built once per language by tools/build-pages.mjs (/, /ru/,
+ * /ja/), so a page's language is its <html lang>. This module translates
+ * the text scripts add at runtime from the catalogs in js/locales/, and
+ * manages the navbar language links:
+ *
+ *   - a click on one remembers the choice in localStorage
+ *   - arriving from another site on a page in a different language than the
+ *     remembered one goes to the remembered language
+ *   - with no choice yet, a first visit to the English site goes to the
+ *     first of navigator.languages the site has
+ */
+
+import { messages as en } from './locales/en.js';
+import { messages as ru } from './locales/ru.js';
+import { messages as ja } from './locales/ja.js';
+
+export const LOCALES = ['en', 'ru', 'ja'];
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, ru, ja };
+const STORAGE_KEY = 'locale';
+const pluralRules = new Map();
+
+// =============================================================================
+// LOCALE
+// =============================================================================
+
+/**
+ * The language of the current page
+ */
+export function getLocale() {
+    return toLocale(document.documentElement.lang) || DEFAULT_LOCALE;
+}
+
+/**
+ * The first of the visitor's languages the site is translated into, or null
+ */
+export function detectLocale(languages = navigator.languages || [navigator.language]) {
+    for (const tag of languages) {
+        const locale = toLocale(tag);
+        if (locale) return locale;
+    }
+    return null;
+}
+
+/**
+ * The language the visitor picked from the navbar, or null
+ */
+export function getSavedLocale() {
+    try {
+        return toLocale(localStorage.getItem(STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+export function saveLocale(locale) {
+    try {
+        localStorage.setItem(STORAGE_KEY, locale);
+    } catch {
+        // Not remembered, but the link still goes to that language
+    }
+}
+
+function toLocale(tag) {
+    const language = String(tag || '').toLowerCase().split('-')[0];
+    return LOCALES.includes(language) ? language : null;
+}
+
+// =============================================================================
+// MESSAGES
+// =============================================================================
+
+/**
+ * Translate `key` into the page's language, falling back to English.
+ * "{name}" placeholders are filled from `params` (numbers are formatted for
+ * the locale). A message given as { one, few, many, other } is picked by
+ * the plural rules of the language for `params.count`.
+ */
+export function t(key, params = {}) {
+    const locale = getLocale();
+    let message = CATALOGS[locale][key] ?? en[key];
+
+    if (message === undefined) {
+        console.warn(`No "${key}" message in js/locales/en.js`);
+        return key;
+    }
+
+    if (typeof message === 'object') {
+        message = message[pluralCategory(locale, params.count)] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        return typeof params[name] === 'number' ? params[name].toLocaleString(locale) : params[name];
+    });
+}
+
+function pluralCategory(locale, count = 0) {
+    if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+    return pluralRules.get(locale).select(count);
+}
+
+// =============================================================================
+// LANGUAGE SWITCHER
+// =============================================================================
+
+/**
+ * Language Switcher Handler
+ */
+export class LanguageSwitcher {
+    constructor(container = document.querySelector('.language-switcher')) {
+        this.container = container;
+        this.links = new Map();
+
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+
+        this.container.querySelectorAll('a[hreflang]').forEach(link => {
+            this.links.set(link.hreflang, link);
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const link = e.target.closest('a[hreflang]');
+            if (!link) return;
+
+            saveLocale(link.hreflang);
+            // Stay on the same section (or gallery image) in the other language
+            link.hash = location.hash;
+        });
+
+        this.redirectToPreferredLocale();
+    }
+
+    /**
+     * Only for visitors arriving from elsewhere: never undo a language link
+     * they just followed inside the site
+     */
+    redirectToPreferredLocale() {
+        if (document.referrer && new URL(document.referrer).origin === location.origin) return;
+
+        const current = getLocale();
+        const saved = getSavedLocale();
+        const wanted = saved || (current === DEFAULT_LOCALE ? detectLocale() : null);
+        const link = wanted && wanted !== current && this.links.get(wanted);
+        if (!link) return;
+
+        const url = new URL(link.href);
+        url.search = location.search;
+        url.hash = location.hash;
+        location.replace(url);
+    }
+}
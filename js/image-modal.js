@@ -0,0 +1,291 @@
+/**
+ * Gallery image modal with keyboard and swipe navigation
+ * The modal is an ARIA dialog: opening it moves focus inside and makes the
+ * rest of the page inert, Tab cycles through its controls, and closing it
+ * returns focus to the thumbnail of the image that was last shown.
+ *
+ * Images are grouped by their closest [data-gallery] or .image-gallery
+ * container, so prev/next and the "Image n of m" counter stay inside one
+ * gallery. Thumbnails are handled by a single delegated listener, so images
+ * that load or appear later need no re-binding. Other code can open a
+ * gallery directly:
+ *
+ *   imageModal.open('challenge', 'cfd-simulation');   // or an index
+ *
+ * The modal element dispatches `gallery:open` (detail: { gallery, index, id })
+ * for every image it shows and `gallery:close` when it closes, which is how
+ * GalleryHistory keeps the URL in sync.
+ */
+
+import { fullSizeSrc } from './responsive-image.js';
+import { ImageZoom } from './image-zoom.js';
+import { t } from './i18n.js';
+import { registerShortcut } from './shortcuts.js';
+import { ModalShell } from './dialog.js';
+
+const IMAGE_SELECTOR = '.project-image';
+const GALLERY_SELECTOR = '[data-gallery], .image-gallery';
+// Images outside any gallery container still browse together
+const PAGE_GALLERY = 'page';
+
+/**
+ * Image Modal Handler
+ */
+export class ImageModal {
+    constructor() {
+        this.modal = document.getElementById('imageModal');
+        this.modalImg = document.getElementById('modalImage');
+        this.modalCaption = document.querySelector('.modal-caption');
+        this.closeBtn = document.querySelector('.modal-close');
+        this.prevBtn = document.querySelector('.modal-prev');
+        this.nextBtn = document.querySelector('.modal-next');
+        this.modalCounter = document.querySelector('.modal-counter');
+        this.zoomIndicator = document.querySelector('.modal-zoom-indicator');
+
+        this.currentGallery = null;
+        this.currentImageIndex = 0;
+        this.galleryImages = [];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.modal) return;
+
+        this.shell = new ModalShell(this.modal);
+        this.zoom = new ImageZoom(this.modalImg, this.modal, this.zoomIndicator);
+        this.setupEventListeners();
+        this.initializeImages();
+    }
+
+    /**
+     * Give every thumbnail button semantics; safe to call again after
+     * adding images to the page
+     */
+    initializeImages() {
+        document.querySelectorAll(IMAGE_SELECTOR).forEach(img => {
+            img.tabIndex = 0;
+            img.setAttribute('role', 'button');
+            img.setAttribute('aria-haspopup', 'dialog');
+        });
+    }
+
+    setupEventListeners() {
+        // Thumbnails: one delegated listener for every gallery on the page
+        document.addEventListener('click', (e) => {
+            const img = e.target instanceof Element ? e.target.closest(IMAGE_SELECTOR) : null;
+            if (img) this.openImage(img);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            const img = e.target instanceof Element ? e.target.closest(IMAGE_SELECTOR) : null;
+            if (img && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.openImage(img);
+            }
+        });
+
+        // Button events
+        this.closeBtn?.addEventListener('click', () => this.closeModal());
+        this.prevBtn?.addEventListener('click', () => this.showPrevImage());
+        this.nextBtn?.addEventListener('click', () => this.showNextImage());
+
+        // Background click to close (but not at the end of a pan that left the image)
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal && !this.zoom.handledGesture()) this.closeModal();
+        });
+
+        // Keyboard navigation; ModalShell keeps Tab inside the dialog
+        this.registerShortcuts();
+
+        // Touch/swipe navigation
+        this.setupTouchNavigation();
+    }
+
+    registerShortcuts() {
+        const group = t('shortcuts.imageViewer');
+        const when = () => this.isOpen();
+
+        [
+            ['Escape', t('shortcuts.close'), () => this.closeModal()],
+            ['ArrowLeft', t('shortcuts.previousImage'), () => this.showPrevImage()],
+            ['ArrowRight', t('shortcuts.nextImage'), () => this.showNextImage()],
+            [['+', '='], t('shortcuts.zoomIn'), () => this.zoom.zoomIn()],
+            ['-', t('shortcuts.zoomOut'), () => this.zoom.zoomOut()],
+            ['0', t('shortcuts.zoomReset'), () => this.zoom.reset()]
+        ].forEach(([keys, label, handler]) => {
+            registerShortcut({ keys, scope: 'modal', group, label, when, handler });
+        });
+    }
+
+    setupTouchNavigation() {
+        let touchStartX = 0;
+        let touchEndX = 0;
+
+        this.modal.addEventListener('touchstart', e => {
+            touchStartX = e.changedTouches[0].screenX;
+        });
+
+        this.modal.addEventListener('touchend', e => {
+            touchEndX = e.changedTouches[0].screenX;
+
+            // Pans, pinches and double-taps belong to the zoom, not to navigation
+            if (this.zoom.handledGesture() || e.touches.length > 0) return;
+
+            if (touchEndX < touchStartX - 50) this.showNextImage();
+            if (touchEndX > touchStartX + 50) this.showPrevImage();
+        });
+    }
+
+    // =========================================================================
+    // GALLERIES
+    // =========================================================================
+
+    /**
+     * Gallery name of an image: its container's data-gallery, otherwise
+     * gallery-<n> by the container's position on the page
+     */
+    galleryNameOf(img) {
+        const container = img.closest(GALLERY_SELECTOR);
+        if (!container) return PAGE_GALLERY;
+
+        const position = [...document.querySelectorAll(GALLERY_SELECTOR)].indexOf(container);
+        return container.dataset.gallery || `gallery-${position + 1}`;
+    }
+
+    /**
+     * Names of every gallery on the page, in document order
+     */
+    galleryNames() {
+        const names = [...document.querySelectorAll(IMAGE_SELECTOR)].map(img => this.galleryNameOf(img));
+        return [...new Set(names)];
+    }
+
+    /**
+     * The images of one gallery as { element, id, src, alt, caption }
+     */
+    getGallery(name) {
+        return [...document.querySelectorAll(IMAGE_SELECTOR)]
+            .filter(img => this.galleryNameOf(img) === name)
+            .map((img, index) => ({
+                element: img,
+                id: img.dataset.imageId || `${name}-${index + 1}`,
+                src: fullSizeSrc(img),
+                alt: img.alt,
+                caption: img.closest('figure')?.querySelector('figcaption')?.textContent || img.alt
+            }));
+    }
+
+    /**
+     * Gallery and index of the image with the given deep-link id, or null
+     */
+    findImage(id) {
+        for (const gallery of this.galleryNames()) {
+            const index = this.getGallery(gallery).findIndex(image => image.id === id);
+            if (index !== -1) return { gallery, index };
+        }
+        return null;
+    }
+
+    /**
+     * Open `gallery` at `image` (an index or a deep-link id); returns false
+     * when the gallery has no such image
+     */
+    open(gallery, image = 0) {
+        const images = this.getGallery(gallery);
+        const index = typeof image === 'number' ? image : images.findIndex(entry => entry.id === image);
+        if (!images[index]) return false;
+
+        this.currentGallery = gallery;
+        this.galleryImages = images;
+        this.openModal(index);
+        return true;
+    }
+
+    openImage(img) {
+        const gallery = this.galleryNameOf(img);
+        return this.open(gallery, this.getGallery(gallery).findIndex(entry => entry.element === img));
+    }
+
+    // =========================================================================
+    // DIALOG
+    // =========================================================================
+
+    isOpen() {
+        return this.shell.isOpen();
+    }
+
+    /**
+     * Show image `index` of the current gallery
+     */
+    openModal(index) {
+        const imageData = this.galleryImages[index];
+        if (!imageData) return;
+
+        const opening = !this.isOpen();
+        this.currentImageIndex = index;
+
+        this.zoom.reset();
+        this.modalImg.src = imageData.src;
+        this.modalImg.alt = imageData.alt;
+        this.modalCaption.textContent = imageData.caption;
+        this.updateCounter();
+
+        this.updateNavigationButtons();
+        this.dispatch('gallery:open', { gallery: this.currentGallery, index, id: imageData.id });
+        if (opening) this.shell.open(this.closeBtn);
+    }
+
+    closeModal() {
+        if (!this.isOpen()) return;
+
+        this.zoom.reset();
+        this.shell.close();
+
+        // Return focus to the thumbnail of the image the user ended on
+        this.galleryImages[this.currentImageIndex]?.element.focus();
+
+        this.dispatch('gallery:close');
+    }
+
+    showPrevImage() {
+        if (this.currentImageIndex > 0) {
+            this.openModal(this.currentImageIndex - 1);
+        }
+    }
+
+    showNextImage() {
+        if (this.currentImageIndex < this.galleryImages.length - 1) {
+            this.openModal(this.currentImageIndex + 1);
+        }
+    }
+
+    updateCounter() {
+        if (!this.modalCounter) return;
+
+        const total = this.galleryImages.length;
+        this.modalCounter.hidden = total < 2;
+        this.modalCounter.textContent = t('modal.counter', { index: this.currentImageIndex + 1, total });
+    }
+
+    updateNavigationButtons() {
+        const focused = document.activeElement;
+
+        if (this.prevBtn) this.prevBtn.style.display = this.currentImageIndex === 0 ? 'none' : 'block';
+        if (this.nextBtn) this.nextBtn.style.display = this.currentImageIndex === this.galleryImages.length - 1 ? 'none' : 'block';
+
+        // Reaching either end hides the focused arrow; keep focus inside the dialog
+        if (focused && focused.style.display === 'none' && this.modal.contains(focused)) {
+            const other = focused === this.prevBtn ? this.nextBtn : this.prevBtn;
+            (other && other.style.display !== 'none' ? other : this.closeBtn)?.focus();
+        }
+    }
+
+    dispatch(type, detail = {}) {
+        this.modal.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    reinitialize() {
+        this.initializeImages();
+    }
+}
@@ -0,0 +1,288 @@
+/**
+ * Zoom and pan for the image modal
+ * Wheel and pinch zoom around the pointer, drag to pan while zoomed, and
+ * double-tap/double-click to toggle between fit-to-screen and 100% (one
+ * image pixel per CSS pixel). The indicator shows the level relative to
+ * 100%.
+ *
+ * Swipe navigation in ImageModal still uses touchstart/touchend; it asks
+ * handledGesture() first, so a pan or pinch never turns the page.
+ */
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 8;
+const WHEEL_SENSITIVITY = 0.002;
+const STEP = 1.5;
+const DOUBLE_TAP_MS = 300;
+const DOUBLE_TAP_DISTANCE = 30;
+const DRAG_THRESHOLD = 5;
+const INDICATOR_MS = 1500;
+
+/**
+ * Image Zoom Handler
+ */
+export class ImageZoom {
+    constructor(image, viewport, indicator = null) {
+        this.image = image;
+        this.viewport = viewport;
+        this.indicator = indicator;
+
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+
+        this.pointers = new Map();
+        this.gesture = null;
+        this.handled = false;
+        this.lastTap = null;
+
+        this.init();
+    }
+
+    init() {
+        this.image.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.image.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.image.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.image.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        this.image.addEventListener('dragstart', (e) => e.preventDefault());
+
+        // A new sequence anywhere in the modal starts with a clean slate
+        this.viewport.addEventListener('pointerdown', () => {
+            if (this.pointers.size === 0) this.handled = this.isZoomed();
+        }, true);
+
+        this.viewport.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomTo(this.scale * Math.exp(-e.deltaY * WHEEL_SENSITIVITY), e.clientX, e.clientY);
+        }, { passive: false });
+    }
+
+    isZoomed() {
+        return this.scale > MIN_SCALE;
+    }
+
+    /**
+     * Whether the current (or just finished) pointer sequence was a zoom or
+     * pan, so swipe navigation and click-to-close should ignore it
+     */
+    handledGesture() {
+        return this.handled || this.isZoomed();
+    }
+
+    /**
+     * Back to fit-to-screen, e.g. when the modal shows another image
+     */
+    reset() {
+        this.pointers.clear();
+        this.gesture = null;
+        this.lastTap = null;
+        // Quietly: the indicator is a live region, and a new image is no zoom change
+        this.scale = MIN_SCALE;
+        this.setTransform(MIN_SCALE, 0, 0, false);
+        clearTimeout(this.indicatorTimer);
+        this.indicator?.classList.remove('visible');
+    }
+
+    zoomIn() {
+        this.zoomTo(this.scale * STEP);
+    }
+
+    zoomOut() {
+        this.zoomTo(this.scale / STEP);
+    }
+
+    /**
+     * Zoom to `scale` keeping the point under (clientX, clientY) in place;
+     * without a point the zoom is centred on the viewport
+     */
+    zoomTo(scale, clientX, clientY, animate = true) {
+        const next = Math.min(Math.max(scale, MIN_SCALE), this.maxScale());
+        const center = this.layoutCenter();
+        const px = (clientX ?? center.x) - center.x;
+        const py = (clientY ?? center.y) - center.y;
+        const ratio = next / this.scale;
+
+        this.setTransform(next, px - ratio * (px - this.x), py - ratio * (py - this.y), animate);
+    }
+
+    /**
+     * Scale at which one image pixel is one CSS pixel
+     */
+    actualSizeScale() {
+        return this.image.naturalWidth && this.image.offsetWidth
+            ? this.image.naturalWidth / this.image.offsetWidth
+            : 1;
+    }
+
+    maxScale() {
+        return Math.max(MAX_SCALE, this.actualSizeScale() * 2);
+    }
+
+    toggleActualSize(clientX, clientY) {
+        if (this.isZoomed()) {
+            this.setTransform(1, 0, 0, true);
+        } else {
+            // Images smaller than the screen still get a useful close-up
+            this.zoomTo(Math.max(this.actualSizeScale(), 2), clientX, clientY);
+        }
+    }
+
+    // =========================================================================
+    // POINTER GESTURES
+    // =========================================================================
+
+    onPointerDown(e) {
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.image.setPointerCapture(e.pointerId);
+        this.startGesture();
+    }
+
+    onPointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        const gesture = this.gesture;
+        if (!gesture) return;
+
+        if (gesture.type === 'pinch') {
+            const [a, b] = [...this.pointers.values()];
+            const mid = midpoint(a, b);
+            const scale = gesture.scale * distance(a, b) / gesture.distance;
+
+            this.zoomFrom(gesture, scale, mid);
+            this.handled = true;
+        } else if (this.isZoomed()) {
+            const dx = e.clientX - gesture.start.x;
+            const dy = e.clientY - gesture.start.y;
+
+            if (gesture.moved || Math.hypot(dx, dy) > DRAG_THRESHOLD) {
+                gesture.moved = true;
+                this.handled = true;
+                this.image.classList.add('is-panning');
+                this.setTransform(this.scale, gesture.x + dx, gesture.y + dy, false);
+            }
+        }
+    }
+
+    onPointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+
+        const wasTap = this.gesture?.type === 'pan' && !this.gesture.moved && this.pointers.size === 1;
+        this.pointers.delete(e.pointerId);
+        this.image.classList.remove('is-panning');
+
+        if (wasTap) this.onTap(e);
+
+        // Lifting one finger of a pinch continues as a pan with the other
+        this.startGesture();
+    }
+
+    onTap(e) {
+        const now = Date.now();
+        const last = this.lastTap;
+
+        if (last && now - last.time < DOUBLE_TAP_MS &&
+            Math.hypot(e.clientX - last.x, e.clientY - last.y) < DOUBLE_TAP_DISTANCE) {
+            this.lastTap = null;
+            this.handled = true;
+            this.toggleActualSize(e.clientX, e.clientY);
+        } else {
+            this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+        }
+    }
+
+    startGesture() {
+        const points = [...this.pointers.values()];
+
+        if (points.length >= 2) {
+            this.gesture = {
+                type: 'pinch',
+                distance: distance(points[0], points[1]) || 1,
+                scale: this.scale,
+                x: this.x,
+                y: this.y,
+                focus: midpoint(points[0], points[1]),
+                center: this.layoutCenter()
+            };
+        } else if (points.length === 1) {
+            this.gesture = { type: 'pan', start: { ...points[0] }, x: this.x, y: this.y, moved: false };
+        } else {
+            this.gesture = null;
+        }
+    }
+
+    /**
+     * Pinch: scale around the starting midpoint and follow the fingers as they move
+     */
+    zoomFrom(gesture, scale, mid) {
+        const next = Math.min(Math.max(scale, MIN_SCALE), this.maxScale());
+        const ratio = next / gesture.scale;
+        const fx = gesture.focus.x - gesture.center.x;
+        const fy = gesture.focus.y - gesture.center.y;
+
+        this.setTransform(
+            next,
+            fx - ratio * (fx - gesture.x) + (mid.x - gesture.focus.x),
+            fy - ratio * (fy - gesture.y) + (mid.y - gesture.focus.y),
+            false
+        );
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    /**
+     * Centre of the image's untransformed layout box in client coordinates
+     */
+    layoutCenter() {
+        const rect = this.image.getBoundingClientRect();
+        return {
+            x: rect.left + rect.width / 2 - this.x,
+            y: rect.top + rect.height / 2 - this.y
+        };
+    }
+
+    setTransform(scale, x, y, animate) {
+        // Keep the zoomed image covering the viewport instead of drifting off it
+        const bounds = this.viewport.getBoundingClientRect();
+        const limitX = Math.max(0, (this.image.offsetWidth * scale - bounds.width) / 2);
+        const limitY = Math.max(0, (this.image.offsetHeight * scale - bounds.height) / 2);
+        const zoomChanged = scale !== this.scale;
+
+        this.scale = scale;
+        this.x = scale === 1 ? 0 : Math.min(Math.max(x, -limitX), limitX);
+        this.y = scale === 1 ? 0 : Math.min(Math.max(y, -limitY), limitY);
+
+        this.image.classList.toggle('is-zoomed', this.isZoomed());
+        this.image.classList.toggle('zoom-animate', animate);
+        this.image.style.transform = this.isZoomed()
+            ? `translate(${this.x}px, ${this.y}px) scale(${this.scale})`
+            : '';
+
+        // Panning keeps the level, so there is nothing to announce
+        if (zoomChanged) this.updateIndicator();
+    }
+
+    updateIndicator() {
+        if (!this.indicator) return;
+
+        const text = `${Math.round(this.scale / this.actualSizeScale() * 100)}%`;
+        if (this.indicator.textContent !== text) this.indicator.textContent = text;
+        this.indicator.classList.add('visible');
+
+        clearTimeout(this.indicatorTimer);
+        this.indicatorTimer = setTimeout(() => this.indicator.classList.remove('visible'), INDICATOR_MS);
+    }
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
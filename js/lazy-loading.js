@@ -0,0 +1,149 @@
+/**
+ * Lazy loading for gallery images and badge logos
+ */
+
+import { createObserver } from './utils.js';
+import { loadAsset, showAssetError, isAssetCached, revealWithoutTransition } from './asset-loader.js';
+import { t } from './i18n.js';
+import { allowsMotion } from './motion.js';
+
+// =============================================================================
+// GALLERY IMAGES
+// =============================================================================
+
+/**
+ * Lazy Image Loader
+ * Handles intersection observer-based lazy loading for images
+ */
+export class LazyImageLoader {
+    constructor(options = {}) {
+        this.selector = options.selector || 'img.lazy';
+        this.onImageLoaded = options.onImageLoaded || null;
+        this.config = {
+            rootMargin: '50px 0px',
+            threshold: 0.01
+        };
+        this.init();
+    }
+
+    init() {
+        const lazyImages = document.querySelectorAll(this.selector);
+
+        const observer = createObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.loadImage(entry.target);
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, this.config);
+
+        if (observer) {
+            lazyImages.forEach(image => observer.observe(image));
+        } else {
+            this.loadImagesImmediately(lazyImages);
+        }
+    }
+
+    loadImage(img) {
+        const wrapper = img.closest('.lazy-image-wrapper');
+        const spinner = wrapper ? wrapper.querySelector('.loading-spinner') : null;
+
+        // Images the service worker already has appear at once, without the spinner or fade
+        return isAssetCached(img).then(cached => {
+            if (spinner && !cached) spinner.classList.remove('hidden');
+            return loadAsset(img).then(
+                () => this.showImage(img, wrapper, spinner, cached),
+                error => this.showError(img, wrapper, spinner, error)
+            );
+        });
+    }
+
+    showImage(img, wrapper, spinner, cached) {
+        const reveal = () => {
+            img.classList.remove('lazy');
+            img.classList.add('loaded');
+            if (spinner) spinner.classList.add('hidden');
+        };
+
+        if (cached && wrapper) {
+            revealWithoutTransition(wrapper, reveal);
+        } else {
+            reveal();
+            if (wrapper && allowsMotion()) wrapper.classList.add('fade-in');
+        }
+
+        if (this.onImageLoaded) {
+            setTimeout(() => this.onImageLoaded(img), 100);
+        }
+    }
+
+    showError(img, wrapper, spinner, error) {
+        console.error(error.message);
+        if (spinner) spinner.classList.add('hidden');
+
+        if (wrapper) {
+            showAssetError(wrapper, {
+                message: t('image.error'),
+                label: img.alt,
+                onRetry: () => this.loadImage(img)
+            });
+        }
+    }
+
+    loadImagesImmediately(images) {
+        images.forEach(img => this.loadImage(img));
+    }
+}
+
+// =============================================================================
+// BADGE LOGOS
+// =============================================================================
+
+/**
+ * Badge Logo Lazy Loader
+ */
+export function initializeBadgeLoader() {
+    const badgeLogos = document.querySelectorAll('.lazy-load-badge');
+
+    const observer = createObserver((entries, observer) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                loadBadgeLogo(entry.target);
+                observer.unobserve(entry.target);
+            }
+        });
+    }, {
+        rootMargin: '50px 0px',
+        threshold: 0.01
+    });
+
+    if (observer) {
+        badgeLogos.forEach(img => observer.observe(img));
+    } else {
+        badgeLogos.forEach(loadBadgeLogo);
+    }
+}
+
+function loadBadgeLogo(img) {
+    const spinner = img.nextElementSibling;
+    const logoContainer = img.closest('.badge-logo');
+
+    // The badge has no room for the error panel; it falls back to its icon
+    isAssetCached(img).then(cached => loadAsset(img).then(() => {
+        const reveal = () => {
+            img.classList.add('loaded');
+            if (spinner) spinner.classList.add('hidden');
+        };
+
+        if (cached && logoContainer) {
+            revealWithoutTransition(logoContainer, reveal);
+        } else {
+            reveal();
+        }
+    }, error => {
+        console.error(error.message);
+        if (logoContainer) logoContainer.classList.add('icon-fallback');
+        if (spinner) spinner.classList.add('hidden');
+    }));
+}
@@ -0,0 +1,161 @@
+/**
+ * English script strings: the source catalog every other locale falls back to.
+ * Page text is translated at build time (content/i18n/); these are only the
+ * strings js/ adds at runtime. See js/i18n.js for placeholders and plurals.
+ */
+export const messages = {
+    // Asset errors (asset-loader.js, lazy-loading.js, video-loader.js)
+    'asset.error': 'Unable to load content',
+    'asset.retry': 'Retry',
+    'asset.retryLabel': 'Retry loading {label}',
+    'image.error': 'Image unavailable',
+    'video.error': 'Unable to load video',
+    'video.name': 'the video',
+
+    // Image viewer (image-modal.js)
+    'modal.counter': 'Image {index} of {total}',
+
+    // Video player (video-player.js)
+    'player.label': 'Video player',
+    'player.bigPlay': 'Play video',
+    'player.controls': 'Video controls',
+    'player.seek': 'Seek',
+    'player.position': '{current} of {duration}',
+    'player.positionChapter': '{current} of {duration}, chapter: {chapter}',
+    'player.play': 'Play',
+    'player.pause': 'Pause',
+    'player.mute': 'Mute',
+    'player.unmute': 'Unmute',
+    'player.volume': 'Volume',
+    'player.captionsOff': 'Captions off',
+    'player.captionsOn': 'Captions: {label}',
+    'player.captionsDefault': 'on',
+    'player.speed': 'Playback speed',
+    'player.pip': 'Picture in picture',
+    'player.fullscreen': 'Full screen',
+    'player.exitFullscreen': 'Exit full screen',
+
+    // Site search (site-search.js)
+    'search.dialog': 'Search the site',
+    'search.input': 'Search',
+    'search.placeholder': 'Search experiences, skills and tools',
+    'search.close': 'Close search',
+    'search.results': 'Search results',
+    'search.unavailable': 'Search is unavailable right now. Please try again later.',
+    'search.loading': 'Loading…',
+    'search.none': 'No results for “{query}”',
+    'search.count': { one: '{count} result', other: '{count} results' },
+
+    // Skill filter (skill-filter.js)
+    'filter.tagTitle': { one: 'Show the {count} experience using {skill}', other: 'Show the {count} experiences using {skill}' },
+    'filter.region': 'Experience filter',
+    'filter.match': 'Match',
+    'filter.all': 'All skills',
+    'filter.any': 'Any skill',
+    'filter.clear': 'Show all',
+    'filter.remove': 'Remove {skill} filter',
+    'filter.none': 'No experiences match this selection yet',
+    'filter.showing': { one: 'Showing {shown} of {count} experience', other: 'Showing {shown} of {count} experiences' },
+
+    // Theme toggle (theme.js)
+    'theme.system': 'System',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.high-contrast': 'High contrast',
+    'theme.label': 'Theme: {theme}. Switch to {next}',
+    'theme.title': 'Theme: {theme}',
+
+    // Analytics consent (analytics.js)
+    'analytics.label': 'Analytics consent',
+    'analytics.text': 'May we count which case studies you open, how far you read and whether you play the videos? No cookies and nothing that identifies you, and nothing is recorded unless you allow it.',
+    'analytics.allow': 'Allow',
+    'analytics.deny': 'No thanks',
+    'analytics.settings': 'Analytics settings',
+
+    // Contact form (contact-form.js)
+    'contact.required': 'Please fill in this field',
+    'contact.invalidEmail': 'Please enter an email address like name@example.com',
+    'contact.tooShort': 'Please write at least {min} characters',
+    'contact.tooLong': 'Please keep this under {max} characters',
+    'contact.sending': 'Sending your message…',
+    'contact.sent': 'Thank you! Your message has been sent.',
+    'contact.sendAnother': 'Send another message',
+    'contact.failed': 'Your message could not be sent. Please try again.',
+    'contact.rejected': 'Your message was not accepted.',
+    'contact.retry': 'Try again',
+    'contact.emailInstead': 'You can also email me at',
+    'contact.rateLimited': { one: 'You have sent several messages already. Please try again in {count} minute.', other: 'You have sent several messages already. Please try again in {count} minutes.' },
+
+    // Keyboard shortcuts (shortcuts.js, and the modules that register keys)
+    'shortcuts.title': 'Keyboard shortcuts',
+    'shortcuts.closeHelp': 'Close the shortcut list',
+    'shortcuts.scope.global': 'General',
+    'shortcuts.scope.modal': 'Dialogs',
+    'shortcuts.scope.video': 'Video player',
+    'shortcuts.help': 'Show keyboard shortcuts',
+    'shortcuts.palette': 'Open the command palette',
+    'shortcuts.search': 'Search the site',
+    'shortcuts.toGallery': 'Go to the gallery',
+    'shortcuts.imageViewer': 'Image viewer',
+    'shortcuts.resumeViewer': 'Résumé viewer',
+    'shortcuts.close': 'Close',
+    'shortcuts.previousImage': 'Previous image',
+    'shortcuts.nextImage': 'Next image',
+    'shortcuts.zoomIn': 'Zoom in',
+    'shortcuts.zoomOut': 'Zoom out',
+    'shortcuts.zoomReset': 'Reset zoom',
+    'shortcuts.playPause': 'Play or pause',
+    'shortcuts.seekBack': 'Back {seconds} seconds',
+    'shortcuts.seekForward': 'Forward {seconds} seconds',
+    'shortcuts.volumeUp': 'Volume up',
+    'shortcuts.volumeDown': 'Volume down',
+    'shortcuts.captions': 'Captions',
+    'shortcuts.slower': 'Slower',
+    'shortcuts.faster': 'Faster',
+    'shortcuts.previousChapter': 'Previous chapter',
+    'shortcuts.nextChapter': 'Next chapter',
+    'shortcuts.start': 'Go to the start',
+    'shortcuts.end': 'Go to the end',
+    'shortcuts.jump': 'Jump to 0–90%',
+
+    // Command palette (command-palette.js)
+    'palette.dialog': 'Command palette',
+    'palette.input': 'Command',
+    'palette.placeholder': 'Go to, open, switch or copy…',
+    'palette.close': 'Close the command palette',
+    'palette.commands': 'Commands',
+    'palette.sections': 'On this page',
+    'palette.experiences': 'Case studies',
+    'palette.actions': 'Actions',
+    'palette.resume': 'Open the résumé',
+    'palette.theme': 'Switch theme',
+    'palette.copyEmail': 'Copy email address',
+    'palette.copyPhone': 'Copy phone number',
+    'palette.shortcuts': 'Show keyboard shortcuts',
+    'palette.searchFor': 'Search the site for “{query}”',
+    'palette.none': 'No commands match “{query}”',
+    'palette.copied': 'Copied {text}',
+    'palette.copyFailed': 'Could not copy. Select and copy it here: {text}',
+
+    // Résumé viewer (resume-viewer.js)
+    'resume.viewer': 'Résumé',
+    'resume.close': 'Close résumé',
+    'resume.toolbar': 'Résumé controls',
+    'resume.previousPage': 'Previous page',
+    'resume.nextPage': 'Next page',
+    'resume.page': 'Page',
+    'resume.pageCount': 'of {total}',
+    'resume.pageLabel': 'Résumé page {page} of {total}',
+    'resume.zoomIn': 'Zoom in',
+    'resume.zoomOut': 'Zoom out',
+    'resume.fitWidth': 'Fit width',
+    'resume.search': 'Search the résumé',
+    'resume.previousMatch': 'Previous match',
+    'resume.nextMatch': 'Next match',
+    'resume.match': '{index} of {count}',
+    'resume.noMatches': 'No matches',
+    'resume.webVersion': 'Web version',
+    'resume.download': 'Download',
+    'resume.loading': 'Loading the résumé…',
+    'resume.error': 'The résumé could not be shown here. You can still download the PDF or read the web version.'
+};
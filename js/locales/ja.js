@@ -0,0 +1,159 @@
+/**
+ * Japanese script strings (keys and placeholders as in js/locales/en.js)
+ */
+export const messages = {
+    // Asset errors
+    'asset.error': 'コンテンツを読み込めませんでした',
+    'asset.retry': '再試行',
+    'asset.retryLabel': '{label}を再読み込み',
+    'image.error': '画像を表示できません',
+    'video.error': '動画を読み込めませんでした',
+    'video.name': '動画',
+
+    // Image viewer
+    'modal.counter': '画像 {index} / {total}',
+
+    // Video player
+    'player.label': '動画プレーヤー',
+    'player.bigPlay': '動画を再生',
+    'player.controls': '動画の操作',
+    'player.seek': '再生位置',
+    'player.position': '{current} / {duration}',
+    'player.positionChapter': '{current} / {duration}、チャプター：{chapter}',
+    'player.play': '再生',
+    'player.pause': '一時停止',
+    'player.mute': 'ミュート',
+    'player.unmute': 'ミュート解除',
+    'player.volume': '音量',
+    'player.captionsOff': '字幕オフ',
+    'player.captionsOn': '字幕：{label}',
+    'player.captionsDefault': 'オン',
+    'player.speed': '再生速度',
+    'player.pip': 'ピクチャー・イン・ピクチャー',
+    'player.fullscreen': '全画面表示',
+    'player.exitFullscreen': '全画面表示を終了',
+
+    // Site search
+    'search.dialog': 'サイト内検索',
+    'search.input': '検索',
+    'search.placeholder': '経歴・スキル・ツールを検索（英語）',
+    'search.close': '検索を閉じる',
+    'search.results': '検索結果',
+    'search.unavailable': '現在検索を利用できません。しばらくしてからもう一度お試しください。',
+    'search.loading': '読み込み中…',
+    'search.none': '「{query}」に一致する結果はありません',
+    'search.count': { other: '{count}件' },
+
+    // Skill filter
+    'filter.tagTitle': { other: '{skill}を使った{count}件の経歴を表示' },
+    'filter.region': '経歴の絞り込み',
+    'filter.match': '一致条件',
+    'filter.all': 'すべてのスキル',
+    'filter.any': 'いずれかのスキル',
+    'filter.clear': 'すべて表示',
+    'filter.remove': '{skill}の絞り込みを解除',
+    'filter.none': 'この条件に一致する経歴はまだありません',
+    'filter.showing': { other: '{count}件中{shown}件を表示' },
+
+    // Theme toggle
+    'theme.system': 'システム',
+    'theme.light': 'ライト',
+    'theme.dark': 'ダーク',
+    'theme.high-contrast': 'ハイコントラスト',
+    'theme.label': 'テーマ：{theme}。{next}に切り替え',
+    'theme.title': 'テーマ：{theme}',
+
+    // Analytics consent
+    'analytics.label': 'アクセス解析への同意',
+    'analytics.text': 'どの事例を開き、どこまで読み、動画を再生したかを集計してもよろしいですか？Cookie は使わず、個人を特定する情報も扱いません。許可いただくまで何も記録しません。',
+    'analytics.allow': '許可する',
+    'analytics.deny': '許可しない',
+    'analytics.settings': 'アクセス解析の設定',
+
+    // Contact form
+    'contact.required': 'この項目を入力してください',
+    'contact.invalidEmail': 'name@example.com のような形式でメールアドレスを入力してください',
+    'contact.tooShort': '{min}文字以上で入力してください',
+    'contact.tooLong': '{max}文字以内で入力してください',
+    'contact.sending': '送信しています…',
+    'contact.sent': 'ありがとうございます。メッセージを送信しました。',
+    'contact.sendAnother': '別のメッセージを送る',
+    'contact.failed': 'メッセージを送信できませんでした。もう一度お試しください。',
+    'contact.rejected': 'メッセージは受け付けられませんでした。',
+    'contact.retry': '再試行',
+    'contact.emailInstead': 'メールでのご連絡はこちら：',
+    'contact.rateLimited': { other: 'すでに複数のメッセージを送信済みです。{count}分後にもう一度お試しください。' },
+
+    // Keyboard shortcuts
+    'shortcuts.title': 'キーボードショートカット',
+    'shortcuts.closeHelp': 'ショートカット一覧を閉じる',
+    'shortcuts.scope.global': '全般',
+    'shortcuts.scope.modal': 'ダイアログ',
+    'shortcuts.scope.video': '動画プレーヤー',
+    'shortcuts.help': 'キーボードショートカットを表示',
+    'shortcuts.palette': 'コマンドパレットを開く',
+    'shortcuts.search': 'サイト内を検索',
+    'shortcuts.toGallery': 'ギャラリーへ移動',
+    'shortcuts.imageViewer': '画像ビューアー',
+    'shortcuts.resumeViewer': '履歴書ビューアー',
+    'shortcuts.close': '閉じる',
+    'shortcuts.previousImage': '前の画像',
+    'shortcuts.nextImage': '次の画像',
+    'shortcuts.zoomIn': '拡大',
+    'shortcuts.zoomOut': '縮小',
+    'shortcuts.zoomReset': 'ズームをリセット',
+    'shortcuts.playPause': '再生／一時停止',
+    'shortcuts.seekBack': '{seconds}秒戻る',
+    'shortcuts.seekForward': '{seconds}秒進む',
+    'shortcuts.volumeUp': '音量を上げる',
+    'shortcuts.volumeDown': '音量を下げる',
+    'shortcuts.captions': '字幕',
+    'shortcuts.slower': '遅く',
+    'shortcuts.faster': '速く',
+    'shortcuts.previousChapter': '前のチャプター',
+    'shortcuts.nextChapter': '次のチャプター',
+    'shortcuts.start': '最初へ',
+    'shortcuts.end': '最後へ',
+    'shortcuts.jump': '0〜90%の位置へ移動',
+
+    // Command palette
+    'palette.dialog': 'コマンドパレット',
+    'palette.input': 'コマンド',
+    'palette.placeholder': '移動、表示、切り替え、コピー…',
+    'palette.close': 'コマンドパレットを閉じる',
+    'palette.commands': 'コマンド',
+    'palette.sections': 'このページ',
+    'palette.experiences': 'ケーススタディ',
+    'palette.actions': '操作',
+    'palette.resume': '履歴書を開く',
+    'palette.theme': 'テーマを切り替える',
+    'palette.copyEmail': 'メールアドレスをコピー',
+    'palette.copyPhone': '電話番号をコピー',
+    'palette.shortcuts': 'キーボードショートカットを表示',
+    'palette.searchFor': '「{query}」をサイト内で検索',
+    'palette.none': '「{query}」に一致するコマンドはありません',
+    'palette.copied': 'コピーしました：{text}',
+    'palette.copyFailed': 'コピーできませんでした。こちらから選択してコピーしてください：{text}',
+
+    // Résumé viewer
+    'resume.viewer': '履歴書',
+    'resume.close': '履歴書を閉じる',
+    'resume.toolbar': '履歴書の操作',
+    'resume.previousPage': '前のページ',
+    'resume.nextPage': '次のページ',
+    'resume.page': 'ページ',
+    'resume.pageCount': '/ {total}',
+    'resume.pageLabel': '履歴書 {page} / {total} ページ',
+    'resume.zoomIn': '拡大',
+    'resume.zoomOut': '縮小',
+    'resume.fitWidth': '幅に合わせる',
+    'resume.search': '履歴書内を検索',
+    'resume.previousMatch': '前の一致',
+    'resume.nextMatch': '次の一致',
+    'resume.match': '{count}件中{index}件目',
+    'resume.noMatches': '一致なし',
+    'resume.webVersion': 'Web版',
+    'resume.download': 'ダウンロード',
+    'resume.loading': '履歴書を読み込んでいます…',
+    'resume.error': 'ここでは履歴書を表示できませんでした。PDF をダウンロードするか、Web版をご覧ください。'
+};
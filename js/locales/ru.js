@@ -0,0 +1,179 @@
+/**
+ * Russian script strings (keys and placeholders as in js/locales/en.js)
+ */
+export const messages = {
+    // Asset errors
+    'asset.error': 'Не удалось загрузить содержимое',
+    'asset.retry': 'Повторить',
+    'asset.retryLabel': 'Повторить загрузку: {label}',
+    'image.error': 'Изображение недоступно',
+    'video.error': 'Не удалось загрузить видео',
+    'video.name': 'видео',
+
+    // Image viewer
+    'modal.counter': 'Изображение {index} из {total}',
+
+    // Video player
+    'player.label': 'Видеоплеер',
+    'player.bigPlay': 'Воспроизвести видео',
+    'player.controls': 'Управление видео',
+    'player.seek': 'Перемотка',
+    'player.position': '{current} из {duration}',
+    'player.positionChapter': '{current} из {duration}, глава: {chapter}',
+    'player.play': 'Воспроизвести',
+    'player.pause': 'Пауза',
+    'player.mute': 'Выключить звук',
+    'player.unmute': 'Включить звук',
+    'player.volume': 'Громкость',
+    'player.captionsOff': 'Субтитры выключены',
+    'player.captionsOn': 'Субтитры: {label}',
+    'player.captionsDefault': 'включены',
+    'player.speed': 'Скорость воспроизведения',
+    'player.pip': 'Картинка в картинке',
+    'player.fullscreen': 'Во весь экран',
+    'player.exitFullscreen': 'Выйти из полноэкранного режима',
+
+    // Site search
+    'search.dialog': 'Поиск по сайту',
+    'search.input': 'Поиск',
+    'search.placeholder': 'Проекты, навыки и инструменты (на английском)',
+    'search.close': 'Закрыть поиск',
+    'search.results': 'Результаты поиска',
+    'search.unavailable': 'Поиск сейчас недоступен. Попробуйте позже.',
+    'search.loading': 'Загрузка…',
+    'search.none': 'По запросу «{query}» ничего не найдено',
+    'search.count': {
+        one: '{count} результат',
+        few: '{count} результата',
+        many: '{count} результатов',
+        other: '{count} результата'
+    },
+
+    // Skill filter
+    'filter.tagTitle': {
+        one: 'Показать {count} проект с навыком {skill}',
+        few: 'Показать {count} проекта с навыком {skill}',
+        many: 'Показать {count} проектов с навыком {skill}',
+        other: 'Показать {count} проекта с навыком {skill}'
+    },
+    'filter.region': 'Фильтр проектов',
+    'filter.match': 'Совпадение',
+    'filter.all': 'Все навыки',
+    'filter.any': 'Любой навык',
+    'filter.clear': 'Показать все',
+    'filter.remove': 'Убрать фильтр {skill}',
+    'filter.none': 'Пока нет проектов, подходящих под этот выбор',
+    'filter.showing': {
+        one: 'Показано {shown} из {count} проекта',
+        few: 'Показано {shown} из {count} проектов',
+        many: 'Показано {shown} из {count} проектов',
+        other: 'Показано {shown} из {count} проекта'
+    },
+
+    // Theme toggle
+    'theme.system': 'Системная',
+    'theme.light': 'Светлая',
+    'theme.dark': 'Тёмная',
+    'theme.high-contrast': 'Высокий контраст',
+    'theme.label': 'Тема: {theme}. Переключить на: {next}',
+    'theme.title': 'Тема: {theme}',
+
+    // Analytics consent
+    'analytics.label': 'Согласие на аналитику',
+    'analytics.text': 'Можно нам учитывать, какие проекты вы открываете, сколько читаете и смотрите ли видео? Без cookie и без данных, по которым вас можно узнать. Без вашего согласия ничего не записывается.',
+    'analytics.allow': 'Разрешить',
+    'analytics.deny': 'Нет, спасибо',
+    'analytics.settings': 'Настройки аналитики',
+
+    // Contact form
+    'contact.required': 'Заполните это поле',
+    'contact.invalidEmail': 'Введите адрес электронной почты, например name@example.com',
+    'contact.tooShort': 'Напишите не меньше {min} символов',
+    'contact.tooLong': 'Сократите текст до {max} символов',
+    'contact.sending': 'Отправляем сообщение…',
+    'contact.sent': 'Спасибо! Сообщение отправлено.',
+    'contact.sendAnother': 'Написать ещё',
+    'contact.failed': 'Не удалось отправить сообщение. Попробуйте ещё раз.',
+    'contact.rejected': 'Сообщение не принято.',
+    'contact.retry': 'Повторить',
+    'contact.emailInstead': 'Можно также написать мне на',
+    'contact.rateLimited': {
+        one: 'Вы уже отправили несколько сообщений. Попробуйте снова через {count} минуту.',
+        few: 'Вы уже отправили несколько сообщений. Попробуйте снова через {count} минуты.',
+        many: 'Вы уже отправили несколько сообщений. Попробуйте снова через {count} минут.',
+        other: 'Вы уже отправили несколько сообщений. Попробуйте снова через {count} минуты.'
+    },
+
+    // Keyboard shortcuts
+    'shortcuts.title': 'Сочетания клавиш',
+    'shortcuts.closeHelp': 'Закрыть список сочетаний клавиш',
+    'shortcuts.scope.global': 'Общие',
+    'shortcuts.scope.modal': 'Диалоги',
+    'shortcuts.scope.video': 'Видеоплеер',
+    'shortcuts.help': 'Показать сочетания клавиш',
+    'shortcuts.palette': 'Открыть палитру команд',
+    'shortcuts.search': 'Поиск по сайту',
+    'shortcuts.toGallery': 'Перейти к галерее',
+    'shortcuts.imageViewer': 'Просмотр изображений',
+    'shortcuts.resumeViewer': 'Просмотр резюме',
+    'shortcuts.close': 'Закрыть',
+    'shortcuts.previousImage': 'Предыдущее изображение',
+    'shortcuts.nextImage': 'Следующее изображение',
+    'shortcuts.zoomIn': 'Увеличить',
+    'shortcuts.zoomOut': 'Уменьшить',
+    'shortcuts.zoomReset': 'Сбросить масштаб',
+    'shortcuts.playPause': 'Воспроизвести или приостановить',
+    'shortcuts.seekBack': 'Назад на {seconds} секунд',
+    'shortcuts.seekForward': 'Вперёд на {seconds} секунд',
+    'shortcuts.volumeUp': 'Громче',
+    'shortcuts.volumeDown': 'Тише',
+    'shortcuts.captions': 'Субтитры',
+    'shortcuts.slower': 'Медленнее',
+    'shortcuts.faster': 'Быстрее',
+    'shortcuts.previousChapter': 'Предыдущая глава',
+    'shortcuts.nextChapter': 'Следующая глава',
+    'shortcuts.start': 'В начало',
+    'shortcuts.end': 'В конец',
+    'shortcuts.jump': 'Перейти к 0–90%',
+
+    // Command palette
+    'palette.dialog': 'Палитра команд',
+    'palette.input': 'Команда',
+    'palette.placeholder': 'Перейти, открыть, переключить или скопировать…',
+    'palette.close': 'Закрыть палитру команд',
+    'palette.commands': 'Команды',
+    'palette.sections': 'На этой странице',
+    'palette.experiences': 'Проекты',
+    'palette.actions': 'Действия',
+    'palette.resume': 'Открыть резюме',
+    'palette.theme': 'Сменить тему',
+    'palette.copyEmail': 'Скопировать адрес почты',
+    'palette.copyPhone': 'Скопировать номер телефона',
+    'palette.shortcuts': 'Показать сочетания клавиш',
+    'palette.searchFor': 'Искать на сайте «{query}»',
+    'palette.none': 'Нет команд по запросу «{query}»',
+    'palette.copied': 'Скопировано: {text}',
+    'palette.copyFailed': 'Не удалось скопировать. Выделите и скопируйте вручную: {text}',
+
+    // Résumé viewer
+    'resume.viewer': 'Резюме',
+    'resume.close': 'Закрыть резюме',
+    'resume.toolbar': 'Управление просмотром резюме',
+    'resume.previousPage': 'Предыдущая страница',
+    'resume.nextPage': 'Следующая страница',
+    'resume.page': 'Страница',
+    'resume.pageCount': 'из {total}',
+    'resume.pageLabel': 'Резюме, страница {page} из {total}',
+    'resume.zoomIn': 'Увеличить',
+    'resume.zoomOut': 'Уменьшить',
+    'resume.fitWidth': 'По ширине',
+    'resume.search': 'Поиск по резюме',
+    'resume.previousMatch': 'Предыдущее совпадение',
+    'resume.nextMatch': 'Следующее совпадение',
+    'resume.match': '{index} из {count}',
+    'resume.noMatches': 'Совпадений нет',
+    'resume.webVersion': 'Веб-версия',
+    'resume.download': 'Скачать',
+    'resume.loading': 'Загружаем резюме…',
+    'resume.error': 'Не удалось показать резюме здесь. Его можно скачать в PDF или прочитать веб-версию.'
+};
@@ -0,0 +1,238 @@
+/**
+ * Motion
+ * Decides whether decorative animation runs: entrance animations, loading
+ * effects, the skill filter's shuffles and smooth scrolling. The state is
+ * one of
+ *
+ *   full      everything plays
+ *   paused    looping effects stop where they are, nothing new starts
+ *   reduced   the visitor asked for less motion (prefers-reduced-motion)
+ *   off       the page turned decorative motion off
+ *
+ * and is kept on <html data-motion>, which css/runtime.css uses to pause or
+ * stop CSS animations and transitions. A page can start paused or off by
+ * writing the attribute into its markup, or switch later through
+ * MotionController. Loading spinners keep turning in every state: they are
+ * the only sign that something is still happening.
+ *
+ * Elements enter as they scroll into view when marked up with data
+ * attributes; the value names the animation class (default "fade-in"), and
+ * elements of one data-reveal-stagger group that come into view together
+ * enter that many milliseconds apart:
+ *
+ *   <div data-reveal-stagger="100">
+ *       <div data-reveal="slide-in">…</div>
+ *       <div data-reveal="slide-in">…</div>
+ *   </div>
+ */
+
+import { createObserver } from './utils.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const MOTION_DEFAULTS = {
+    animation: 'fade-in',
+    stagger: 0,
+    // Later members of a large group don't wait longer than this
+    maxDelay: 600,
+    threshold: 0.1,
+    rootMargin: '0px 0px -50px 0px'
+};
+
+export const MOTION_STATES = ['full', 'paused', 'reduced', 'off'];
+
+const reducedQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+// What the page asked for: null (play), 'paused' or 'off'
+let pageSetting = ['paused', 'off'].includes(document.documentElement.dataset.motion)
+    ? document.documentElement.dataset.motion
+    : null;
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+/**
+ * The current state, one of MOTION_STATES. The visitor's preference wins
+ * over a paused page, a page that turned motion off wins over both.
+ */
+export function getMotionState() {
+    if (pageSetting === 'off') return 'off';
+    if (reducedQuery.matches) return 'reduced';
+    return pageSetting || 'full';
+}
+
+/**
+ * Whether decorative motion may start right now
+ */
+export function allowsMotion() {
+    return getMotionState() === 'full';
+}
+
+export function prefersReducedMotion() {
+    return reducedQuery.matches;
+}
+
+/**
+ * `behavior` for scrollIntoView() and scrollTo()
+ */
+export function scrollBehavior() {
+    return allowsMotion() ? 'smooth' : 'auto';
+}
+
+/**
+ * Write the state to <html data-motion>; dispatches `motionchange` on
+ * document (detail: { state }) when it changed
+ */
+function applyMotionState() {
+    const state = getMotionState();
+    const root = document.documentElement;
+    if (root.dataset.motion === state) return;
+
+    root.dataset.motion = state;
+    document.dispatchEvent(new CustomEvent('motionchange', { detail: { state } }));
+}
+
+// =============================================================================
+// EFFECTS
+// =============================================================================
+
+/**
+ * Add `className` to play a one-off CSS animation on the element (or on its
+ * `pseudo` element, e.g. '::before') and remove it again when the animation
+ * ends. Resolves straight away, without adding the class, when motion is not
+ * allowed. Hidden elements never fire animationend, so the promise also
+ * settles once the animation's own duration has passed.
+ */
+export function playEffect(element, className, { pseudo = '' } = {}) {
+    if (!allowsMotion()) return Promise.resolve();
+
+    element.classList.add(className);
+    const duration = animationTime(getComputedStyle(element, pseudo || null));
+
+    return new Promise(resolve => {
+        let timer = null;
+        const done = () => {
+            clearTimeout(timer);
+            element.removeEventListener('animationend', onEnd);
+            element.classList.remove(className);
+            resolve();
+        };
+        const onEnd = (e) => {
+            if (e.target === element && (e.pseudoElement || '') === pseudo) done();
+        };
+
+        element.addEventListener('animationend', onEnd);
+        if (Number.isFinite(duration)) timer = setTimeout(done, duration + 100);
+    });
+}
+
+/**
+ * Milliseconds until every animation in a computed style has finished,
+ * Infinity for one that loops forever
+ */
+function animationTime(style) {
+    const times = value => value.split(',').map(time => parseFloat(time) * (time.trim().endsWith('ms') ? 1 : 1000) || 0);
+    const durations = times(style.animationDuration);
+    const delays = times(style.animationDelay);
+    const counts = style.animationIterationCount.split(',').map(count => (count.trim() === 'infinite' ? Infinity : Number(count)));
+
+    return Math.max(0, ...durations.map((duration, i) =>
+        (duration ? duration * counts[i % counts.length] : 0) + delays[i % delays.length]));
+}
+
+/**
+ * Give each element its entrance animation class as it scrolls into view.
+ * Elements that come into view together are `stagger` ms apart. Returns the
+ * observer, or null when nothing will animate (the elements are simply
+ * shown).
+ */
+export function revealOnScroll(elements, options = {}) {
+    const { animation, stagger, maxDelay, threshold, rootMargin } = { ...MOTION_DEFAULTS, ...options };
+    const targets = Array.from(elements);
+    if (targets.length === 0 || !allowsMotion()) return null;
+
+    const observer = createObserver((entries) => {
+        entries.filter(entry => entry.isIntersecting).forEach((entry, i) => {
+            const element = entry.target;
+            observer.unobserve(element);
+
+            // Motion was paused or turned off since: leave the element as it is
+            if (!allowsMotion()) return;
+
+            const delay = Math.min(i * stagger, maxDelay);
+            if (delay) element.style.setProperty('--reveal-delay', `${delay}ms`);
+            element.classList.add(element.dataset.reveal || animation);
+        });
+    }, { threshold, rootMargin });
+
+    if (observer) targets.forEach(element => observer.observe(element));
+    return observer;
+}
+
+// =============================================================================
+// CONTROLLER
+// =============================================================================
+
+/**
+ * Motion Controller Handler
+ */
+export class MotionController {
+    constructor(root = document) {
+        this.root = root;
+        this.observers = [];
+
+        this.init();
+    }
+
+    init() {
+        reducedQuery.addEventListener('change', applyMotionState);
+        applyMotionState();
+
+        // [data-reveal] elements, one sequence per data-reveal-stagger group
+        const groups = new Map();
+        this.root.querySelectorAll('[data-reveal]').forEach(element => {
+            const group = element.closest('[data-reveal-stagger]');
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(element);
+        });
+
+        groups.forEach((elements, group) => {
+            const stagger = group ? Number(group.dataset.revealStagger) || 0 : 0;
+            const observer = revealOnScroll(elements, { stagger });
+            if (observer) this.observers.push(observer);
+        });
+    }
+
+    get state() {
+        return getMotionState();
+    }
+
+    /**
+     * Stop looping effects where they are and start no new ones
+     */
+    pause() {
+        this.set('paused');
+    }
+
+    /**
+     * Undo pause() or disable()
+     */
+    resume() {
+        this.set(null);
+    }
+
+    /**
+     * Turn decorative motion off, whatever the visitor's preference
+     */
+    disable() {
+        this.set('off');
+    }
+
+    set(setting) {
+        pageSetting = setting;
+        applyMotionState();
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * In-page navigation: smooth scrolling and keyboard shortcuts
+ */
+
+import { t } from './i18n.js';
+import { scrollBehavior } from './motion.js';
+import { registerShortcut } from './shortcuts.js';
+
+/**
+ * Smooth scroll for internal links
+ */
+export function initializeSmoothScroll() {
+    const internalLinks = document.querySelectorAll('a[href^="#"]');
+
+    internalLinks.forEach(link => {
+        link.addEventListener('click', function (e) {
+            e.preventDefault();
+            const targetId = this.getAttribute('href').substring(1);
+            const targetElement = document.getElementById(targetId);
+
+            if (targetElement) {
+                targetElement.scrollIntoView({
+                    behavior: scrollBehavior(),
+                    block: 'start'
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Keyboard shortcuts for navigation (see js/shortcuts.js)
+ */
+export function initializeKeyboardShortcuts() {
+    const firstGallery = document.querySelector('.image-gallery');
+    if (!firstGallery) return;
+
+    registerShortcut({
+        keys: 'g',
+        group: t('shortcuts.scope.global'),
+        label: t('shortcuts.toGallery'),
+        handler: () => firstGallery.scrollIntoView({ behavior: scrollBehavior() })
+    });
+}
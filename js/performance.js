@@ -0,0 +1,266 @@
+/**
+ * Performance telemetry
+ * Collects the Core Web Vitals (LCP, CLS, INP) and TTFB of the page, plus a
+ * timing for every asset js/asset-loader.js loads (its `assetload` and
+ * `asseterror` events), and sends them in batches with navigator.sendBeacon:
+ *
+ *   - asset timings are queued as they happen and sent MAX_BATCH at a time
+ *   - TTFB is queued once the navigation timing is known
+ *   - LCP, CLS and INP keep changing while the page is open; their current
+ *     values are queued whenever the page is hidden, which is also when the
+ *     queue is sent
+ *
+ * Every batch carries the page view's id, so a collector keeps the last
+ * value it received for each vital. A page sets its endpoint with
+ * data-performance-endpoint on <body> (see readPageConfig() in
+ * js/experience-page.js); without one nothing is measured or sent.
+ * tools/collect-metrics.mjs is a local collector for trying it out:
+ *
+ *   localStorage.setItem('performance-endpoint', 'http://localhost:8787/collect');
+ */
+
+import { readEndpoint } from './endpoints.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const PERFORMANCE_DEFAULTS = {
+    // Where batches are POSTed; empty turns the monitor off
+    endpoint: '',
+    // Share of page views that report anything (0-1)
+    sampleRate: 1,
+    maxBatch: 20
+};
+
+// Overrides the endpoint in one browser (js/endpoints.js)
+const ENDPOINT_STORAGE_KEY = 'performance-endpoint';
+
+// [good, poor] boundaries from web.dev; values in between "need improvement"
+const THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    TTFB: [800, 1800]
+};
+
+// Interactions faster than this never make INP, so the browser need not report them
+const EVENT_DURATION_THRESHOLD = 40;
+
+// =============================================================================
+// MONITOR
+// =============================================================================
+
+/**
+ * Performance Monitor Handler
+ */
+export class PerformanceMonitor {
+    constructor(options = {}) {
+        this.config = { ...PERFORMANCE_DEFAULTS, ...options };
+        this.endpoint = readEndpoint(ENDPOINT_STORAGE_KEY, this.config.endpoint);
+        this.pageViewId = createId();
+        this.queue = [];
+        this.vitals = {};
+        this.reported = {};
+        this.assets = { loaded: 0, failed: 0, retried: 0 };
+        this.observers = [];
+
+        this.init();
+    }
+
+    init() {
+        if (!this.endpoint || Math.random() >= this.config.sampleRate) return;
+
+        this.observeLargestContentfulPaint();
+        this.observeLayoutShifts();
+        this.observeInteractions();
+        this.measureTimeToFirstByte();
+
+        document.addEventListener('assetload', (e) => this.recordAsset(e, 'loaded'));
+        document.addEventListener('asseterror', (e) => this.recordAsset(e, 'failed'));
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.reportVitals();
+        });
+        // Safari does not always fire visibilitychange when a page is unloaded
+        window.addEventListener('pagehide', () => this.reportVitals());
+    }
+
+    // =========================================================================
+    // WEB VITALS
+    // =========================================================================
+
+    observeLargestContentfulPaint() {
+        this.observe('largest-contentful-paint', entries => {
+            this.setVital('LCP', entries[entries.length - 1].startTime);
+        });
+    }
+
+    /**
+     * CLS is the largest burst of unexpected shifts: shifts less than 1s
+     * apart, in a window of at most 5s, add up
+     */
+    observeLayoutShifts() {
+        let burst = 0;
+        let burstStart = 0;
+        let previous = 0;
+
+        this.observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
+
+                if (burst && entry.startTime - previous < 1000 && entry.startTime - burstStart < 5000) {
+                    burst += entry.value;
+                } else {
+                    burst = entry.value;
+                    burstStart = entry.startTime;
+                }
+                previous = entry.startTime;
+
+                this.setVital('CLS', Math.max(this.vitals.CLS?.value ?? 0, burst));
+            });
+        });
+    }
+
+    /**
+     * INP is the slowest interaction, ignoring one in every 50 so a single
+     * outlier on a long visit doesn't define it
+     */
+    observeInteractions() {
+        const durations = new Map();
+
+        const record = entries => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+                durations.set(entry.interactionId, Math.max(durations.get(entry.interactionId) ?? 0, entry.duration));
+            });
+            if (!durations.size) return;
+
+            const sorted = [...durations.values()].sort((a, b) => b - a);
+            const count = performance.interactionCount ?? durations.size;
+            this.setVital('INP', sorted[Math.min(Math.floor(count / 50), sorted.length - 1)]);
+        };
+
+        this.observe('event', record, { durationThreshold: EVENT_DURATION_THRESHOLD });
+        this.observe('first-input', record);
+    }
+
+    measureTimeToFirstByte() {
+        const [navigation] = performance.getEntriesByType?.('navigation') ?? [];
+        if (!navigation) return;
+
+        // Prerendered pages count from when they were shown
+        const value = Math.max(navigation.responseStart - (navigation.activationStart || 0), 0);
+        this.setVital('TTFB', value);
+        this.reportVitals(['TTFB']);
+    }
+
+    setVital(name, value) {
+        this.vitals[name] = { name, value, rating: rate(name, value) };
+    }
+
+    /**
+     * Queue the vitals that changed since they were last queued, then send
+     */
+    reportVitals(names = Object.keys(this.vitals)) {
+        names.forEach(name => {
+            const vital = this.vitals[name];
+            if (!vital || this.reported[name] === vital.value) return;
+
+            this.reported[name] = vital.value;
+            this.queue.push({ type: 'vital', name, value: round(vital.value, name === 'CLS' ? 4 : 0), rating: vital.rating });
+        });
+
+        this.flush();
+    }
+
+    // =========================================================================
+    // ASSETS
+    // =========================================================================
+
+    recordAsset(e, outcome) {
+        const { kind, src, duration, attempts, error } = e.detail;
+
+        this.assets[outcome]++;
+        if (attempts > 1) this.assets.retried++;
+
+        this.queue.push({
+            type: 'asset',
+            kind,
+            src: new URL(src, document.baseURI).pathname,
+            outcome,
+            duration: round(duration, 0),
+            attempts,
+            ...(error ? { error } : {})
+        });
+
+        if (this.queue.length >= this.config.maxBatch) this.flush();
+    }
+
+    // =========================================================================
+    // SENDING
+    // =========================================================================
+
+    /**
+     * Send everything queued as one batch
+     */
+    flush() {
+        if (!this.queue.length) return;
+
+        const batch = {
+            pageViewId: this.pageViewId,
+            page: location.pathname,
+            lang: document.documentElement.lang,
+            connection: navigator.connection?.effectiveType,
+            sentAt: Date.now(),
+            metrics: this.queue.splice(0)
+        };
+
+        // text/plain keeps the request CORS-simple, so a collector on another origin needs no preflight
+        const body = new Blob([JSON.stringify(batch)], { type: 'text/plain' });
+        if (navigator.sendBeacon?.(this.endpoint, body)) return;
+
+        fetch(this.endpoint, { method: 'POST', body, keepalive: true, mode: 'no-cors' }).catch(error => {
+            console.warn('Could not send performance metrics:', error.message);
+        });
+    }
+
+    observe(type, callback, options = {}) {
+        if (!window.PerformanceObserver?.supportedEntryTypes?.includes(type)) return;
+
+        const observer = new PerformanceObserver(list => callback(list.getEntries()));
+        observer.observe({ type, buffered: true, ...options });
+        this.observers.push(observer);
+    }
+
+    destroy() {
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+    }
+}
+
+/**
+ * Start collecting and reporting for this page
+ */
+export function initializePerformanceMonitoring(options) {
+    return new PerformanceMonitor(options);
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function rate(name, value) {
+    const [good, poor] = THRESHOLDS[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function createId() {
+    return crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
@@ -0,0 +1,51 @@
+/**
+ * Responsive image helpers
+ * Generated pages wrap lazy images in <picture> with AVIF/WebP/JPEG
+ * data-srcset candidates (see tools/build-images.mjs). Activating the real
+ * elements lets the browser pick the format and width itself, while the
+ * inline blur-up placeholder stays visible until the chosen candidate loads.
+ */
+
+/**
+ * Whether the image has srcset candidates to activate
+ */
+export function isResponsiveImage(img) {
+    return Boolean(img.dataset.srcset) || img.parentElement?.tagName === 'PICTURE';
+}
+
+/**
+ * Move data-srcset/data-src onto the live attributes so the browser loads
+ * the candidate it picks; the caller listens for load/error on the <img>
+ */
+export function activateResponsiveSources(img, src = img.dataset.src) {
+    const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+
+    if (picture) {
+        picture.querySelectorAll('source[data-srcset]').forEach(source => {
+            source.srcset = source.dataset.srcset;
+        });
+    }
+
+    if (img.dataset.srcset) img.srcset = img.dataset.srcset;
+    img.src = src;
+}
+
+/**
+ * Every candidate URL the browser may pick for the image
+ */
+export function responsiveCandidates(img) {
+    const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+    const srcsets = [
+        ...(picture ? [...picture.querySelectorAll('source')].map(source => source.dataset.srcset || source.srcset) : []),
+        img.dataset.srcset || img.srcset
+    ];
+
+    return srcsets.flatMap(srcset => (srcset || '').split(',').map(candidate => candidate.trim().split(/\s+/)[0])).filter(Boolean);
+}
+
+/**
+ * Full-size URL for viewers such as the image modal
+ */
+export function fullSizeSrc(img) {
+    return img.dataset.full || img.dataset.src || img.currentSrc || img.src;
+}
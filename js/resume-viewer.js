@@ -0,0 +1,565 @@
+/**
+ * Résumé viewer
+ * Opens the PDF behind a [data-resume-viewer] link in a dialog built on the
+ * image viewer's modal shell, rendered with pdf.js:
+ *
+ *   - page navigation: the arrow buttons, the page field, ←/→ and PageUp/PageDown
+ *   - zoom: the zoom buttons, + and -, and 0 to fit the page to the width
+ *   - text search: matches are highlighted on the page, Enter and
+ *     Shift+Enter step through them, Ctrl+F (⌘F) or "/" jump to the field
+ *   - download, and a link to the web version (resume/) when there is one
+ *
+ * The link points at the PDF itself or, with data-pdf naming the PDF, at the
+ * web version; either way it still works without script. Narrow screens,
+ * where a canvas page is hard to read, follow the link instead of opening
+ * the dialog.
+ *
+ * pdf.js is vendored in vendor/pdfjs-dist/ (see tools/build-vendor.mjs) and
+ * precached with the rest of the site, but only imported the first time
+ * the dialog opens. Where it can't load or draw a page the dialog offers the
+ * download and the web version instead.
+ */
+
+import { t } from './i18n.js';
+import { registerShortcut, isTypingTarget } from './shortcuts.js';
+import { ModalShell } from './dialog.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const RESUME_VIEWER_DEFAULTS = {
+    pdfjs: new URL('../vendor/pdfjs-dist/pdf.min.mjs', import.meta.url).href,
+    worker: new URL('../vendor/pdfjs-dist/pdf.worker.min.mjs', import.meta.url).href,
+    // Below this the link is followed instead (the 768px breakpoint of styles.css)
+    media: '(min-width: 769px)',
+    minScale: 0.5,
+    maxScale: 4,
+    zoomStep: 1.25
+};
+
+const TRIGGER_SELECTOR = '[data-resume-viewer]';
+const SEARCH_DELAY = 200;
+
+const DIALOG_TEMPLATE = `
+    <button type="button" class="modal-close" aria-label="${t('resume.close')}">&times;</button>
+    <div class="resume-viewer-toolbar" role="toolbar" aria-label="${t('resume.toolbar')}">
+        <div class="resume-viewer-group">
+            <button type="button" class="resume-viewer-button" data-action="previous-page" aria-label="${t('resume.previousPage')}">&#10094;</button>
+            <input type="number" class="resume-viewer-page" min="1" value="1" inputmode="numeric" aria-label="${t('resume.page')}">
+            <span class="resume-viewer-page-count"></span>
+            <button type="button" class="resume-viewer-button" data-action="next-page" aria-label="${t('resume.nextPage')}">&#10095;</button>
+        </div>
+        <div class="resume-viewer-group">
+            <button type="button" class="resume-viewer-button" data-action="zoom-out" aria-label="${t('resume.zoomOut')}">&minus;</button>
+            <output class="resume-viewer-zoom"></output>
+            <button type="button" class="resume-viewer-button" data-action="zoom-in" aria-label="${t('resume.zoomIn')}">+</button>
+            <button type="button" class="resume-viewer-button" data-action="fit">${t('resume.fitWidth')}</button>
+        </div>
+        <div class="resume-viewer-group">
+            <input type="search" class="resume-viewer-search" placeholder="${t('resume.search')}" aria-label="${t('resume.search')}">
+            <button type="button" class="resume-viewer-button" data-action="previous-match" aria-label="${t('resume.previousMatch')}">&uarr;</button>
+            <button type="button" class="resume-viewer-button" data-action="next-match" aria-label="${t('resume.nextMatch')}">&darr;</button>
+            <span class="resume-viewer-matches" role="status" aria-live="polite"></span>
+        </div>
+        <div class="resume-viewer-group">
+            <a class="resume-viewer-button resume-viewer-web" hidden>${t('resume.webVersion')}</a>
+            <a class="resume-viewer-button resume-viewer-download" download>${t('resume.download')}</a>
+        </div>
+    </div>
+    <div class="resume-viewer-stage">
+        <div class="resume-viewer-sheet">
+            <canvas class="resume-viewer-canvas" role="img"></canvas>
+            <div class="resume-viewer-highlights" aria-hidden="true"></div>
+        </div>
+        <p class="resume-viewer-status" role="status" aria-live="polite"></p>
+    </div>`;
+
+// =============================================================================
+// PDF.JS
+// =============================================================================
+
+let pdfjsLoading = null;
+
+/**
+ * Import pdf.js once; a failed import is forgotten so the next open tries again
+ */
+function loadPdfjs({ pdfjs, worker }) {
+    if (!pdfjsLoading) {
+        pdfjsLoading = import(pdfjs).then(lib => {
+            lib.GlobalWorkerOptions.workerSrc = worker;
+            return lib;
+        });
+        pdfjsLoading.catch(() => {
+            pdfjsLoading = null;
+        });
+    }
+    return pdfjsLoading;
+}
+
+// =============================================================================
+// VIEWER
+// =============================================================================
+
+/**
+ * Résumé Viewer Handler
+ * Options: any of RESUME_VIEWER_DEFAULTS
+ */
+export class ResumeViewer {
+    constructor(options = {}) {
+        this.config = { ...RESUME_VIEWER_DEFAULTS, ...options };
+        this.modal = null;
+        this.pdfjs = null;
+        this.pdf = null;
+        this.pdfUrl = null;
+        this.pageNumber = 1;
+        // null while the page fits the width
+        this.scale = null;
+        this.viewport = null;
+        this.texts = new Map();
+        this.matches = [];
+        this.matchIndex = -1;
+        this.renderToken = 0;
+        this.renderTask = null;
+        this.returnFocus = null;
+
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('click', (e) => {
+            const link = e.target instanceof Element ? e.target.closest(TRIGGER_SELECTOR) : null;
+            // Modified clicks keep their browser meaning; small screens get the page or file itself
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey || e.button !== 0) return;
+            if (!window.matchMedia(this.config.media).matches) return;
+
+            e.preventDefault();
+            this.open(link);
+        });
+
+        this.registerShortcuts();
+    }
+
+    isOpen() {
+        return Boolean(this.shell?.isOpen());
+    }
+
+    /**
+     * Open the viewer for a trigger link, or for a PDF URL
+     */
+    open(source) {
+        const link = source instanceof Element ? source : null;
+        const pdfUrl = new URL(link ? link.dataset.pdf || link.getAttribute('href') : source, document.baseURI).href;
+        const webHref = link?.dataset.pdf ? link.href : null;
+
+        if (!this.modal) this.createModal();
+
+        this.download.href = pdfUrl;
+        this.webLink.hidden = !webHref;
+        if (webHref) this.webLink.href = webHref;
+
+        if (!this.isOpen()) {
+            this.returnFocus = document.activeElement;
+            this.shell.open(this.closeBtn);
+        }
+
+        this.load(pdfUrl);
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.shell.close();
+        this.returnFocus?.focus?.();
+    }
+
+    /**
+     * The image viewer's .modal shell (js/dialog.js) with the viewer's
+     * toolbar and page in it
+     */
+    createModal() {
+        this.modal = document.createElement('div');
+        this.modal.className = 'modal resume-viewer';
+        this.modal.setAttribute('role', 'dialog');
+        this.modal.setAttribute('aria-modal', 'true');
+        this.modal.setAttribute('aria-label', t('resume.viewer'));
+        this.modal.innerHTML = DIALOG_TEMPLATE;
+        document.body.appendChild(this.modal);
+        this.shell = new ModalShell(this.modal);
+
+        this.closeBtn = this.modal.querySelector('.modal-close');
+        this.pageInput = this.modal.querySelector('.resume-viewer-page');
+        this.pageCount = this.modal.querySelector('.resume-viewer-page-count');
+        this.zoomOutput = this.modal.querySelector('.resume-viewer-zoom');
+        this.searchInput = this.modal.querySelector('.resume-viewer-search');
+        this.matchStatus = this.modal.querySelector('.resume-viewer-matches');
+        this.webLink = this.modal.querySelector('.resume-viewer-web');
+        this.download = this.modal.querySelector('.resume-viewer-download');
+        this.stage = this.modal.querySelector('.resume-viewer-stage');
+        this.canvas = this.modal.querySelector('.resume-viewer-canvas');
+        this.highlights = this.modal.querySelector('.resume-viewer-highlights');
+        this.status = this.modal.querySelector('.resume-viewer-status');
+
+        this.closeBtn.addEventListener('click', () => this.close());
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+                return;
+            }
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action) this.runAction(action);
+        });
+
+        this.pageInput.addEventListener('change', () => this.goToPage(Number(this.pageInput.value)));
+
+        let searchTimer = null;
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.search(this.searchInput.value), SEARCH_DELAY);
+        });
+
+        this.modal.addEventListener('keydown', (e) => this.onKeydown(e));
+
+        let resizeFrame = null;
+        window.addEventListener('resize', () => {
+            if (!this.isOpen() || this.scale !== null || resizeFrame) return;
+            resizeFrame = requestAnimationFrame(() => {
+                resizeFrame = null;
+                this.showPage();
+            });
+        });
+    }
+
+    runAction(action) {
+        if (!this.pdf) return;
+
+        if (action === 'previous-page') this.goToPage(this.pageNumber - 1);
+        if (action === 'next-page') this.goToPage(this.pageNumber + 1);
+        if (action === 'zoom-in') this.zoom(this.config.zoomStep);
+        if (action === 'zoom-out') this.zoom(1 / this.config.zoomStep);
+        if (action === 'fit') this.fitWidth();
+        if (action === 'previous-match') this.stepMatch(-1);
+        if (action === 'next-match') this.stepMatch(1);
+    }
+
+    /**
+     * Keys that belong to the dialog's own controls; the shortcuts are
+     * registered below, and ModalShell keeps Tab inside
+     */
+    onKeydown(e) {
+        if (e.key === 'Enter' && e.target === this.searchInput) {
+            e.preventDefault();
+            this.stepMatch(e.shiftKey ? -1 : 1);
+        }
+    }
+
+    /**
+     * "modal" shortcuts while the viewer is open (js/shortcuts.js); only
+     * Escape and Ctrl+F also work while typing in the page or search field
+     */
+    registerShortcuts() {
+        const group = t('shortcuts.resumeViewer');
+        const when = () => this.isOpen();
+        const focusSearch = (e) => {
+            // "/" is typed as usual in the fields
+            if (e.key === '/' && isTypingTarget(e.target)) return false;
+            this.searchInput.focus();
+            this.searchInput.select();
+        };
+
+        [
+            ['Escape', t('shortcuts.close'), () => this.close(), true],
+            [['ArrowLeft', 'PageUp'], t('resume.previousPage'), () => this.runAction('previous-page')],
+            [['ArrowRight', 'PageDown'], t('resume.nextPage'), () => this.runAction('next-page')],
+            [['+', '='], t('resume.zoomIn'), () => this.runAction('zoom-in')],
+            ['-', t('resume.zoomOut'), () => this.runAction('zoom-out')],
+            ['0', t('resume.fitWidth'), () => this.runAction('fit')],
+            [['Mod+F', '/'], t('resume.search'), focusSearch, true]
+        ].forEach(([keys, label, handler, allowInInputs = false]) => {
+            registerShortcut({ keys, scope: 'modal', group, label, when, handler, allowInInputs });
+        });
+    }
+
+    // =========================================================================
+    // DOCUMENT
+    // =========================================================================
+
+    async load(url) {
+        if (url === this.pdfUrl && this.pdf) return;
+
+        this.pdfUrl = url;
+        this.setState('loading', t('resume.loading'));
+
+        try {
+            this.pdfjs = await loadPdfjs(this.config);
+            const pdf = await this.pdfjs.getDocument({ url }).promise;
+            // Another PDF was asked for while this one loaded
+            if (url !== this.pdfUrl) {
+                pdf.destroy();
+                return;
+            }
+
+            this.pdf?.destroy();
+            this.pdf = pdf;
+            this.pageNumber = 1;
+            this.texts.clear();
+            this.pageInput.max = pdf.numPages;
+            this.pageCount.textContent = t('resume.pageCount', { total: pdf.numPages });
+
+            await this.renderPage();
+            this.setState('ready', '');
+            if (this.searchInput.value.trim()) this.search(this.searchInput.value);
+        } catch (error) {
+            if (url !== this.pdfUrl) return;
+            this.fail(error);
+        }
+    }
+
+    /**
+     * Show the error state, which offers the download and the web version;
+     * the PDF is dropped so opening the viewer again starts over
+     */
+    fail(error) {
+        console.error('Résumé viewer could not show the PDF:', error.message);
+        this.renderTask?.cancel();
+        this.pdf?.destroy();
+        this.pdf = null;
+        this.setState('error', t('resume.error'));
+    }
+
+    setState(state, message) {
+        this.modal.dataset.state = state;
+        this.status.textContent = message;
+        this.modal.querySelectorAll('.resume-viewer-toolbar button, .resume-viewer-toolbar input').forEach(control => {
+            control.disabled = state !== 'ready';
+        });
+        if (state === 'ready') this.updateControls();
+    }
+
+    /**
+     * renderPage() for the controls: a page that fails to draw shows the error state
+     */
+    async showPage() {
+        const pdf = this.pdf;
+        try {
+            await this.renderPage();
+        } catch (error) {
+            // Only if that PDF is still the one on screen
+            if (pdf === this.pdf) this.fail(error);
+        }
+    }
+
+    /**
+     * Draw the current page at the current scale; later calls supersede
+     * renders still in progress
+     */
+    async renderPage() {
+        const token = ++this.renderToken;
+        const page = await this.pdf.getPage(this.pageNumber);
+        if (token !== this.renderToken) return;
+
+        const scale = this.scale ?? this.fitScale(page);
+        const viewport = page.getViewport({ scale });
+        const ratio = window.devicePixelRatio || 1;
+
+        this.renderTask?.cancel();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width * ratio);
+        canvas.height = Math.floor(viewport.height * ratio);
+
+        this.renderTask = page.render({
+            canvasContext: canvas.getContext('2d'),
+            viewport,
+            transform: ratio === 1 ? null : [ratio, 0, 0, ratio, 0, 0]
+        });
+
+        try {
+            await this.renderTask.promise;
+        } catch (error) {
+            if (error?.name === 'RenderingCancelledException') return;
+            throw error;
+        }
+        if (token !== this.renderToken) return;
+
+        // Drawn off-screen, then swapped in, so zooming never shows a blank page
+        canvas.className = this.canvas.className;
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', t('resume.pageLabel', { page: this.pageNumber, total: this.pdf.numPages }));
+        canvas.style.width = `${viewport.width}px`;
+        canvas.style.height = `${viewport.height}px`;
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
+        this.viewport = viewport;
+
+        this.drawHighlights();
+        this.updateControls();
+    }
+
+    goToPage(number) {
+        if (!this.pdf) return;
+
+        const page = Math.min(Math.max(Math.round(number) || 1, 1), this.pdf.numPages);
+        this.pageInput.value = page;
+        if (page === this.pageNumber) return;
+
+        this.pageNumber = page;
+        this.stage.scrollTop = 0;
+        this.showPage();
+    }
+
+    // =========================================================================
+    // ZOOM
+    // =========================================================================
+
+    fitScale(page) {
+        const { width } = page.getViewport({ scale: 1 });
+        const styles = getComputedStyle(this.stage);
+        const available = this.stage.clientWidth - parseFloat(styles.paddingLeft) - parseFloat(styles.paddingRight);
+        return Math.min(Math.max(available / width, this.config.minScale), this.config.maxScale);
+    }
+
+    zoom(factor) {
+        const current = this.viewport?.scale ?? 1;
+        this.scale = Math.min(Math.max(current * factor, this.config.minScale), this.config.maxScale);
+        this.showPage();
+    }
+
+    fitWidth() {
+        this.scale = null;
+        this.showPage();
+    }
+
+    updateControls() {
+        if (!this.pdf) return;
+
+        const scale = this.viewport?.scale ?? 1;
+        this.pageInput.value = this.pageNumber;
+        this.zoomOutput.textContent = `${Math.round(scale * 100)}%`;
+        this.setDisabled('previous-page', this.pageNumber <= 1);
+        this.setDisabled('next-page', this.pageNumber >= this.pdf.numPages);
+        this.setDisabled('zoom-out', scale <= this.config.minScale);
+        this.setDisabled('zoom-in', scale >= this.config.maxScale);
+        this.setDisabled('previous-match', this.matches.length < 2);
+        this.setDisabled('next-match', this.matches.length < 2);
+    }
+
+    setDisabled(action, disabled) {
+        const button = this.modal.querySelector(`[data-action="${action}"]`);
+        // Keep focus in the toolbar when the focused button gets disabled
+        if (disabled && button === document.activeElement) this.searchInput.focus();
+        button.disabled = disabled;
+    }
+
+    // =========================================================================
+    // SEARCH
+    // =========================================================================
+
+    /**
+     * The page's text as one string, with the span every text item covers
+     */
+    async pageText(number) {
+        if (!this.texts.has(number)) {
+            const page = await this.pdf.getPage(number);
+            const content = await page.getTextContent();
+            let text = '';
+            const items = content.items.filter(item => 'str' in item).map(item => {
+                const start = text.length;
+                text += item.str + (item.hasEOL ? ' ' : '');
+                return { item, start, end: start + item.str.length };
+            });
+            this.texts.set(number, { text: text.toLowerCase(), items });
+        }
+        return this.texts.get(number);
+    }
+
+    /**
+     * Find every match of `query` in the document; a page whose text can't
+     * be read shows the error state, like one that can't be drawn
+     */
+    async search(query) {
+        const needle = query.trim().toLowerCase().replace(/\s+/g, ' ');
+        const pdf = this.pdf;
+        const matches = [];
+
+        try {
+            for (let number = 1; needle && pdf && number <= pdf.numPages; number++) {
+                const { text } = await this.pageText(number);
+                for (let at = text.indexOf(needle); at !== -1; at = text.indexOf(needle, at + needle.length)) {
+                    matches.push({ page: number, start: at, end: at + needle.length });
+                }
+            }
+        } catch (error) {
+            // A PDF that was replaced or dropped meanwhile ends its search quietly
+            this.matchStatus.textContent = '';
+            if (pdf === this.pdf) this.fail(error);
+            return;
+        }
+
+        // A newer search or another PDF took over while this one ran
+        if (pdf !== this.pdf || query !== this.searchInput.value) return;
+
+        this.matches = matches;
+        this.matchIndex = matches.length ? 0 : -1;
+        this.matchStatus.textContent = needle && !matches.length ? t('resume.noMatches') : '';
+        this.showMatch();
+    }
+
+    stepMatch(step) {
+        if (!this.matches.length) return;
+        this.matchIndex = (this.matchIndex + step + this.matches.length) % this.matches.length;
+        this.showMatch();
+    }
+
+    showMatch() {
+        const match = this.matches[this.matchIndex];
+        if (match) {
+            this.matchStatus.textContent = t('resume.match', { index: this.matchIndex + 1, count: this.matches.length });
+        }
+
+        if (match && match.page !== this.pageNumber) {
+            this.pageNumber = match.page;
+            this.showPage();
+        } else {
+            this.drawHighlights();
+            this.updateControls();
+        }
+    }
+
+    /**
+     * Mark every match on the current page; the current one is scrolled into view
+     */
+    drawHighlights() {
+        this.highlights.replaceChildren();
+        if (!this.viewport || !this.pdfjs) return;
+
+        const { items } = this.texts.get(this.pageNumber) || { items: [] };
+        const current = this.matches[this.matchIndex];
+
+        this.matches.forEach(match => {
+            if (match.page !== this.pageNumber) return;
+
+            items.forEach(({ item, start, end }) => {
+                const from = Math.max(match.start, start);
+                const to = Math.min(match.end, end);
+                if (from >= to || !item.str.length) return;
+
+                // Text items carry their position in PDF space; map it onto the rendered page
+                const [, , c, d, x, y] = this.pdfjs.Util.transform(this.viewport.transform, item.transform);
+                const height = Math.hypot(c, d);
+                const width = item.width * this.viewport.scale;
+
+                const mark = document.createElement('div');
+                mark.className = match === current ? 'resume-viewer-highlight is-current' : 'resume-viewer-highlight';
+                mark.style.left = `${x + width * ((from - start) / item.str.length)}px`;
+                mark.style.top = `${y - height}px`;
+                mark.style.width = `${width * ((to - from) / item.str.length)}px`;
+                mark.style.height = `${height * 1.2}px`;
+                this.highlights.appendChild(mark);
+            });
+        });
+
+        this.highlights.querySelector('.is-current')?.scrollIntoView({ block: 'center', inline: 'nearest' });
+    }
+}
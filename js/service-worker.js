@@ -0,0 +1,56 @@
+/**
+ * Offline support
+ * Registers sw.js (the service worker at the site root, which precaches the
+ * pages, styles and scripts and caches images, video and the résumé as they
+ * are viewed) and lets loaders ask whether it already has an asset, so they
+ * can show it without their loading effects.
+ */
+
+const SERVICE_WORKER_URL = new URL('../sw.js', import.meta.url);
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+/**
+ * Register the service worker once the page has loaded, so its precache
+ * downloads don't compete with the page's own requests
+ */
+export function registerServiceWorker() {
+    // Not available on file:// or plain http:// other than localhost
+    if (!('serviceWorker' in navigator)) return;
+
+    const register = () => {
+        // The worker's imported precache-manifest.js changes on every deploy; never take it from the HTTP cache
+        navigator.serviceWorker.register(SERVICE_WORKER_URL, { updateViaCache: 'none' }).catch(error => {
+            console.warn('Service worker registration failed:', error.message);
+        });
+    };
+
+    if (document.readyState === 'complete') {
+        register();
+    } else {
+        window.addEventListener('load', register, { once: true });
+    }
+}
+
+// =============================================================================
+// CACHE LOOKUPS
+// =============================================================================
+
+/**
+ * Whether the service worker controls the page and has any of `urls`
+ * (relative to the page) cached
+ */
+export async function isCached(urls) {
+    if (!navigator.serviceWorker?.controller || !('caches' in window)) return false;
+
+    try {
+        for (const url of urls) {
+            if (await caches.match(new URL(url, document.baseURI).href, { ignoreVary: true })) return true;
+        }
+    } catch {
+        // Storage can be blocked; treat everything as uncached
+    }
+    return false;
+}
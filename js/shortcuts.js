@@ -0,0 +1,343 @@
+/**
+ * Keyboard shortcuts
+ * One keydown listener for the whole page. Modules register what their keys
+ * do instead of listening on document themselves:
+ *
+ *   registerShortcut({
+ *       keys: ['ArrowLeft', 'PageUp'],
+ *       scope: 'modal',
+ *       group: t('shortcuts.imageViewer'),
+ *       label: t('shortcuts.previousImage'),
+ *       when: () => imageModal.isOpen(),
+ *       handler: () => imageModal.showPrevImage()
+ *   });
+ *
+ * Keys are KeyboardEvent.key values, with modifiers in front: "g", "?",
+ * "Shift+Enter", "Mod+K" (Ctrl, or ⌘ on macOS). Letters match in either
+ * case, and characters typed with Shift ("?", "<") are written without it.
+ *
+ * Every binding has a scope:
+ *
+ *   global   anywhere on the page while no dialog is open
+ *   modal    while a dialog is open (body.modal-open); `when` tells the
+ *            dialogs apart
+ *   video    while focus is inside the binding's `element`, a video player;
+ *            keys the player doesn't use fall through to global
+ *
+ * Shortcuts stay quiet while the visitor types in a text field unless the
+ * binding sets allowInInputs. A handler that returns false leaves the key
+ * to the browser and to other bindings.
+ *
+ * "?" opens ShortcutHelp, a list of every shortcut registered on the page.
+ * Bindings without a label work but aren't listed.
+ */
+
+import { t } from './i18n.js';
+import { setBackgroundInert, trapFocus } from './dialog.js';
+
+export const SHORTCUT_SCOPES = ['global', 'modal', 'video'];
+
+const MODIFIERS = ['Mod', 'Alt', 'Shift'];
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+const KEY_LABELS = {
+    Mod: IS_MAC ? '⌘' : 'Ctrl',
+    Alt: IS_MAC ? '⌥' : 'Alt',
+    Shift: 'Shift',
+    Escape: 'Esc',
+    Space: 'Space',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    PageUp: 'Page Up',
+    PageDown: 'Page Down'
+};
+// Inputs that take typed text; range sliders, checkboxes and buttons don't
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'password', 'number', 'date', 'datetime-local', 'month', 'time', 'week'];
+
+const HELP_TEMPLATE = `
+    <div class="shortcut-help-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcutHelpTitle">
+        <div class="shortcut-help-header">
+            <h2 class="shortcut-help-title" id="shortcutHelpTitle">${t('shortcuts.title')}</h2>
+            <button type="button" class="search-close shortcut-help-close" aria-label="${t('shortcuts.closeHelp')}">Esc</button>
+        </div>
+        <div class="shortcut-help-groups" tabindex="0"></div>
+    </div>`;
+
+// =============================================================================
+// KEYS
+// =============================================================================
+
+/**
+ * "ctrl+k" / "Meta+K" -> "Mod+k"; modifiers in a fixed order, letters in lower case
+ */
+export function normalizeKeys(keys) {
+    // "+" on its own, or as the last part, is the plus key
+    const parts = keys.split(/\+(?!$)/);
+    const key = parts.pop();
+    const modifiers = new Set(parts.map(part => (/^(ctrl|control|meta|cmd)$/i.test(part) ? 'Mod' : part)));
+
+    return [...MODIFIERS.filter(modifier => modifiers.has(modifier)), normalizeKey(key)].join('+');
+}
+
+/**
+ * The keys of a keydown event in normalizeKeys() form
+ */
+export function eventKeys(e) {
+    const key = normalizeKey(e.key);
+    const modifiers = [];
+
+    if (e.ctrlKey || e.metaKey) modifiers.push('Mod');
+    if (e.altKey) modifiers.push('Alt');
+    // For characters Shift is already part of the key ("?", "<", "G")
+    if (e.shiftKey && key.length > 1) modifiers.push('Shift');
+
+    return [...modifiers, key].join('+');
+}
+
+function normalizeKey(key) {
+    if (key === ' ') return 'Space';
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * "Mod+k" -> ['Ctrl', 'K'] (['⌘', 'K'] on macOS), one label per key cap
+ */
+export function keyCaps(keys) {
+    return normalizeKeys(keys).split(/\+(?!$)/).map(part => KEY_LABELS[part] || (part.length === 1 ? part.toUpperCase() : part));
+}
+
+export function isTypingTarget(target) {
+    if (!(target instanceof Element)) return false;
+    if (target.tagName === 'INPUT') return TEXT_INPUT_TYPES.includes(target.type);
+    return target.isContentEditable || /^(TEXTAREA|SELECT)$/.test(target.tagName);
+}
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+/**
+ * Shortcut Registry
+ * Use the `shortcuts` instance below; the page has one keydown listener.
+ */
+class ShortcutRegistry {
+    constructor() {
+        this.bindings = [];
+        this.listening = false;
+    }
+
+    /**
+     * Add a binding:
+     *   keys           one key combination or a list of them
+     *   scope          one of SHORTCUT_SCOPES (default "global")
+     *   handler(e)     runs on the key; return false to let it pass
+     *   group, label   how ShortcutHelp lists it
+     *   display        text to list instead of the keys, e.g. "0–9"
+     *   when()         the binding only applies while this returns true
+     *   element        for "video": the player focus has to be inside
+     *   allowInInputs  also fire while typing in a text field
+     *
+     * Returns a function that removes the binding again.
+     */
+    register(binding) {
+        if (!SHORTCUT_SCOPES.includes(binding.scope ?? 'global')) {
+            throw new Error(`Unknown shortcut scope "${binding.scope}"`);
+        }
+
+        const entry = {
+            scope: 'global',
+            ...binding,
+            keys: [].concat(binding.keys).map(normalizeKeys)
+        };
+        this.bindings.push(entry);
+        this.listen();
+
+        return () => {
+            this.bindings = this.bindings.filter(other => other !== entry);
+        };
+    }
+
+    listen() {
+        if (this.listening) return;
+        this.listening = true;
+        document.addEventListener('keydown', (e) => this.handle(e));
+    }
+
+    handle(e) {
+        if (e.defaultPrevented || e.isComposing) return;
+
+        const keys = eventKeys(e);
+        const typing = isTypingTarget(e.target);
+        const scopes = document.body.classList.contains('modal-open') ? ['modal'] : ['video', 'global'];
+
+        for (const scope of scopes) {
+            for (const binding of this.bindings) {
+                if (binding.scope !== scope || !binding.keys.includes(keys)) continue;
+                if (binding.element && !(e.target instanceof Node && binding.element.contains(e.target))) continue;
+                if (scope === 'video' && !binding.element) continue;
+                if (typing && !binding.allowInInputs) continue;
+                if (binding.when && !binding.when()) continue;
+                if (binding.handler(e) === false) continue;
+
+                e.preventDefault();
+                return;
+            }
+        }
+    }
+
+    /**
+     * The labelled bindings as [{ group, shortcuts: [{ keys, display, label }] }],
+     * in registration order; the same label within a group is listed once
+     * (every video player registers the same keys)
+     */
+    list() {
+        const groups = new Map();
+
+        this.bindings.filter(binding => binding.label).forEach(binding => {
+            const group = binding.group || t(`shortcuts.scope.${binding.scope}`);
+            if (!groups.has(group)) groups.set(group, new Map());
+
+            const shortcuts = groups.get(group);
+            const listed = shortcuts.get(binding.label);
+            if (listed) {
+                listed.keys = [...new Set([...listed.keys, ...binding.keys])];
+            } else {
+                shortcuts.set(binding.label, { keys: binding.keys, display: binding.display, label: binding.label });
+            }
+        });
+
+        return [...groups].map(([group, shortcuts]) => ({ group, shortcuts: [...shortcuts.values()] }));
+    }
+}
+
+export const shortcuts = new ShortcutRegistry();
+
+export function registerShortcut(binding) {
+    return shortcuts.register(binding);
+}
+
+// =============================================================================
+// HELP
+// =============================================================================
+
+/**
+ * Shortcut Help Handler
+ * The "?" overlay; lists whatever is registered when it opens, so the keys
+ * of modules set up later are included.
+ */
+export class ShortcutHelp {
+    constructor() {
+        this.overlay = null;
+        this.restoreBackground = null;
+        this.returnFocus = null;
+
+        this.init();
+    }
+
+    init() {
+        registerShortcut({
+            keys: '?',
+            group: t('shortcuts.scope.global'),
+            label: t('shortcuts.help'),
+            handler: () => this.open()
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.overlay && !this.overlay.hidden);
+    }
+
+    open() {
+        if (!this.overlay) this.createOverlay();
+
+        this.render();
+
+        if (!this.isOpen()) {
+            this.returnFocus = document.activeElement;
+            this.overlay.hidden = false;
+            document.body.classList.add('shortcuts-open');
+            this.restoreBackground = setBackgroundInert(this.overlay);
+        }
+
+        this.closeBtn.focus();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.overlay.hidden = true;
+        document.body.classList.remove('shortcuts-open');
+        this.restoreBackground?.();
+        this.restoreBackground = null;
+        this.returnFocus?.focus?.();
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'search-overlay shortcut-help';
+        this.overlay.hidden = true;
+        this.overlay.innerHTML = HELP_TEMPLATE;
+        document.body.appendChild(this.overlay);
+
+        this.groups = this.overlay.querySelector('.shortcut-help-groups');
+        this.closeBtn = this.overlay.querySelector('.shortcut-help-close');
+
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        // The keys listed here must not fire while the list is open
+        this.overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' || e.key === '?') {
+                e.preventDefault();
+                this.close();
+            } else if (e.key === 'Tab') {
+                // Focus goes between the close button and the (scrollable) list
+                trapFocus(e, this.overlay);
+            }
+            e.stopPropagation();
+        });
+    }
+
+    render() {
+        this.groups.replaceChildren(...shortcuts.list().map(({ group, shortcuts: entries }) => {
+            const section = document.createElement('section');
+            section.className = 'shortcut-help-group';
+
+            const heading = document.createElement('h3');
+            heading.textContent = group;
+
+            const list = document.createElement('dl');
+            entries.forEach(({ keys, display, label }) => {
+                const term = document.createElement('dt');
+                if (display) {
+                    term.append(kbd(display));
+                } else {
+                    keys.forEach((combo, i) => {
+                        if (i > 0) term.append(' / ');
+                        keyCaps(combo).forEach((cap, j) => {
+                            if (j > 0) term.append('+');
+                            term.append(kbd(cap));
+                        });
+                    });
+                }
+
+                const description = document.createElement('dd');
+                description.textContent = label;
+
+                list.append(term, description);
+            });
+
+            section.append(heading, list);
+            return section;
+        }));
+    }
+}
+
+function kbd(text) {
+    const element = document.createElement('kbd');
+    element.textContent = text;
+    return element;
+}
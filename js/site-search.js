@@ -0,0 +1,424 @@
+/**
+ * Site search overlay
+ * Opened with "/" on any page, from the command palette (Ctrl+K), or by a
+ * [data-search-open] button. Searches the index of the page's language
+ * (search-index.json, ru/search-index.json, ...), which tools/build-pages.mjs
+ * generates from the experience pages and the homepage skills, and links each
+ * result to the section it appears in, e.g. experiences/AIAA/#challenge.
+ *
+ * Matching is forgiving: every query word has to match a word in the entry
+ * exactly, as a prefix, as a substring or with one typo, and matches in
+ * titles count double. The index is only fetched the first time the overlay
+ * opens.
+ */
+
+import { DEFAULT_LOCALE, getLocale, t } from './i18n.js';
+import { scrollBehavior } from './motion.js';
+import { registerShortcut } from './shortcuts.js';
+import { setBackgroundInert } from './dialog.js';
+
+// The English index sits at the site root, one level above this module, and
+// each translation's in its own directory (ru/search-index.json)
+const INDEX_URL = new URL(`../${getLocale() === DEFAULT_LOCALE ? '' : `${getLocale()}/`}search-index.json`, import.meta.url);
+const MAX_RESULTS = 20;
+const SNIPPET_RADIUS = 60;
+// Shorter words are too ambiguous for typo matching
+const FUZZY_MIN_LENGTH = 4;
+
+const OVERLAY_TEMPLATE = `
+    <div class="search-dialog" role="dialog" aria-modal="true" aria-label="${t('search.dialog')}">
+        <div class="search-field">
+            <input type="search" class="search-input" role="combobox" aria-label="${t('search.input')}"
+                aria-expanded="false" aria-controls="searchResults" aria-autocomplete="list"
+                placeholder="${t('search.placeholder')}" autocomplete="off" spellcheck="false">
+            <button type="button" class="search-close" aria-label="${t('search.close')}">Esc</button>
+        </div>
+        <p class="search-status" role="status" aria-live="polite"></p>
+        <ul class="search-results" id="searchResults" role="listbox" aria-label="${t('search.results')}"></ul>
+    </div>`;
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+/**
+ * Lowercase words of `text`; keeps "+" and "#" so C++ and C# stay searchable
+ */
+export function tokenize(text) {
+    return text.toLowerCase().split(/[^\p{L}\p{N}+#]+/u).filter(Boolean);
+}
+
+/**
+ * Score one prepared entry against the query terms: { score, words } with
+ * the entry words that matched, or null when any term matches nothing
+ */
+export function scoreEntry(entry, terms) {
+    const words = new Set();
+    let score = 0;
+
+    for (const term of terms) {
+        let best = 0;
+        let bestWord = null;
+
+        [[entry.titleWords, 2], [entry.textWords, 1]].forEach(([candidates, weight]) => {
+            candidates.forEach(word => {
+                const value = matchWord(term, word) * weight;
+                if (value > best) {
+                    best = value;
+                    bestWord = word;
+                }
+            });
+        });
+
+        if (!bestWord) return null;
+        score += best;
+        words.add(bestWord);
+    }
+
+    return { score, words };
+}
+
+function matchWord(term, word) {
+    if (word === term) return 3;
+    if (word.startsWith(term)) return 2;
+    if (term.length >= 3 && word.includes(term)) return 1.5;
+
+    if (term.length >= FUZZY_MIN_LENGTH &&
+        (withinOneEdit(term, word) || withinOneEdit(term, word.slice(0, term.length)))) {
+        return 1;
+    }
+    return 0;
+}
+
+/**
+ * Whether `a` becomes `b` with at most one insertion, deletion,
+ * substitution or swap of neighbouring letters
+ */
+function withinOneEdit(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    if (i === a.length || i === b.length) return true;
+
+    return a.slice(i + 1) === b.slice(i + 1) ||
+        a.slice(i) === b.slice(i + 1) ||
+        a.slice(i + 1) === b.slice(i) ||
+        (a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2));
+}
+
+/**
+ * Part of `text` around the first matched word, with ellipses where it was cut
+ */
+export function snippet(text, words) {
+    const lower = text.toLowerCase();
+    const positions = [...words].map(word => lower.indexOf(word)).filter(index => index !== -1);
+    const first = positions.length ? Math.min(...positions) : 0;
+
+    let start = Math.max(0, first - SNIPPET_RADIUS);
+    let end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+
+    // Cut at word boundaries
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > first ? text.lastIndexOf(' ', end) : end;
+
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Fragment of `text` with every matched word wrapped in <mark>
+ */
+function highlight(text, words) {
+    const fragment = document.createDocumentFragment();
+    if (words.size === 0) {
+        fragment.append(text);
+        return fragment;
+    }
+
+    const escaped = [...words].sort((a, b) => b.length - a.length).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    text.split(new RegExp(`(${escaped.join('|')})`, 'giu')).forEach((part, i) => {
+        if (!part) return;
+        if (i % 2 === 1) {
+            const mark = document.createElement('mark');
+            mark.textContent = part;
+            fragment.append(mark);
+        } else {
+            fragment.append(part);
+        }
+    });
+
+    return fragment;
+}
+
+// =============================================================================
+// OVERLAY
+// =============================================================================
+
+/**
+ * Site Search Handler
+ */
+export class SiteSearch {
+    constructor({ indexUrl = INDEX_URL } = {}) {
+        this.indexUrl = new URL(indexUrl, location.href);
+        this.entries = null;
+        this.loading = null;
+        this.overlay = null;
+        this.results = [];
+        this.activeIndex = -1;
+        this.restoreBackground = null;
+        this.returnFocus = null;
+
+        this.init();
+    }
+
+    init() {
+        // A global shortcut, so it doesn't open on top of the image viewer or while typing
+        registerShortcut({
+            keys: '/',
+            group: t('shortcuts.scope.global'),
+            label: t('shortcuts.search'),
+            handler: () => this.open()
+        });
+
+        document.addEventListener('click', (e) => {
+            const trigger = e.target instanceof Element ? e.target.closest('[data-search-open]') : null;
+            if (trigger) {
+                e.preventDefault();
+                this.open();
+            }
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.overlay && !this.overlay.hidden);
+    }
+
+    /**
+     * Open the overlay, optionally with a query already typed in
+     */
+    open(query = null) {
+        if (!this.overlay) this.createOverlay();
+
+        if (!this.isOpen()) {
+            this.returnFocus = document.activeElement;
+            this.overlay.hidden = false;
+            document.body.classList.add('search-open');
+            this.restoreBackground = setBackgroundInert(this.overlay);
+        }
+
+        if (query !== null) this.input.value = query;
+        this.input.focus();
+        this.input.select();
+
+        this.loadIndex().then(() => this.search(), () => {});
+        this.search();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.overlay.hidden = true;
+        document.body.classList.remove('search-open');
+        this.restoreBackground?.();
+        this.restoreBackground = null;
+        this.returnFocus?.focus?.();
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'search-overlay';
+        this.overlay.hidden = true;
+        this.overlay.innerHTML = OVERLAY_TEMPLATE;
+        document.body.appendChild(this.overlay);
+
+        this.input = this.overlay.querySelector('.search-input');
+        this.status = this.overlay.querySelector('.search-status');
+        this.list = this.overlay.querySelector('.search-results');
+        this.closeBtn = this.overlay.querySelector('.search-close');
+
+        this.input.addEventListener('input', () => this.search());
+        this.closeBtn.addEventListener('click', () => this.close());
+
+        // Clicking the backdrop closes
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('[role="option"]');
+            // Let modified clicks open the result in a new tab
+            if (!item || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+            e.preventDefault();
+            this.go(this.results[Number(item.dataset.index)]);
+        });
+
+        this.list.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('[role="option"]');
+            if (item) this.setActive(Number(item.dataset.index));
+        });
+
+        // Page-level shortcuts (gallery, image viewer) must not see keys typed here
+        this.overlay.addEventListener('keydown', (e) => {
+            this.onKeydown(e);
+            e.stopPropagation();
+        });
+    }
+
+    onKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+        } else if (e.key === 'Enter' && e.target === this.input) {
+            e.preventDefault();
+            const result = this.results[Math.max(this.activeIndex, 0)];
+            if (result) this.go(result);
+        } else if (e.key === 'Tab') {
+            // Only the field and the close button take focus; results are reached with the arrows
+            e.preventDefault();
+            (document.activeElement === this.input ? this.closeBtn : this.input).focus();
+        }
+    }
+
+    // =========================================================================
+    // INDEX AND RESULTS
+    // =========================================================================
+
+    loadIndex() {
+        if (!this.loading) {
+            this.loading = fetch(this.indexUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(entries => {
+                    this.entries = entries.map(entry => ({
+                        ...entry,
+                        titleWords: new Set(tokenize(entry.title)),
+                        textWords: new Set(tokenize(`${entry.text} ${entry.section}`))
+                    }));
+                })
+                .catch(error => {
+                    console.error('Failed to load the search index:', error.message);
+                    // Let the next open try again
+                    this.loading = null;
+                    this.setStatus(t('search.unavailable'));
+                    throw error;
+                });
+        }
+        return this.loading;
+    }
+
+    search() {
+        if (!this.entries) {
+            if (this.loading) this.setStatus(t('search.loading'));
+            return;
+        }
+
+        const query = this.input.value.trim();
+        const terms = tokenize(query);
+
+        this.results = terms.length === 0 ? [] : this.entries
+            .map(entry => ({ entry, match: scoreEntry(entry, terms) }))
+            .filter(result => result.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .slice(0, MAX_RESULTS);
+
+        this.renderResults();
+
+        if (terms.length === 0) {
+            this.setStatus('');
+        } else if (this.results.length === 0) {
+            this.setStatus(t('search.none', { query }));
+        } else {
+            this.setStatus(t('search.count', { count: this.results.length }));
+        }
+    }
+
+    renderResults() {
+        this.list.replaceChildren(...this.results.map(({ entry, match }, index) => {
+            const item = document.createElement('li');
+            item.id = `search-result-${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+            item.dataset.index = index;
+
+            const link = document.createElement('a');
+            link.className = 'search-result';
+            link.href = new URL(entry.url, this.indexUrl).href;
+            link.tabIndex = -1;
+
+            const title = document.createElement('span');
+            title.className = 'search-result-title';
+            title.append(highlight(entry.title, match.words));
+
+            const context = document.createElement('span');
+            context.className = 'search-result-context';
+            context.textContent = entry.page === entry.section ? entry.page : `${entry.page} › ${entry.section}`;
+
+            link.append(title, context);
+
+            if (entry.text) {
+                const text = document.createElement('span');
+                text.className = 'search-result-snippet';
+                text.append(highlight(snippet(entry.text, match.words), match.words));
+                link.append(text);
+            }
+
+            item.appendChild(link);
+            return item;
+        }));
+
+        this.input.setAttribute('aria-expanded', String(this.results.length > 0));
+        this.setActive(this.results.length ? 0 : -1);
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+
+        [...this.list.children].forEach((item, i) => {
+            item.setAttribute('aria-selected', String(i === index));
+            item.classList.toggle('active', i === index);
+        });
+
+        const active = this.list.children[index];
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    setStatus(text) {
+        // The command palette loads the index before the overlay may exist
+        if (this.status) this.status.textContent = text;
+    }
+
+    /**
+     * Follow a result; on the current page that is just a scroll to the section
+     */
+    go({ entry }) {
+        const url = new URL(entry.url, this.indexUrl);
+
+        if (url.origin !== location.origin || url.pathname !== location.pathname) {
+            location.href = url.href;
+            return;
+        }
+
+        this.returnFocus = null;
+        this.close();
+
+        const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+        if (target) {
+            history.pushState(history.state, '', url.hash);
+            target.scrollIntoView({ behavior: scrollBehavior(), block: 'start' });
+        } else {
+            window.scrollTo({ top: 0, behavior: scrollBehavior() });
+        }
+    }
+}
@@ -0,0 +1,376 @@
+/**
+ * Skill filter for the homepage
+ * Turns the .skill-tag spans into toggle buttons that filter the
+ * .experience-item tiles by the "|"-separated skills in their data-skills
+ * (generated from each experience's tech pills and tech badges). Several skills can be
+ * selected and combined with "all" (AND) or "any" (OR). The selection lives
+ * in the URL so filtered views can be shared:
+ *
+ *   /?skill=Python&skill=Cantera&match=any
+ *
+ * A skill matches an experience when one of its tech entries contains it as
+ * a whole phrase, so "Linux" matches "Linux Server" and "Computational Fluid
+ * Dynamics (CFD)" matches "Converge CFD" through its abbreviation.
+ */
+
+import { t } from './i18n.js';
+import { allowsMotion } from './motion.js';
+
+const TAG_SELECTOR = '.skill-tag';
+const ITEM_SELECTOR = '.experience-item';
+const SKILL_PARAM = 'skill';
+const MATCH_PARAM = 'match';
+const FADE_MS = 200;
+const MOVE_MS = 350;
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+/**
+ * Word lists a skill name stands for: "Agile/Scrum" is either word,
+ * "Computational Fluid Dynamics (CFD)" is the phrase or the abbreviation
+ * and "Japanese (Advanced)" is just "Japanese"
+ */
+export function skillTerms(name) {
+    const terms = [];
+    // Only capitals count as an abbreviation; "English (Fluent)" is a qualifier
+    const abbreviation = name.match(/\(([A-Z0-9&+.-]{2,})\)/);
+
+    if (abbreviation) terms.push(abbreviation[1]);
+    name.replace(/\([^)]*\)/g, ' ').split('/').forEach(part => terms.push(part));
+
+    return terms.map(words).filter(list => list.length > 0);
+}
+
+/**
+ * Whether any of the `skills` of an experience covers the skill `name`
+ */
+export function matchesSkill(name, skills) {
+    const wanted = skillTerms(name);
+    return skills.some(skill => skillTerms(skill).some(have =>
+        wanted.some(terms => containsPhrase(have, terms))));
+}
+
+function words(text) {
+    return text.toLowerCase()
+        .split(/[^\p{L}\p{N}+#.]+/u)
+        .map(word => word.replace(/^\.+|\.+$/g, ''))
+        .filter(Boolean)
+        // "Gantt Charts" and "Gantt Chart" are the same skill
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+function containsPhrase(haystack, phrase) {
+    for (let i = 0; i + phrase.length <= haystack.length; i++) {
+        if (phrase.every((word, j) => haystack[i + j] === word)) return true;
+    }
+    return false;
+}
+
+// =============================================================================
+// FILTER
+// =============================================================================
+
+/**
+ * Skill Filter Handler
+ */
+export class SkillFilter {
+    constructor() {
+        this.tags = [...document.querySelectorAll(TAG_SELECTOR)];
+        this.items = [...document.querySelectorAll(ITEM_SELECTOR)];
+        this.grid = this.items[0]?.parentElement;
+        this.selected = [];
+        this.mode = 'all';
+        this.applying = 0;
+
+        this.init();
+    }
+
+    init() {
+        if (!this.grid) return;
+
+        this.itemSkills = new Map(this.items.map(item => [item, parseSkills(item)]));
+        this.createToolbar();
+        this.initializeTags();
+
+        // Skills from an old or hand-written link that no tile has are dropped from the URL too
+        const ignored = this.readUrl();
+        this.update({ animate: false, writeUrl: ignored > 0 });
+    }
+
+    /**
+     * Make every tag that matches at least one experience a toggle button
+     */
+    initializeTags() {
+        this.tags.forEach(tag => {
+            const count = this.matchingItems([tag.textContent.trim()], 'all').length;
+            if (count === 0) return;
+
+            tag.classList.add('is-filterable');
+            tag.tabIndex = 0;
+            tag.setAttribute('role', 'button');
+            tag.setAttribute('aria-pressed', 'false');
+            tag.title = t('filter.tagTitle', { count, skill: tag.textContent.trim() });
+
+            tag.addEventListener('click', () => this.toggle(tag.textContent.trim()));
+            tag.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.toggle(tag.textContent.trim());
+                }
+            });
+        });
+    }
+
+    createToolbar() {
+        this.toolbar = document.createElement('div');
+        this.toolbar.className = 'skill-filter';
+        this.toolbar.setAttribute('role', 'region');
+        this.toolbar.setAttribute('aria-label', t('filter.region'));
+        this.toolbar.hidden = true;
+        this.toolbar.innerHTML = `
+            <p class="skill-filter-summary" aria-live="polite"></p>
+            <div class="skill-filter-chips"></div>
+            <div class="skill-filter-mode" role="group" aria-label="${t('filter.match')}">
+                <button type="button" data-mode="all" aria-pressed="true">${t('filter.all')}</button>
+                <button type="button" data-mode="any" aria-pressed="false">${t('filter.any')}</button>
+            </div>
+            <button type="button" class="skill-filter-clear">${t('filter.clear')}</button>`;
+
+        this.summary = this.toolbar.querySelector('.skill-filter-summary');
+        this.chips = this.toolbar.querySelector('.skill-filter-chips');
+        this.modeGroup = this.toolbar.querySelector('.skill-filter-mode');
+
+        this.modeGroup.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-mode]');
+            if (button) this.setMode(button.dataset.mode);
+        });
+        this.toolbar.querySelector('.skill-filter-clear').addEventListener('click', () => {
+            this.clear();
+            this.firstVisibleLink()?.focus();
+        });
+
+        this.grid.before(this.toolbar);
+
+        // A shortcut from the skills card down to the filtered list
+        this.jumpLink = document.createElement('a');
+        this.jumpLink.className = 'skill-filter-jump';
+        this.jumpLink.href = `#${this.grid.closest('section[id]')?.id || ''}`;
+        this.jumpLink.hidden = true;
+        document.querySelector('.skills-grid')?.after(this.jumpLink);
+    }
+
+    // =========================================================================
+    // SELECTION
+    // =========================================================================
+
+    toggle(skill) {
+        const index = this.findSelected(skill);
+        if (index === -1) {
+            this.selected.push(skill);
+        } else {
+            this.selected.splice(index, 1);
+        }
+        this.update();
+    }
+
+    /**
+     * Filter by exactly these skills; `mode` is "all" (AND) or "any" (OR).
+     * Skills no experience has are left out.
+     */
+    select(skills, mode = this.mode) {
+        this.selected = skills.filter(skill => this.isMatched(skill));
+        this.mode = mode === 'any' ? 'any' : 'all';
+        this.update();
+    }
+
+    setMode(mode) {
+        this.mode = mode === 'any' ? 'any' : 'all';
+        this.update();
+    }
+
+    clear() {
+        this.selected = [];
+        this.update();
+    }
+
+    firstVisibleLink() {
+        return this.items.find(item => !item.hidden)?.querySelector('a[href]');
+    }
+
+    /**
+     * Whether at least one experience has the skill
+     */
+    isMatched(skill) {
+        return this.matchingItems([skill], 'all').length > 0;
+    }
+
+    findSelected(skill) {
+        return this.selected.findIndex(name => name.toLowerCase() === skill.toLowerCase());
+    }
+
+    matchingItems(skills = this.selected, mode = this.mode) {
+        if (skills.length === 0) return this.items;
+
+        return this.items.filter(item => {
+            const have = this.itemSkills.get(item);
+            const test = skill => matchesSkill(skill, have);
+            return mode === 'any' ? skills.some(test) : skills.every(test);
+        });
+    }
+
+    // =========================================================================
+    // RENDERING
+    // =========================================================================
+
+    update({ animate = allowsMotion(), writeUrl = true } = {}) {
+        const matches = new Set(this.matchingItems());
+
+        this.tags.forEach(tag => {
+            if (tag.classList.contains('is-filterable')) {
+                tag.setAttribute('aria-pressed', String(this.findSelected(tag.textContent.trim()) !== -1));
+            }
+        });
+
+        this.renderToolbar(matches.size);
+        this.applyToItems(matches, animate);
+        if (writeUrl) this.writeUrl();
+    }
+
+    renderToolbar(count) {
+        const active = this.selected.length > 0;
+        const total = this.items.length;
+
+        this.toolbar.hidden = !active;
+        this.jumpLink.hidden = !active;
+        this.modeGroup.hidden = this.selected.length < 2;
+        this.grid.classList.toggle('is-filtered', active);
+
+        this.modeGroup.querySelectorAll('[data-mode]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.mode === this.mode));
+        });
+
+        this.chips.replaceChildren(...this.selected.map(skill => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'skill-filter-chip';
+            chip.textContent = skill;
+            chip.setAttribute('aria-label', t('filter.remove', { skill }));
+            chip.addEventListener('click', () => {
+                this.toggle(skill);
+                // The chip is gone; keep focus in the filter or on the list it controls
+                (this.chips.firstElementChild || this.firstVisibleLink())?.focus();
+            });
+            return chip;
+        }));
+
+        const text = count === 0
+            ? t('filter.none')
+            : t('filter.showing', { shown: count, count: total });
+        this.summary.textContent = active ? text : '';
+        this.jumpLink.textContent = `${text} ↓`;
+    }
+
+    /**
+     * Fade out tiles that no longer match, then let the rest slide into
+     * their new positions (FLIP) while new matches fade in
+     */
+    applyToItems(matches, animate) {
+        const run = ++this.applying;
+        const leaving = this.items.filter(item => !item.hidden && !matches.has(item));
+
+        const reflow = () => {
+            if (run !== this.applying) return;
+
+            const before = new Map(this.items.map(item => [item, item.hidden ? null : item.getBoundingClientRect()]));
+
+            this.items.forEach(item => {
+                item.hidden = !matches.has(item);
+            });
+            this.updateAlternation();
+
+            if (animate) this.animateMoves(before);
+        };
+
+        if (animate && leaving.length > 0) {
+            const fades = leaving.map(item => item.animate(
+                [{ opacity: 1, transform: 'scale(1)' }, { opacity: 0, transform: 'scale(0.97)' }],
+                { duration: FADE_MS, easing: 'ease-in', fill: 'forwards' }
+            ));
+            Promise.all(fades.map(fade => fade.finished)).then(() => {
+                reflow();
+                fades.forEach(fade => fade.cancel());
+            }, () => {});
+        } else {
+            reflow();
+        }
+    }
+
+    animateMoves(before) {
+        this.items.filter(item => !item.hidden).forEach(item => {
+            const previous = before.get(item);
+
+            if (!previous) {
+                item.animate(
+                    [{ opacity: 0, transform: 'translateY(20px)' }, { opacity: 1, transform: 'none' }],
+                    { duration: MOVE_MS, easing: 'ease-out' }
+                );
+                return;
+            }
+
+            const dy = previous.top - item.getBoundingClientRect().top;
+            if (Math.abs(dy) > 1) {
+                item.animate(
+                    [{ transform: `translateY(${dy}px)` }, { transform: 'none' }],
+                    { duration: MOVE_MS, easing: 'ease-in-out' }
+                );
+            }
+        });
+    }
+
+    /**
+     * Keep the image left/right alternation going across the visible tiles only
+     */
+    updateAlternation() {
+        this.items.filter(item => !item.hidden).forEach((item, i) => {
+            item.classList.toggle('is-alternate', i % 2 === 1);
+        });
+    }
+
+    // =========================================================================
+    // URL
+    // =========================================================================
+
+    /**
+     * Take the selection from the URL; returns how many of its skills were
+     * ignored because no experience has them
+     */
+    readUrl() {
+        const params = new URLSearchParams(location.search);
+        const skills = params.getAll(SKILL_PARAM).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+
+        // Use the tag's own spelling when the parameter names one
+        const named = [...new Set(skills.map(skill =>
+            this.tags.map(tag => tag.textContent.trim()).find(name => name.toLowerCase() === skill.toLowerCase()) || skill))];
+        this.selected = named.filter(skill => this.isMatched(skill));
+        this.mode = params.get(MATCH_PARAM) === 'any' ? 'any' : 'all';
+
+        return named.length - this.selected.length;
+    }
+
+    writeUrl() {
+        const url = new URL(location.href);
+        url.searchParams.delete(SKILL_PARAM);
+        url.searchParams.delete(MATCH_PARAM);
+
+        this.selected.forEach(skill => url.searchParams.append(SKILL_PARAM, skill));
+        if (this.selected.length > 1 && this.mode === 'any') url.searchParams.set(MATCH_PARAM, 'any');
+
+        history.replaceState(history.state, '', url);
+    }
+}
+
+function parseSkills(item) {
+    return (item.dataset.skills || '').split('|').map(skill => skill.trim()).filter(Boolean);
+}
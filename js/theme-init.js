@@ -0,0 +1,24 @@
+/**
+ * Theme bootstrap
+ * A classic (non-module) script loaded in <head> before the stylesheets, so
+ * the saved or system theme is on <html> before the first paint and no page
+ * flashes the wrong colours. Keep it tiny and dependency-free; js/theme.js
+ * takes over once the page has loaded and must agree on the storage key and
+ * theme names.
+ */
+(function () {
+    var themes = ['light', 'dark', 'high-contrast'];
+    var preference = null;
+
+    try {
+        preference = localStorage.getItem('theme');
+    } catch (e) {
+        // Storage can be blocked; fall back to the system theme
+    }
+
+    var theme = themes.indexOf(preference) !== -1 ? preference
+        : window.matchMedia('(prefers-contrast: more)').matches ? 'high-contrast'
+            : window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+
+    document.documentElement.setAttribute('data-theme', theme);
+}());
@@ -0,0 +1,130 @@
+/**
+ * Theme switching
+ * The navbar toggle cycles System → Light → Dark → High contrast. The choice
+ * is saved in localStorage ("System" removes it) and applied as data-theme on
+ * <html>, which css/themes.css maps to colour variables. While the
+ * preference is "system" the theme follows prefers-color-scheme and
+ * prefers-contrast as they change.
+ *
+ * js/theme-init.js applies the same logic before first paint; keep the two
+ * in sync.
+ */
+
+import { t } from './i18n.js';
+
+export const THEMES = ['light', 'dark', 'high-contrast'];
+export const SYSTEM_THEME = 'system';
+
+const STORAGE_KEY = 'theme';
+const CYCLE = [SYSTEM_THEME, ...THEMES];
+const ICONS = {
+    system: '◐',
+    light: '☀',
+    dark: '☾',
+    'high-contrast': '◑'
+};
+
+const darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+const contrastQuery = window.matchMedia('(prefers-contrast: more)');
+
+// =============================================================================
+// PREFERENCE
+// =============================================================================
+
+/**
+ * The saved preference: one of THEMES, or "system"
+ */
+export function getThemePreference() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return THEMES.includes(saved) ? saved : SYSTEM_THEME;
+    } catch {
+        return SYSTEM_THEME;
+    }
+}
+
+/**
+ * The theme a preference stands for right now
+ */
+export function resolveTheme(preference = getThemePreference()) {
+    if (THEMES.includes(preference)) return preference;
+    if (contrastQuery.matches) return 'high-contrast';
+    return darkQuery.matches ? 'dark' : 'light';
+}
+
+/**
+ * Save and apply a preference; dispatches `themechange` on document
+ * (detail: { preference, theme })
+ */
+export function setThemePreference(preference) {
+    try {
+        if (preference === SYSTEM_THEME) {
+            localStorage.removeItem(STORAGE_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEY, preference);
+        }
+    } catch {
+        // Not persisted, but still applied for this page
+    }
+
+    applyTheme(preference);
+}
+
+function applyTheme(preference) {
+    const theme = resolveTheme(preference);
+    document.documentElement.dataset.theme = theme;
+    document.dispatchEvent(new CustomEvent('themechange', { detail: { preference, theme } }));
+}
+
+// =============================================================================
+// TOGGLE
+// =============================================================================
+
+/**
+ * Theme Toggle Handler
+ */
+export class ThemeToggle {
+    constructor(button = document.querySelector('[data-theme-toggle]')) {
+        this.button = button;
+        this.preference = getThemePreference();
+
+        this.init();
+    }
+
+    init() {
+        // Follow the system while no theme is chosen, on every page
+        const onSystemChange = () => {
+            if (this.preference === SYSTEM_THEME) applyTheme(SYSTEM_THEME);
+        };
+        darkQuery.addEventListener('change', onSystemChange);
+        contrastQuery.addEventListener('change', onSystemChange);
+
+        // Another tab changed the theme
+        window.addEventListener('storage', (e) => {
+            if (e.key !== STORAGE_KEY && e.key !== null) return;
+            this.preference = getThemePreference();
+            applyTheme(this.preference);
+            this.render();
+        });
+
+        if (!this.button) return;
+
+        this.button.addEventListener('click', () => {
+            this.preference = CYCLE[(CYCLE.indexOf(this.preference) + 1) % CYCLE.length];
+            setThemePreference(this.preference);
+            this.render();
+        });
+
+        this.render();
+    }
+
+    render() {
+        if (!this.button) return;
+
+        const next = CYCLE[(CYCLE.indexOf(this.preference) + 1) % CYCLE.length];
+        this.button.textContent = ICONS[this.preference];
+        const theme = t(`theme.${this.preference}`);
+        this.button.setAttribute('aria-label', t('theme.label', { theme, next: t(`theme.${next}`) }));
+        this.button.title = t('theme.title', { theme });
+    }
+}
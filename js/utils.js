@@ -0,0 +1,41 @@
+/**
+ * Shared utility helpers for the portfolio runtime
+ */
+
+// =============================================================================
+// OBSERVERS
+// =============================================================================
+
+/**
+ * Check if IntersectionObserver is supported
+ */
+export function isIntersectionObserverSupported() {
+    return 'IntersectionObserver' in window;
+}
+
+/**
+ * Creates an Intersection Observer, or returns null in older browsers
+ * so callers can fall back to loading everything immediately
+ */
+export function createObserver(callback, options = {}) {
+    if (!isIntersectionObserverSupported()) {
+        return null;
+    }
+    return new IntersectionObserver(callback, options);
+}
+
+// =============================================================================
+// DOM HELPERS
+// =============================================================================
+
+/**
+ * Run a callback once the DOM is ready (module scripts may execute after it is)
+ */
+export function onReady(callback) {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', callback, { once: true });
+    } else {
+        callback();
+    }
+}
+
@@ -0,0 +1,146 @@
+/**
+ * Lazy loading for project videos; loaded videos get a VideoPlayer.
+ * Sources (HLS/DASH streams, MP4, low-quality preview) are chosen by
+ * attachVideoSource().
+ *
+ * Loaded videos re-dispatch play, pause and ended as bubbling `video:play`,
+ * `video:pause` and `video:ended` events (detail: { src, currentTime,
+ * duration }), which js/analytics.js listens for on the document.
+ */
+
+import { createObserver } from './utils.js';
+import { loadAsset, showAssetError, isAssetCached, revealWithoutTransition } from './asset-loader.js';
+import { VideoPlayer } from './video-player.js';
+import { attachVideoSource, readVideoSources } from './video-stream.js';
+import { t } from './i18n.js';
+
+/**
+ * Lazy Video Loader
+ * Handles intersection observer-based lazy loading for video elements
+ */
+export class LazyVideoLoader {
+    constructor() {
+        this.videos = document.querySelectorAll('.lazy-video');
+        this.videoObserver = null;
+        this.players = new Map();
+        this.streams = new Map();
+        this.init();
+    }
+
+    init() {
+        const observer = createObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.loadVideo(entry.target);
+                }
+            });
+        }, {
+            root: null,
+            rootMargin: '50px 0px',
+            threshold: 0.1
+        });
+
+        if (observer) {
+            this.videos.forEach(video => observer.observe(video));
+            this.videoObserver = observer;
+        } else {
+            this.loadAllVideos();
+        }
+    }
+
+    loadVideo(videoElement) {
+        const sources = readVideoSources(videoElement);
+        const videoSrc = sources.dash || sources.hls || sources.mp4 || sources.preview;
+        const spinner = videoElement.parentElement.querySelector('.video-loading-spinner');
+
+        if (!videoSrc) {
+            console.warn('No data-src, data-hls or data-dash attribute found on video element');
+            return;
+        }
+
+        if (this.videoObserver) this.videoObserver.unobserve(videoElement);
+
+        // A video the service worker already has starts without the spinner
+        isAssetCached(videoElement, videoSrc).then(cached => {
+            if (spinner && !cached) spinner.classList.remove('hidden');
+            this.startLoading(videoElement, sources, videoSrc, spinner, cached);
+        });
+    }
+
+    startLoading(videoElement, sources, videoSrc, spinner, cached) {
+        loadAsset(videoElement, {
+            src: videoSrc,
+            // Every attempt (including retries) starts from a fresh source
+            start: (video, fail) => {
+                this.streams.get(video)?.destroy();
+                this.streams.set(video, attachVideoSource(video, sources, fail));
+            }
+        }).then(() => {
+            if (cached) {
+                revealWithoutTransition(videoElement.parentElement, () => this.onVideoLoaded(videoElement, videoSrc, spinner));
+            } else {
+                this.onVideoLoaded(videoElement, videoSrc, spinner);
+            }
+        }, (error) => {
+            console.error('Error loading video:', error.message);
+            this.onVideoError(videoElement, spinner);
+        });
+    }
+
+    onVideoLoaded(videoElement, videoSrc, spinner) {
+        // Loading a video again (loadVideoById, loadAllVideos) keeps its player
+        if (this.players.has(videoElement)) return;
+
+        videoElement.classList.add('loaded');
+        videoElement.classList.remove('video-error');
+
+        if (spinner) spinner.classList.add('hidden');
+
+        this.players.set(videoElement, new VideoPlayer(videoElement));
+        this.forwardPlaybackEvents(videoElement, videoSrc);
+    }
+
+    /**
+     * Media events don't bubble; page-level listeners get these instead
+     */
+    forwardPlaybackEvents(videoElement, videoSrc) {
+        ['play', 'pause', 'ended'].forEach(type => {
+            videoElement.addEventListener(type, () => {
+                videoElement.dispatchEvent(new CustomEvent(`video:${type}`, {
+                    bubbles: true,
+                    detail: { src: videoSrc, currentTime: videoElement.currentTime, duration: videoElement.duration }
+                }));
+            });
+        });
+    }
+
+    onVideoError(videoElement, spinner) {
+        if (spinner) spinner.classList.add('hidden');
+        videoElement.classList.add('video-error');
+
+        showAssetError(videoElement.parentElement, {
+            message: t('video.error'),
+            label: t('video.name'),
+            onRetry: () => this.loadVideo(videoElement)
+        });
+    }
+
+    loadAllVideos() {
+        this.videos.forEach(video => this.loadVideo(video));
+    }
+
+    loadVideoById(videoId) {
+        const video = document.getElementById(videoId);
+        if (video && video.classList.contains('lazy-video')) {
+            this.loadVideo(video);
+        }
+    }
+
+    destroy() {
+        if (this.videoObserver) {
+            this.videoObserver.disconnect();
+        }
+        this.streams.forEach(stream => stream.destroy());
+        this.streams.clear();
+    }
+}
@@ -0,0 +1,524 @@
+/**
+ * Accessible video player for project videos
+ * Replaces the bare click-to-play video with a control bar: play/pause,
+ * a seek bar with chapter markers, volume, captions, playback speed,
+ * picture-in-picture and fullscreen.
+ *
+ * Chapters come from a data attribute or a WebVTT chapters track:
+ *
+ *   <video data-chapters='[{"start": "0:00", "title": "Entry"}, {"start": "1:05", "title": "Landing"}]'>
+ *   <video><track kind="chapters" src="videos/demo-chapters.vtt" srclang="en"></video>
+ *
+ * Captions and subtitles are regular <track kind="captions|subtitles">
+ * children; the CC button cycles through them.
+ *
+ * Keyboard, while focus is inside the player (the "video" scope of
+ * js/shortcuts.js, so "?" lists them):
+ *   Space/K play/pause, ←/→ seek 5s, J/L seek 10s, ↑/↓ volume, M mute,
+ *   C captions, F fullscreen, P picture-in-picture, </> speed,
+ *   PageUp/PageDown previous/next chapter, Home/End, 0-9 jump to 0-90%
+ */
+
+import { t } from './i18n.js';
+import { registerShortcut } from './shortcuts.js';
+
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+const SEEK_STEP = 5;
+const LONG_SEEK_STEP = 10;
+const VOLUME_STEP = 0.1;
+const IDLE_MS = 2500;
+// Going back to a chapter within this many seconds of its start goes to the one before
+const CHAPTER_RESTART_WINDOW = 2;
+
+const KEY_SHORTCUTS = 'Space K J L M C F P ArrowLeft ArrowRight ArrowUp ArrowDown PageUp PageDown Home End';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Whether a focused native control uses the key itself: the seek and volume
+ * sliders their arrows, buttons Space and Enter
+ */
+function keepsNativeKey(e) {
+    const target = e.target;
+    if (target.type === 'range') return ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End', 'PageUp', 'PageDown'].includes(e.key);
+    return target.tagName === 'BUTTON' && (e.key === ' ' || e.key === 'Enter');
+}
+
+/**
+ * 75 -> "1:15", 3725 -> "1:02:05"
+ */
+export function formatTime(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) seconds = 0;
+
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor(seconds % 3600 / 60);
+    const s = Math.floor(seconds % 60).toString().padStart(2, '0');
+
+    return h ? `${h}:${m.toString().padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * "1:05" / "01:02:05.5" / 65 -> seconds
+ */
+export function parseTimestamp(value) {
+    if (typeof value === 'number') return value;
+
+    return String(value).trim().split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Chapters from a data-chapters value: a JSON array of { start, title }, or
+ * one "m:ss Title" per line. Returns [{ start, title }] sorted by start.
+ */
+export function parseChapters(value) {
+    if (!value) return [];
+
+    let entries;
+    try {
+        entries = JSON.parse(value);
+    } catch {
+        entries = value.split('\n')
+            .map(line => line.trim().match(/^(\S+)\s+(.+)$/))
+            .filter(Boolean)
+            .map(([, start, title]) => ({ start, title }));
+    }
+
+    return entries
+        .map(({ start, title }) => ({ start: parseTimestamp(start), title: String(title) }))
+        .filter(chapter => Number.isFinite(chapter.start))
+        .sort((a, b) => a.start - b.start);
+}
+
+const CONTROLS_TEMPLATE = `
+<button type="button" class="video-big-play" aria-label="${t('player.bigPlay')}">▶</button>
+<div class="video-controls" role="group" aria-label="${t('player.controls')}">
+    <div class="video-seek">
+        <div class="video-seek-progress"></div>
+        <div class="video-chapter-markers" aria-hidden="true"></div>
+        <input type="range" class="video-seek-input" min="0" max="0" step="0.1" value="0" aria-label="${t('player.seek')}">
+    </div>
+    <div class="video-controls-row">
+        <button type="button" class="video-control video-play" aria-label="${t('player.play')}">▶</button>
+        <button type="button" class="video-control video-mute" aria-label="${t('player.mute')}">🔊</button>
+        <input type="range" class="video-volume" min="0" max="1" step="0.05" aria-label="${t('player.volume')}">
+        <span class="video-time"><span class="video-current">0:00</span> / <span class="video-duration">0:00</span></span>
+        <span class="video-chapter-title"></span>
+        <span class="video-controls-spacer"></span>
+        <button type="button" class="video-control video-captions" aria-pressed="false" aria-label="${t('player.captionsOff')}" hidden>CC</button>
+        <select class="video-speed" aria-label="${t('player.speed')}"></select>
+        <button type="button" class="video-control video-pip" aria-label="${t('player.pip')}" hidden>⧉</button>
+        <button type="button" class="video-control video-fullscreen" aria-label="${t('player.fullscreen')}">⛶</button>
+    </div>
+</div>`;
+
+// =============================================================================
+// PLAYER
+// =============================================================================
+
+/**
+ * Video Player
+ * Builds the controls inside the video's wrapper and keeps them in sync
+ */
+export class VideoPlayer {
+    constructor(video) {
+        this.video = video;
+        this.container = video.closest('.lazy-video-wrapper') || video.parentElement;
+        this.chapters = [];
+        this.captionTracks = [];
+        this.idleTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        this.buildControls();
+        this.bindVideoEvents();
+        this.bindControlEvents();
+        this.bindKeyboard();
+        this.setupCaptions();
+        this.loadChapters();
+
+        this.updatePlayState();
+        this.updateVolume();
+        this.updateTime();
+    }
+
+    buildControls() {
+        this.container.classList.add('video-player');
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-label', this.video.getAttribute('aria-label') || t('player.label'));
+        this.container.insertAdjacentHTML('beforeend', CONTROLS_TEMPLATE);
+
+        const $ = selector => this.container.querySelector(selector);
+        this.ui = {
+            bigPlay: $('.video-big-play'),
+            controls: $('.video-controls'),
+            progress: $('.video-seek-progress'),
+            markers: $('.video-chapter-markers'),
+            seek: $('.video-seek-input'),
+            play: $('.video-play'),
+            mute: $('.video-mute'),
+            volume: $('.video-volume'),
+            current: $('.video-current'),
+            duration: $('.video-duration'),
+            chapterTitle: $('.video-chapter-title'),
+            captions: $('.video-captions'),
+            speed: $('.video-speed'),
+            pip: $('.video-pip'),
+            fullscreen: $('.video-fullscreen')
+        };
+
+        PLAYBACK_RATES.forEach(rate => {
+            const option = document.createElement('option');
+            option.value = rate;
+            option.textContent = `${rate}×`;
+            option.selected = rate === this.video.playbackRate;
+            this.ui.speed.appendChild(option);
+        });
+
+        this.ui.pip.hidden = !(document.pictureInPictureEnabled && !this.video.disablePictureInPicture);
+
+        // The video itself takes focus so the shortcuts work without touching the controls
+        this.video.tabIndex = 0;
+        this.video.setAttribute('aria-keyshortcuts', KEY_SHORTCUTS);
+    }
+
+    bindVideoEvents() {
+        const video = this.video;
+
+        ['play', 'pause', 'ended'].forEach(type => video.addEventListener(type, () => this.updatePlayState()));
+        ['timeupdate', 'durationchange', 'loadedmetadata', 'seeked'].forEach(type => {
+            video.addEventListener(type, () => this.updateTime());
+        });
+        video.addEventListener('volumechange', () => this.updateVolume());
+        video.addEventListener('ratechange', () => {
+            this.ui.speed.value = video.playbackRate;
+        });
+        video.addEventListener('durationchange', () => this.renderChapterMarkers());
+
+        video.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.togglePlay();
+        });
+        video.addEventListener('dblclick', () => this.toggleFullscreen());
+    }
+
+    bindControlEvents() {
+        const { ui } = this;
+
+        ui.bigPlay.addEventListener('click', () => this.togglePlay());
+        ui.play.addEventListener('click', () => this.togglePlay());
+        ui.mute.addEventListener('click', () => this.toggleMute());
+        ui.captions.addEventListener('click', () => this.cycleCaptions());
+        ui.pip.addEventListener('click', () => this.togglePictureInPicture());
+        ui.fullscreen.addEventListener('click', () => this.toggleFullscreen());
+
+        ui.seek.addEventListener('input', () => {
+            this.video.currentTime = Number(ui.seek.value);
+        });
+        ui.volume.addEventListener('input', () => {
+            this.video.volume = Number(ui.volume.value);
+            this.video.muted = this.video.volume === 0;
+        });
+        ui.speed.addEventListener('change', () => {
+            this.video.playbackRate = Number(ui.speed.value);
+        });
+
+        document.addEventListener('fullscreenchange', () => this.updateFullscreen());
+        document.addEventListener('webkitfullscreenchange', () => this.updateFullscreen());
+
+        // Hide the controls while playing once the pointer rests
+        this.container.addEventListener('pointermove', () => this.wake());
+        this.container.addEventListener('pointerleave', () => this.sleep());
+    }
+
+    /**
+     * The player's keys, as "video" shortcuts that apply while focus is
+     * inside it (js/shortcuts.js)
+     */
+    bindKeyboard() {
+        const video = this.video;
+        const group = t('player.label');
+
+        [
+            [['Space', 'k'], t('shortcuts.playPause'), () => this.togglePlay()],
+            ['ArrowLeft', t('shortcuts.seekBack', { seconds: SEEK_STEP }), () => this.seekBy(-SEEK_STEP)],
+            ['ArrowRight', t('shortcuts.seekForward', { seconds: SEEK_STEP }), () => this.seekBy(SEEK_STEP)],
+            ['j', t('shortcuts.seekBack', { seconds: LONG_SEEK_STEP }), () => this.seekBy(-LONG_SEEK_STEP)],
+            ['l', t('shortcuts.seekForward', { seconds: LONG_SEEK_STEP }), () => this.seekBy(LONG_SEEK_STEP)],
+            ['ArrowUp', t('shortcuts.volumeUp'), () => this.setVolume(video.volume + VOLUME_STEP)],
+            ['ArrowDown', t('shortcuts.volumeDown'), () => this.setVolume(video.volume - VOLUME_STEP)],
+            ['m', t('player.mute'), () => this.toggleMute()],
+            ['c', t('shortcuts.captions'), () => this.cycleCaptions()],
+            ['f', t('player.fullscreen'), () => this.toggleFullscreen()],
+            ['p', t('player.pip'), () => this.togglePictureInPicture()],
+            ['<', t('shortcuts.slower'), () => this.stepRate(-1)],
+            ['>', t('shortcuts.faster'), () => this.stepRate(1)],
+            ['PageUp', t('shortcuts.previousChapter'), () => this.previousChapter()],
+            ['PageDown', t('shortcuts.nextChapter'), () => this.nextChapter()],
+            ['Home', t('shortcuts.start'), () => {
+                video.currentTime = 0;
+            }],
+            ['End', t('shortcuts.end'), () => {
+                video.currentTime = video.duration || 0;
+            }]
+        ].forEach(([keys, label, action]) => this.bindKey(keys, label, group, action));
+
+        this.bindKey('0 1 2 3 4 5 6 7 8 9'.split(' '), t('shortcuts.jump'), group, (e) => {
+            if (!video.duration) return false;
+            video.currentTime = video.duration * Number(e.key) / 10;
+        }, '0–9');
+    }
+
+    bindKey(keys, label, group, action, display) {
+        registerShortcut({
+            keys,
+            scope: 'video',
+            element: this.container,
+            group,
+            label,
+            display,
+            handler: (e) => {
+                if (keepsNativeKey(e)) return false;
+                if (action(e) === false) return false;
+                this.wake();
+            }
+        });
+    }
+
+    // =========================================================================
+    // ACTIONS
+    // =========================================================================
+
+    togglePlay() {
+        if (this.video.paused || this.video.ended) {
+            // Blocked by the browser (autoplay policy); the button stays on "Play"
+            this.video.play().catch(() => {});
+        } else {
+            this.video.pause();
+        }
+    }
+
+    seekBy(seconds) {
+        const duration = this.video.duration || 0;
+        this.video.currentTime = Math.min(Math.max(this.video.currentTime + seconds, 0), duration);
+    }
+
+    setVolume(volume) {
+        this.video.volume = Math.min(Math.max(volume, 0), 1);
+        this.video.muted = this.video.volume === 0;
+    }
+
+    toggleMute() {
+        this.video.muted = !this.video.muted;
+        if (!this.video.muted && this.video.volume === 0) this.video.volume = 0.5;
+    }
+
+    stepRate(direction) {
+        const index = PLAYBACK_RATES.indexOf(this.video.playbackRate);
+        const next = PLAYBACK_RATES[Math.min(Math.max((index === -1 ? 2 : index) + direction, 0), PLAYBACK_RATES.length - 1)];
+        this.video.playbackRate = next;
+    }
+
+    togglePictureInPicture() {
+        if (this.ui.pip.hidden) return;
+
+        const request = document.pictureInPictureElement === this.video
+            ? document.exitPictureInPicture()
+            : this.video.requestPictureInPicture();
+        // Refused, e.g. while the video has no frames yet; nothing to undo
+        request.catch(() => {});
+    }
+
+    toggleFullscreen() {
+        const active = document.fullscreenElement || document.webkitFullscreenElement;
+
+        if (active) {
+            (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+        } else if (this.container.requestFullscreen) {
+            // Refused (e.g. inside an iframe without allowfullscreen); the page stays as it is
+            this.container.requestFullscreen().catch(() => {});
+        } else if (this.container.webkitRequestFullscreen) {
+            this.container.webkitRequestFullscreen();
+        } else if (this.video.webkitEnterFullscreen) {
+            // iOS only allows the native fullscreen player
+            this.video.webkitEnterFullscreen();
+        }
+    }
+
+    // =========================================================================
+    // CAPTIONS
+    // =========================================================================
+
+    setupCaptions() {
+        this.captionTracks = [...this.video.textTracks]
+            .filter(track => track.kind === 'captions' || track.kind === 'subtitles');
+
+        this.ui.captions.hidden = this.captionTracks.length === 0;
+        this.updateCaptions();
+    }
+
+    /**
+     * Off -> first track -> ... -> last track -> off
+     */
+    cycleCaptions() {
+        if (this.captionTracks.length === 0) return;
+
+        const current = this.captionTracks.findIndex(track => track.mode === 'showing');
+        const next = current + 1 < this.captionTracks.length ? current + 1 : -1;
+
+        this.captionTracks.forEach((track, index) => {
+            track.mode = index === next ? 'showing' : 'disabled';
+        });
+        this.updateCaptions();
+    }
+
+    updateCaptions() {
+        const showing = this.captionTracks.find(track => track.mode === 'showing');
+        const button = this.ui.captions;
+
+        button.setAttribute('aria-pressed', String(Boolean(showing)));
+        button.setAttribute('aria-label', showing
+            ? t('player.captionsOn', { label: showing.label || showing.language || t('player.captionsDefault') })
+            : t('player.captionsOff'));
+    }
+
+    // =========================================================================
+    // CHAPTERS
+    // =========================================================================
+
+    loadChapters() {
+        const fromAttribute = parseChapters(this.video.dataset.chapters);
+        if (fromAttribute.length) {
+            this.setChapters(fromAttribute);
+            return;
+        }
+
+        const element = this.video.querySelector('track[kind="chapters"]');
+        if (!element) return;
+
+        const read = () => {
+            const cues = [...(element.track.cues || [])];
+            this.setChapters(cues.map(cue => ({ start: cue.startTime, title: cue.text })));
+        };
+
+        // Hidden tracks still load and expose their cues
+        element.track.mode = 'hidden';
+        if (element.readyState === 2) {
+            read();
+        } else {
+            element.addEventListener('load', read, { once: true });
+            element.addEventListener('error', () => console.warn('Could not load chapters:', element.src), { once: true });
+        }
+    }
+
+    setChapters(chapters) {
+        this.chapters = chapters;
+        this.renderChapterMarkers();
+        this.updateTime();
+    }
+
+    renderChapterMarkers() {
+        const duration = this.video.duration;
+        this.ui.markers.innerHTML = '';
+        if (!this.chapters.length || !Number.isFinite(duration) || duration <= 0) return;
+
+        this.chapters.filter(chapter => chapter.start > 0 && chapter.start < duration).forEach(chapter => {
+            const marker = document.createElement('span');
+            marker.className = 'video-chapter-marker';
+            marker.style.left = `${chapter.start / duration * 100}%`;
+            marker.title = `${formatTime(chapter.start)} ${chapter.title}`;
+            this.ui.markers.appendChild(marker);
+        });
+    }
+
+    currentChapterIndex() {
+        const time = this.video.currentTime;
+        let index = -1;
+        this.chapters.forEach((chapter, i) => {
+            if (chapter.start <= time) index = i;
+        });
+        return index;
+    }
+
+    previousChapter() {
+        const index = this.currentChapterIndex();
+        if (index === -1) return;
+
+        const restart = this.video.currentTime - this.chapters[index].start > CHAPTER_RESTART_WINDOW;
+        this.video.currentTime = this.chapters[restart ? index : Math.max(index - 1, 0)].start;
+    }
+
+    nextChapter() {
+        const next = this.chapters[this.currentChapterIndex() + 1];
+        if (next) this.video.currentTime = next.start;
+    }
+
+    // =========================================================================
+    // STATE
+    // =========================================================================
+
+    updatePlayState() {
+        const playing = !this.video.paused && !this.video.ended;
+
+        this.ui.play.textContent = playing ? '❚❚' : '▶';
+        this.ui.play.setAttribute('aria-label', t(playing ? 'player.pause' : 'player.play'));
+        this.ui.bigPlay.hidden = playing;
+        this.container.classList.toggle('is-playing', playing);
+
+        if (playing) this.wake(); else this.container.classList.remove('is-idle');
+    }
+
+    updateTime() {
+        const { currentTime, duration } = this.video;
+        const known = Number.isFinite(duration) && duration > 0;
+        const chapter = this.chapters[this.currentChapterIndex()];
+
+        this.ui.current.textContent = formatTime(currentTime);
+        this.ui.duration.textContent = known ? formatTime(duration) : '0:00';
+        this.ui.chapterTitle.textContent = chapter ? chapter.title : '';
+
+        this.ui.seek.max = known ? duration : 0;
+        this.ui.seek.value = currentTime;
+        const position = { current: formatTime(currentTime), duration: formatTime(known ? duration : 0) };
+        this.ui.seek.setAttribute('aria-valuetext', chapter
+            ? t('player.positionChapter', { ...position, chapter: chapter.title })
+            : t('player.position', position));
+        this.ui.progress.style.width = known ? `${currentTime / duration * 100}%` : '0';
+    }
+
+    updateVolume() {
+        const muted = this.video.muted || this.video.volume === 0;
+
+        this.ui.volume.value = muted ? 0 : this.video.volume;
+        this.ui.volume.setAttribute('aria-valuetext', `${Math.round((muted ? 0 : this.video.volume) * 100)}%`);
+        this.ui.mute.textContent = muted ? '🔇' : '🔊';
+        this.ui.mute.setAttribute('aria-label', t(muted ? 'player.unmute' : 'player.mute'));
+    }
+
+    updateFullscreen() {
+        const active = (document.fullscreenElement || document.webkitFullscreenElement) === this.container;
+
+        this.container.classList.toggle('is-fullscreen', active);
+        this.ui.fullscreen.setAttribute('aria-label', t(active ? 'player.exitFullscreen' : 'player.fullscreen'));
+    }
+
+    wake() {
+        this.container.classList.remove('is-idle');
+        clearTimeout(this.idleTimer);
+
+        if (!this.video.paused) {
+            this.idleTimer = setTimeout(() => this.sleep(), IDLE_MS);
+        }
+    }
+
+    sleep() {
+        // Keyboard users keep the controls they are working with
+        if (!this.video.paused && !this.container.querySelector(':focus-visible')) {
+            this.container.classList.add('is-idle');
+        }
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * Adaptive video sources
+ * Picks the best way to play a project video:
+ *
+ *   1. data-hls where the browser plays HLS itself (Safari, iOS)
+ *   2. data-hls through hls.js, or data-dash through dash.js, where the
+ *      browser has Media Source Extensions: the stream starts on the lowest
+ *      rendition (a quick low-quality preview) and steps up as throughput
+ *      allows
+ *   3. the MP4 in data-src, or the low-quality data-preview encode on
+ *      Save-Data and 2G/3G connections
+ *
+ * The libraries are vendored in vendor/ (see tools/build-vendor.mjs) and
+ * only imported for a video that streams through them. While paused only
+ * about a second is buffered, so a video nobody plays costs a segment or
+ * two. The streams, previews and poster frames are generated by
+ * tools/build-videos.mjs.
+ */
+
+const PAUSED_BUFFER_SECONDS = 1;
+const PLAYING_BUFFER_SECONDS = 30;
+const BACK_BUFFER_SECONDS = 30;
+const HLS_MIME = 'application/vnd.apple.mpegurl';
+
+const HLS_JS_URL = new URL('../vendor/hls.js/hls.light.min.mjs', import.meta.url);
+const DASH_JS_URL = new URL('../vendor/dashjs/dash.mediaplayer.min.js', import.meta.url);
+
+// =============================================================================
+// SOURCE SELECTION
+// =============================================================================
+
+/**
+ * The sources a lazy video declares through data attributes
+ */
+export function readVideoSources(video) {
+    const { hls, dash, src, preview } = video.dataset;
+    return { hls, dash, mp4: src, preview };
+}
+
+/**
+ * Whether the visitor asked to save data or is on a slow cellular connection
+ */
+export function isSlowConnection() {
+    const connection = navigator.connection;
+    return Boolean(connection && (connection.saveData || /2g|3g/.test(connection.effectiveType || '')));
+}
+
+/**
+ * Attach the best available source to `video`; returns { type, destroy }.
+ * A failing stream falls back to the MP4 (keeping the playback position);
+ * `onError` is only called when there is nothing left to fall back to.
+ */
+export function attachVideoSource(video, sources = readVideoSources(video), onError = () => {}) {
+    if (sources.hls && video.canPlayType(HLS_MIME)) {
+        return attachUrl(video, sources.hls, 'hls');
+    }
+
+    // hls.js is the smaller download; tools/build-videos.mjs writes both manifests
+    const type = sources.hls ? 'hls' : sources.dash ? 'dash' : null;
+    if (!type || !('MediaSource' in window)) {
+        return attachUrl(video, mp4Url(sources), 'mp4');
+    }
+
+    let detach = null;
+    let destroyed = false;
+    const controller = {
+        type,
+        destroy: () => {
+            destroyed = true;
+            detach?.();
+        }
+    };
+
+    const fallBack = (error) => {
+        if (destroyed) return;
+
+        const resumeAt = video.currentTime;
+        const wasPlaying = !video.paused;
+        controller.destroy();
+
+        if (!mp4Url(sources)) {
+            onError(error);
+            return;
+        }
+
+        console.warn(`Streaming ${sources[type]} failed, falling back to MP4:`, error.message);
+        Object.assign(controller, attachUrl(video, mp4Url(sources), 'mp4'));
+
+        if (resumeAt > 0) {
+            video.addEventListener('loadedmetadata', () => {
+                video.currentTime = resumeAt;
+            }, { once: true });
+        }
+        if (wasPlaying) video.play().catch(() => {});
+    };
+
+    const attach = type === 'hls' ? attachHls : attachDash;
+    attach(video, sources[type], fallBack).then(stop => {
+        if (destroyed) {
+            stop();
+        } else {
+            detach = stop;
+        }
+    }, fallBack);
+
+    return controller;
+}
+
+function mp4Url(sources) {
+    return (isSlowConnection() && sources.preview) || sources.mp4 || sources.preview;
+}
+
+function attachUrl(video, url, type) {
+    video.preload = 'auto';
+    if (video.getAttribute('src') === url) {
+        video.load();
+    } else {
+        video.src = url;
+    }
+    return { type, destroy: () => {} };
+}
+
+// =============================================================================
+// STREAMING LIBRARIES
+// =============================================================================
+// Each attaches a stream to the video and resolves with a function that
+// detaches it again; unrecoverable errors go to `fail` (the libraries retry
+// failed segments themselves first).
+
+async function attachHls(video, url, fail) {
+    const { default: Hls } = await import(HLS_JS_URL.href);
+    if (!Hls.isSupported()) throw new Error('this browser cannot play HLS through hls.js');
+
+    const hls = new Hls({
+        startLevel: 0,
+        capLevelToPlayerSize: true,
+        maxBufferLength: video.paused ? PAUSED_BUFFER_SECONDS : PLAYING_BUFFER_SECONDS,
+        backBufferLength: BACK_BUFFER_SECONDS
+    });
+
+    // hls.js reads its config on every buffer check
+    const onPlay = () => {
+        hls.config.maxBufferLength = PLAYING_BUFFER_SECONDS;
+    };
+    video.addEventListener('play', onPlay, { once: true });
+
+    hls.on(Hls.Events.ERROR, (event, data) => {
+        if (data.fatal) fail(new Error(`${data.type}: ${data.details}`));
+    });
+    hls.loadSource(url);
+    hls.attachMedia(video);
+
+    return () => {
+        video.removeEventListener('play', onPlay);
+        hls.destroy();
+    };
+}
+
+async function attachDash(video, url, fail) {
+    const { MediaPlayer, Debug } = await import(DASH_JS_URL.href);
+    const player = MediaPlayer().create();
+    const bufferFor = seconds => ({ streaming: { buffer: { bufferTimeDefault: seconds, bufferTimeAtTopQuality: seconds } } });
+
+    player.updateSettings({
+        debug: { logLevel: Debug.LOG_LEVEL_NONE },
+        streaming: {
+            buffer: { bufferToKeep: BACK_BUFFER_SECONDS },
+            abr: { initialBitrate: { video: 0 }, limitBitrateByPortal: true }
+        }
+    });
+    player.updateSettings(bufferFor(video.paused ? PAUSED_BUFFER_SECONDS : PLAYING_BUFFER_SECONDS));
+
+    const onPlay = () => player.updateSettings(bufferFor(PLAYING_BUFFER_SECONDS));
+    video.addEventListener('play', onPlay, { once: true });
+
+    player.on(MediaPlayer.events.ERROR, (e) => {
+        fail(new Error(e.error?.message || `dash.js error ${e.error?.code ?? ''}`.trim()));
+    });
+    player.initialize(video, url, false);
+
+    return () => {
+        video.removeEventListener('play', onPlay);
+        player.destroy();
+    };
+}
@@ -0,0 +1,71 @@
+// Generated by tools/build-pages.mjs from the deployable files. Do not edit.
+self.PRECACHE = {
+    version: '5d0c199e319e',
+    entries: [
+        { url: 'css/i18n.css', revision: 'bf1dc7905348' },
+        { url: 'css/runtime.css', revision: '30fa75d7a4b6' },
+        { url: 'css/themes.css', revision: '46b90f52ad1d' },
+        { url: 'experiences/AIAA/', revision: 'b714e57efa58' },
+        { url: 'experiences/AIAA/styles.css', revision: 'a54270f6d80a' },
+        { url: 'experiences/BTZ/', revision: '545cf9a9b48b' },
+        { url: 'experiences/BTZ/styles.css', revision: 'df824f44c675' },
+        { url: 'experiences/CPMsupply/', revision: 'c75b10b62863' },
+        { url: 'experiences/CPMsupply/styles.css', revision: 'be20d5bd60e4' },
+        { url: 'images/fallback-avatar.svg', revision: '9958c029ecf5' },
+        { url: 'images/icons/icon-maskable.svg', revision: 'd6e0394be8d2' },
+        { url: 'images/icons/icon.svg', revision: 'a33421a3c7d1' },
+        { url: './', revision: '434dd272b920' },
+        { url: 'ja/experiences/AIAA/', revision: '8c65e13ac66f' },
+        { url: 'ja/experiences/BTZ/', revision: 'c16cdb8f66ee' },
+        { url: 'ja/experiences/CPMsupply/', revision: '5ae7c5bbcd3a' },
+        { url: 'ja/', revision: 'e80c7f49c72a' },
+        { url: 'ja/offline.html', revision: '9a4a828951c7' },
+        { url: 'ja/search-index.json', revision: 'd0d586958674' },
+        { url: 'js/analytics.js', revision: '8c2b117b7246' },
+        { url: 'js/animations.js', revision: 'e20eaf07c226' },
+        { url: 'js/asset-loader.js', revision: 'b1f169a5fa77' },
+        { url: 'js/command-palette.js', revision: '2faaff0bc727' },
+        { url: 'js/contact-form.js', revision: 'd82e80449e77' },
+        { url: 'js/dialog.js', revision: '16057e40cdf6' },
+        { url: 'js/endpoints.js', revision: '90f9168dbd01' },
+        { url: 'js/experience-page.js', revision: '8c9abec2c82a' },
+        { url: 'js/gallery-history.js', revision: 'dafadf06ba12' },
+        { url: 'js/i18n.js', revision: '0d787e26ca2c' },
+        { url: 'js/image-modal.js', revision: '3eb5e906108d' },
+        { url: 'js/image-zoom.js', revision: '5d08fdc7e121' },
+        { url: 'js/lazy-loading.js', revision: '8a06ddb4a442' },
+        { url: 'js/locales/en.js', revision: '98454c62ac3a' },
+        { url: 'js/locales/ja.js', revision: 'f872d1654ccf' },
+        { url: 'js/locales/ru.js', revision: 'e9f883c35d9b' },
+        { url: 'js/motion.js', revision: '902c02ca1ea9' },
+        { url: 'js/navigation.js', revision: 'fa29649336d9' },
+        { url: 'js/performance.js', revision: 'f1ef92836163' },
+        { url: 'js/responsive-image.js', revision: 'dfe5d0529dc0' },
+        { url: 'js/resume-viewer.js', revision: 'fb03ec6e9332' },
+        { url: 'js/service-worker.js', revision: 'b11407248621' },
+        { url: 'js/shortcuts.js', revision: '9d51823401c4' },
+        { url: 'js/site-search.js', revision: '192dc0778fd6' },
+        { url: 'js/skill-filter.js', revision: 'ac5e94065a90' },
+        { url: 'js/theme-init.js', revision: 'b072a4e909d6' },
+        { url: 'js/theme.js', revision: '7bc857d5c246' },
+        { url: 'js/utils.js', revision: '53c1784a8b4c' },
+        { url: 'js/video-loader.js', revision: '72c526727057' },
+        { url: 'js/video-player.js', revision: '3daf01c8e6db' },
+        { url: 'js/video-stream.js', revision: 'e15d3cb4d613' },
+        { url: 'manifest.webmanifest', revision: '3075c6707833' },
+        { url: 'offline.html', revision: '2a7095c6fd90' },
+        { url: 'resume/', revision: 'fccd776cdfa0' },
+        { url: 'resume/resume.json', revision: '5a1c0bb472be' },
+        { url: 'ru/experiences/AIAA/', revision: '184c1fec1982' },
+        { url: 'ru/experiences/BTZ/', revision: '32ab43ee4f44' },
+        { url: 'ru/experiences/CPMsupply/', revision: '31ab5c69d161' },
+        { url: 'ru/', revision: '2bb021780079' },
+        { url: 'ru/offline.html', revision: 'c1d1a6c20068' },
+        { url: 'ru/search-index.json', revision: '3b7364bf618e' },
+        { url: 'script.js', revision: 'be6f61cb692b' },
+        { url: 'search-index.json', revision: '43e2a246d5f8' },
+        { url: 'styles.css', revision: '795a4e037678' },
+        { url: 'vendor/pdfjs-dist/pdf.min.mjs', revision: '27fc2a057a00' },
+        { url: 'vendor/pdfjs-dist/pdf.worker.min.mjs', revision: '1baa1844c89c' }
+    ]
+};
@@ -1,3 +1,17 @@
+import { loadAsset, isAssetCached, revealWithoutTransition } from './js/asset-loader.js';
+import { SiteSearch } from './js/site-search.js';
+import { SkillFilter } from './js/skill-filter.js';
+import { ContactForm } from './js/contact-form.js';
+import { ResumeViewer } from './js/resume-viewer.js';
+import { ThemeToggle } from './js/theme.js';
+import { LanguageSwitcher } from './js/i18n.js';
+import { registerServiceWorker } from './js/service-worker.js';
+import { initializePerformanceMonitoring } from './js/performance.js';
+import { initializeAnalytics } from './js/analytics.js';
+import { MotionController, playEffect, scrollBehavior } from './js/motion.js';
+import { ShortcutHelp } from './js/shortcuts.js';
+import { CommandPalette } from './js/command-palette.js';
+
 // ====================================
 // NAVIGATION & SCROLL EFFECTS
 // ====================================
@@ -9,60 +23,42 @@ document.querySelectorAll('a[href^="#"]').forEach(anchor => {
         const target = document.querySelector(this.getAttribute('href'));
         if (target) {
             target.scrollIntoView({
-                behavior: 'smooth',
+                behavior: scrollBehavior(),
                 block: 'start'
             });
         }
     });
 });
 
-// Navbar scroll effect
+// Navbar scroll effect; the colours come from the theme (css/themes.css)
 window.addEventListener('scroll', () => {
     const navbar = document.querySelector('.navbar');
-    const currentScroll = window.pageYOffset;
-
-    if (currentScroll > 100) {
-        navbar.style.background = 'rgba(255, 255, 255, 0.98)';
-        navbar.style.boxShadow = '0 2px 20px rgba(0, 0, 0, 0.1)';
-    } else {
-        navbar.style.background = 'rgba(255, 255, 255, 0.98)';
-        navbar.style.boxShadow = '0 2px 10px rgba(0, 0, 0, 0.05)';
-    }
+    navbar.classList.toggle('is-scrolled', window.pageYOffset > 100);
 });
 
 // ====================================
-// INTERSECTION OBSERVER & ANIMATIONS
+// MOTION
 // ====================================
 
-// Fade-in animation observer
-const fadeObserver = new IntersectionObserver(function (entries) {
-    entries.forEach(entry => {
-        if (entry.isIntersecting) {
-            entry.target.classList.add('fade-in');
-        }
-    });
-}, {
-    threshold: 0.1,
-    rootMargin: '0px 0px -50px 0px'
-});
-
-// Observe all experience items for fade-in
-document.querySelectorAll('.experience-item').forEach(item => {
-    fadeObserver.observe(item);
-});
+// Entrance animations for [data-reveal] (the experience tiles slide in one after another);
+// decorative motion stops for prefers-reduced-motion or when a page pauses it
+window.motion = new MotionController();
 
 // ====================================
 // IMAGE LAZY LOADING SYSTEM
 // ====================================
 
-// Shared image loading function with retry logic
-function loadImageWithRetry(img, loader, iconOverlay, imageContainer, retries = 3, isExperienceImage = false) {
-    const tempImg = new Image();
-
-    tempImg.onload = function () {
-        img.src = tempImg.src;
-
-        if (isExperienceImage) {
+// Shared image loading function; retries, backoff and timeouts come from the asset loader
+function loadImageWithRetry(img, loader, iconOverlay, imageContainer, isExperienceImage = false, cached = false) {
+    loadAsset(img).then(() => {
+        if (cached) {
+            // Already in the service worker cache: no pulse, shimmer or icon animation
+            revealWithoutTransition(imageContainer || img.parentElement, () => {
+                img.classList.add('loaded');
+                if (loader) loader.classList.add('hidden');
+                if (iconOverlay) iconOverlay.style.opacity = '0';
+            });
+        } else if (isExperienceImage) {
             // Experience image specific loading effects
             const pulseElement = loader ? loader.querySelector('.pulse-loader') : null;
 
@@ -70,58 +66,41 @@ function loadImageWithRetry(img, loader, iconOverlay, imageContainer, retries =
                 pulseElement.classList.add('stop-pulse');
             }
 
-            imageContainer.classList.add('show-shimmer');
-
             setTimeout(() => {
                 img.classList.add('loaded');
             }, 50);
 
-            setTimeout(() => {
+            // The loader goes once the shimmer has run (straight away without motion)
+            playEffect(imageContainer, 'show-shimmer', { pseudo: '::before' }).then(() => {
                 if (loader) loader.classList.add('hidden');
-                imageContainer.classList.remove('show-shimmer');
-            }, 5000);
+            });
 
-            // Animate icon overlay
-            if (iconOverlay) {
-                setTimeout(() => {
-                    iconOverlay.style.transform = 'scale(0.8) rotate(180deg)';
-                    setTimeout(() => {
-                        iconOverlay.style.opacity = '0';
-                    }, 300);
-                }, 100);
-            }
+            if (iconOverlay) iconOverlay.classList.add('is-leaving');
         } else {
             // Profile image loading
             img.classList.add('loaded');
             if (loader) loader.classList.add('hidden');
         }
-    };
+    }, error => {
+        console.error(error.message);
 
-    tempImg.onerror = function () {
-        if (retries > 0) {
-            console.log(`Retrying image load... (${retries} attempts left)`);
-            setTimeout(() => loadImageWithRetry(img, loader, iconOverlay, imageContainer, retries - 1, isExperienceImage), 1000);
-        } else {
-            console.error('Failed to load image:', img.dataset.src);
-
-            if (isExperienceImage) {
-                const pulseElement = loader ? loader.querySelector('.pulse-loader') : null;
-                if (pulseElement) pulseElement.classList.add('stop-pulse');
-                imageContainer.classList.add('error-state');
-                if (iconOverlay) {
-                    iconOverlay.innerHTML = '⚠️';
-                    iconOverlay.style.opacity = '0.7';
-                }
-            } else {
-                img.src = 'fallback-avatar.svg';
-                img.classList.add('loaded');
+        // Tiles sit inside links and the avatar has a fallback, so neither gets the retry panel
+        if (isExperienceImage) {
+            const pulseElement = loader ? loader.querySelector('.pulse-loader') : null;
+            if (pulseElement) pulseElement.classList.add('stop-pulse');
+            imageContainer.classList.add('error-state');
+            if (iconOverlay) {
+                iconOverlay.innerHTML = '⚠️';
+                iconOverlay.style.opacity = '0.7';
             }
-
-            if (loader) loader.classList.add('hidden');
+        } else {
+            // Resolved against this script, so the translated homepages under ru/ and ja/ find it too
+            img.src = new URL('images/fallback-avatar.svg', import.meta.url).href;
+            img.classList.add('loaded');
         }
-    };
 
-    tempImg.src = img.dataset.src;
+        if (loader) loader.classList.add('hidden');
+    });
 }
 
 // Initialize lazy loading on DOM content loaded
@@ -139,7 +118,7 @@ document.addEventListener('DOMContentLoaded', function () {
                 const img = entry.target;
                 const loader = img.nextElementSibling;
 
-                loadImageWithRetry(img, loader, null, null, 3, false);
+                isAssetCached(img).then(cached => loadImageWithRetry(img, loader, null, null, false, cached));
                 observer.unobserve(img);
             }
         });
@@ -160,15 +139,12 @@ document.addEventListener('DOMContentLoaded', function () {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
                 const img = entry.target;
-                const loader = img.parentElement.querySelector('.experience-loading');
-                const iconOverlay = img.parentElement.querySelector('.experience-icon-overlay');
-                const imageContainer = img.parentElement;
+                const imageContainer = img.closest('.experience-image');
+                const loader = imageContainer.querySelector('.experience-loading');
+                const iconOverlay = imageContainer.querySelector('.experience-icon-overlay');
 
-                loadImageWithRetry(img, loader, iconOverlay, imageContainer, 3, true);
+                isAssetCached(img).then(cached => loadImageWithRetry(img, loader, iconOverlay, imageContainer, true, cached));
                 observer.unobserve(img);
-
-                // Add entrance animation
-                entry.target.closest('.experience-item').style.animation = 'slideInFade 0.6s ease forwards';
             }
         });
     }, {
@@ -188,11 +164,84 @@ document.addEventListener('DOMContentLoaded', function () {
             const nextItem = this.nextElementSibling;
             if (nextItem) {
                 const nextImg = nextItem.querySelector('.lazy-load-experience');
-                if (nextImg && !nextImg.classList.contains('loaded') && nextImg.dataset.src) {
+                // Responsive images are skipped: a plain preload can't know which candidate <picture> will pick
+                if (nextImg && !nextImg.classList.contains('loaded') && nextImg.dataset.src && !nextImg.dataset.srcset) {
                     const preloadImg = new Image();
                     preloadImg.src = nextImg.dataset.src;
                 }
             }
         });
     });
-});
\ No newline at end of file
+});
+
+// ====================================
+// SITE SEARCH
+// ====================================
+
+// "/", the Search button in the navbar, or "Search the site" in the command palette
+window.siteSearch = new SiteSearch();
+
+// ====================================
+// SKILL FILTER
+// ====================================
+
+// Skill tags filter the experience tiles; the selection is kept in ?skill=
+window.skillFilter = new SkillFilter();
+
+// ====================================
+// CONTACT FORM
+// ====================================
+
+// Validates and sends the contact section's form to its data-endpoint; without one the form stays hidden
+window.contactForm = new ContactForm();
+
+// ====================================
+// RESUME VIEWER
+// ====================================
+
+// The Resume link opens the PDF in an in-page viewer; narrow screens and modified clicks go to the web version
+window.resumeViewer = new ResumeViewer();
+
+// ====================================
+// THEME
+// ====================================
+
+// The theme is applied before first paint by js/theme-init.js; this wires up the navbar toggle
+window.themeToggle = new ThemeToggle();
+
+// ====================================
+// KEYBOARD SHORTCUTS
+// ====================================
+
+// "?" lists every shortcut on the page; Ctrl+K (⌘K) opens the command palette
+window.shortcutHelp = new ShortcutHelp();
+window.commandPalette = new CommandPalette({ search: window.siteSearch, help: window.shortcutHelp });
+
+// ====================================
+// LANGUAGES
+// ====================================
+
+// Remembers the navbar language choice and sends first-time visitors to their language
+window.languageSwitcher = new LanguageSwitcher();
+
+// ====================================
+// PERFORMANCE
+// ====================================
+
+// Web Vitals and lazy-load timings, sent in batches to <body data-performance-endpoint>; off without one
+window.performanceMonitor = initializePerformanceMonitoring({ endpoint: document.body.dataset.performanceEndpoint?.trim() });
+
+// ====================================
+// ANALYTICS
+// ====================================
+
+// Opt-in engagement events (tile opens, scroll depth, contact links), sent to <body data-analytics-endpoint>;
+// nothing is recorded before consent, and there is no banner without an endpoint
+window.analytics = initializeAnalytics({ endpoint: document.body.dataset.analyticsEndpoint?.trim() });
+
+// ====================================
+// OFFLINE
+// ====================================
+
+// sw.js precaches the site and caches images and videos as they are viewed; cached ones skip the loading effects
+registerServiceWorker();
@@ -0,0 +1,299 @@
+/**
+ * Service worker
+ * A classic script at the site root so its scope is the whole site;
+ * registered by js/service-worker.js. It precaches every page, stylesheet
+ * and script listed in precache-manifest.js (generated by
+ * tools/build-pages.mjs) and caches media as it is viewed:
+ *
+ *   - precached files: from the cache, which each deploy refreshes
+ *   - other pages: the network, then the offline page of their language
+ *   - images: cache first, keeping the most recent MAX_IMAGES
+ *   - documents (the résumé PDF): the cached copy at once, refreshed in the
+ *     background
+ *   - video: stream manifests like documents, stream segments cache first;
+ *     MP4 range requests are answered from a cached copy of the whole file,
+ *     which is downloaded in the background the first time a video of up to
+ *     MAX_VIDEO_BYTES plays
+ *
+ * A deploy that changes any precached file changes the manifest's version,
+ * so browsers install a new worker. Files whose revision is unchanged are
+ * copied from the previous precache rather than downloaded again.
+ */
+
+importScripts('precache-manifest.js');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const PRECACHE = `precache-${self.PRECACHE.version}`;
+const PRECACHE_PREFIX = 'precache-';
+const IMAGE_CACHE = 'images-v1';
+const MEDIA_CACHE = 'media-v1';
+const DOCUMENT_CACHE = 'documents-v1';
+const RUNTIME_CACHES = [IMAGE_CACHE, MEDIA_CACHE, DOCUMENT_CACHE];
+
+const MAX_IMAGES = 150;
+const MAX_MEDIA = 300;
+const MAX_VIDEO_BYTES = 25 * 1024 * 1024;
+
+// Stored on precached responses so the next install can tell what changed
+const REVISION_HEADER = 'X-Precache-Revision';
+
+const IMAGE_PATTERN = /\.(avif|webp|jpe?g|png|gif|svg)$/i;
+const VIDEO_PATTERN = /\.(mp4|m4v|webm)$/i;
+const SEGMENT_PATTERN = /\.(m4s|ts)$/i;
+const STREAM_MANIFEST_PATTERN = /\.(mpd|m3u8)$/i;
+const DOCUMENT_PATTERN = /\.pdf$/i;
+
+const SCOPE = new URL(self.registration.scope);
+const PRECACHED = new Map(self.PRECACHE.entries.map(({ url, revision }) => [new URL(url, SCOPE).href, revision]));
+
+// Videos being downloaded whole in the background, by URL
+const videoDownloads = new Set();
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+self.addEventListener('install', event => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+async function precache() {
+    const cache = await caches.open(PRECACHE);
+    const previous = await previousPrecache();
+
+    await Promise.all([...PRECACHED].map(async ([url, revision]) => {
+        const cached = previous && await previous.match(url);
+        if (cached && cached.headers.get(REVISION_HEADER) === revision) {
+            return cache.put(url, cached);
+        }
+
+        // Bypass the HTTP cache, which may still hold the previous deploy
+        const response = await fetch(url, { cache: 'reload' });
+        if (!response.ok) throw new Error(`Precaching ${url} failed with HTTP ${response.status}`);
+        return cache.put(url, await withHeader(response, REVISION_HEADER, revision));
+    }));
+}
+
+async function previousPrecache() {
+    const names = (await caches.keys()).filter(name => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE);
+    return names.length ? caches.open(names[names.length - 1]) : null;
+}
+
+async function removeOldCaches() {
+    const current = new Set([PRECACHE, ...RUNTIME_CACHES]);
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !current.has(name)).map(name => caches.delete(name)));
+}
+
+// =============================================================================
+// ROUTING
+// =============================================================================
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== SCOPE.origin) return;
+
+    const handler = handlerFor(request, url);
+    if (handler) event.respondWith(handler(event));
+});
+
+function handlerFor(request, url) {
+    const path = url.pathname;
+
+    if (PRECACHED.has(precacheKey(url))) return fromPrecache;
+    if (request.headers.has('range')) return rangeRequest;
+    if (DOCUMENT_PATTERN.test(path) || STREAM_MANIFEST_PATTERN.test(path)) return event => staleWhileRevalidate(event, DOCUMENT_CACHE);
+    if (request.mode === 'navigate') return pageOrOffline;
+    if (SEGMENT_PATTERN.test(path) || VIDEO_PATTERN.test(path)) return event => cacheFirst(event, MEDIA_CACHE, MAX_MEDIA);
+    if (request.destination === 'image' || IMAGE_PATTERN.test(path)) return event => cacheFirst(event, IMAGE_CACHE, MAX_IMAGES);
+    return null;
+}
+
+/**
+ * The precache key for a URL: no query or fragment, and pages by their
+ * directory (so /?skill=Python and /index.html are both the homepage)
+ */
+function precacheKey(url) {
+    return new URL(url.pathname.replace(/\/index\.html$/, '/'), url).href;
+}
+
+// =============================================================================
+// STRATEGIES
+// =============================================================================
+
+async function fromPrecache(event) {
+    const cached = await caches.match(precacheKey(new URL(event.request.url)), { cacheName: PRECACHE });
+    return cached || fetch(event.request);
+}
+
+async function pageOrOffline(event) {
+    try {
+        return await fetch(event.request);
+    } catch (error) {
+        const offline = await caches.match(offlinePageFor(new URL(event.request.url)), { cacheName: PRECACHE });
+        if (offline) return offline;
+        throw error;
+    }
+}
+
+/**
+ * offline.html of the language tree the URL is in (ru/offline.html for
+ * /ru/...), or the English one
+ */
+function offlinePageFor(url) {
+    const [first] = url.pathname.slice(SCOPE.pathname.length).split('/');
+    const localized = new URL(`${first}/offline.html`, SCOPE).href;
+    return first && PRECACHED.has(localized) ? localized : new URL('offline.html', SCOPE).href;
+}
+
+async function cacheFirst(event, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+    if (cached) return cached;
+
+    const response = await fetch(event.request);
+    if (response.status === 200) {
+        event.waitUntil(cache.put(event.request, response.clone()).then(() => trimCache(cache, maxEntries)));
+    }
+    return response;
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+    const update = fetch(event.request).then(async response => {
+        if (response.status === 200) await cache.put(event.request, response.clone());
+        return response;
+    });
+
+    if (!cached) return update;
+
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+}
+
+/**
+ * Media elements (and PDF viewers) ask for byte ranges. Answer from a cached
+ * copy of the whole file when there is one; otherwise pass the request on
+ * and, for videos that are small enough, download the whole file for next
+ * time.
+ */
+async function rangeRequest(event) {
+    const { request } = event;
+    const cached = await caches.match(request.url, { ignoreVary: true });
+    if (cached) return sliceResponse(cached, request.headers.get('range'));
+
+    const response = await fetch(request);
+    const size = totalSize(response);
+
+    if (!VIDEO_PATTERN.test(new URL(request.url).pathname) || !size || size > MAX_VIDEO_BYTES || saveData()) {
+        return response;
+    }
+
+    // A server that ignores ranges has just sent the whole file
+    if (response.status === 200) {
+        event.waitUntil(cacheVideo(request.url, response.clone()));
+    } else {
+        event.waitUntil(downloadVideo(request.url));
+    }
+    return response;
+}
+
+async function downloadVideo(url) {
+    if (videoDownloads.has(url)) return;
+    videoDownloads.add(url);
+
+    try {
+        const response = await fetch(url);
+        if (response.status === 200) await cacheVideo(url, response);
+    } catch (error) {
+        // Playback goes on from the network; the next play tries again
+        console.warn(`Could not cache ${url}: ${error.message}`);
+    } finally {
+        videoDownloads.delete(url);
+    }
+}
+
+async function cacheVideo(url, response) {
+    const cache = await caches.open(MEDIA_CACHE);
+    await cache.put(url, response);
+    await trimCache(cache, MAX_MEDIA);
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * A 206 response with the requested bytes of a complete cached response
+ * (a single "bytes=start-end", "bytes=start-" or "bytes=-suffix" range)
+ */
+async function sliceResponse(response, rangeHeader) {
+    const blob = await response.blob();
+    const size = blob.size;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+    let start = NaN;
+    let end = size - 1;
+
+    if (match && match[1] !== '') {
+        start = Number(match[1]);
+        if (match[2] !== '') end = Math.min(Number(match[2]), size - 1);
+    } else if (match && match[2] !== '') {
+        start = Math.max(size - Number(match[2]), 0);
+    }
+
+    if (!(start <= end)) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+    }
+
+    const headers = new Headers({
+        'Content-Range': `bytes ${start}-${end}/${size}`,
+        'Content-Length': String(end - start + 1)
+    });
+    const type = response.headers.get('Content-Type');
+    if (type) headers.set('Content-Type', type);
+
+    return new Response(blob.slice(start, end + 1), { status: 206, statusText: 'Partial Content', headers });
+}
+
+/**
+ * Size of the whole file behind a full or partial response, or 0 if unknown
+ */
+function totalSize(response) {
+    if (response.status === 206) {
+        const match = /\/(\d+)$/.exec(response.headers.get('Content-Range') || '');
+        return match ? Number(match[1]) : 0;
+    }
+    return Number(response.headers.get('Content-Length')) || 0;
+}
+
+/**
+ * Copy of a response with one extra header (this also drops the redirected
+ * flag, which browsers refuse on responses to navigations)
+ */
+async function withHeader(response, name, value) {
+    const headers = new Headers(response.headers);
+    headers.set(name, value);
+    return new Response(await response.blob(), { status: response.status, statusText: response.statusText, headers });
+}
+
+/**
+ * Drop the oldest entries beyond `maxEntries` (cache keys keep insertion order)
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+function saveData() {
+    return Boolean(self.navigator.connection?.saveData);
+}
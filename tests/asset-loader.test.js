@@ -0,0 +1,256 @@
+/**
+ * js/asset-loader.js and the lazy loaders built on it: retries, backoff
+ * and the shared error state
+ */
+
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { loadAsset, showAssetError, AssetLoadError, DEFAULT_LOAD_OPTIONS } from '../js/asset-loader.js';
+import { LazyImageLoader } from '../js/lazy-loading.js';
+import { LazyVideoLoader } from '../js/video-loader.js';
+import { t } from '../js/i18n.js';
+import { network, intersect } from './fakes.js';
+
+beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    document.body.replaceChildren();
+});
+
+function image(src) {
+    const img = document.createElement('img');
+    img.dataset.src = src;
+    document.body.appendChild(img);
+    return img;
+}
+
+function video(src) {
+    const element = document.createElement('video');
+    element.dataset.src = src;
+    document.body.appendChild(element);
+    return element;
+}
+
+/**
+ * Settle `promise` while running every timer it waits on
+ */
+async function settle(promise) {
+    const result = promise.then(value => ({ value }), error => ({ error }));
+    await vi.runAllTimersAsync();
+    return result;
+}
+
+// =============================================================================
+// RETRIES
+// =============================================================================
+
+describe('retries', () => {
+    test('an image that loads needs one request', async () => {
+        const img = image('ok.jpg');
+
+        const { value } = await settle(loadAsset(img));
+
+        expect(value).toBe(img);
+        expect(img.getAttribute('src')).toBe('ok.jpg');
+        expect(network.requests('ok.jpg')).toBe(1);
+    });
+
+    test('failed attempts are retried until one succeeds', async () => {
+        const img = image('flaky.jpg');
+        const loaded = vi.fn();
+        img.addEventListener('assetload', e => loaded(e.detail.attempts));
+        network.fail('flaky.jpg', 2);
+
+        const { value } = await settle(loadAsset(img));
+
+        expect(value).toBe(img);
+        expect(network.requests('flaky.jpg')).toBe(3);
+        expect(loaded).toHaveBeenCalledWith(3);
+    });
+
+    test('gives up after the configured number of retries', async () => {
+        const img = image('broken.jpg');
+        const failed = vi.fn();
+        img.addEventListener('asseterror', e => failed(e.detail.attempts));
+        network.fail('broken.jpg');
+
+        const { error } = await settle(loadAsset(img));
+
+        expect(error).toBeInstanceOf(AssetLoadError);
+        expect(error.attempts).toBe(DEFAULT_LOAD_OPTIONS.retries + 1);
+        expect(network.requests('broken.jpg')).toBe(DEFAULT_LOAD_OPTIONS.retries + 1);
+        expect(failed).toHaveBeenCalledWith(DEFAULT_LOAD_OPTIONS.retries + 1);
+        expect(img.hasAttribute('src')).toBe(false);
+    });
+
+    test('retries: 0 makes a single attempt', async () => {
+        network.fail('once.jpg');
+
+        const { error } = await settle(loadAsset(image('once.jpg'), { retries: 0 }));
+
+        expect(error.attempts).toBe(1);
+        expect(network.requests('once.jpg')).toBe(1);
+    });
+
+    test('retries back off exponentially', async () => {
+        network.fail('slow.jpg');
+        const done = loadAsset(image('slow.jpg')).catch(() => {});
+        const { baseDelay } = DEFAULT_LOAD_OPTIONS;
+
+        await vi.advanceTimersByTimeAsync(0);
+        expect(network.requests('slow.jpg')).toBe(1);
+
+        for (const [delay, requests] of [[baseDelay, 2], [baseDelay * 2, 3], [baseDelay * 4, 4]]) {
+            await vi.advanceTimersByTimeAsync(delay - 1);
+            expect(network.requests('slow.jpg')).toBe(requests - 1);
+            await vi.advanceTimersByTimeAsync(1);
+            expect(network.requests('slow.jpg')).toBe(requests);
+        }
+
+        await done;
+    });
+
+    test('calls for an element that is already loading share one load', async () => {
+        const img = image('shared.jpg');
+
+        const first = loadAsset(img);
+        const second = loadAsset(img);
+        await settle(first);
+
+        expect(second).toBe(first);
+        expect(network.requests('shared.jpg')).toBe(1);
+    });
+
+    test('a video is retried through the element itself', async () => {
+        const element = video('clip.mp4');
+        network.fail('clip.mp4');
+
+        const { error } = await settle(loadAsset(element));
+
+        expect(error.attempts).toBe(DEFAULT_LOAD_OPTIONS.retries + 1);
+        expect(network.requests('clip.mp4')).toBe(DEFAULT_LOAD_OPTIONS.retries + 1);
+    });
+});
+
+// =============================================================================
+// ERROR STATE
+// =============================================================================
+
+describe('error state', () => {
+    test('shows the message and a labelled retry button', () => {
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+
+        const error = showAssetError(container, { message: 'Nope', label: 'Lab photo', onRetry: () => {} });
+
+        expect(error.getAttribute('role')).toBe('alert');
+        expect(error.querySelector('.asset-error-message').textContent).toBe('Nope');
+        expect(error.querySelector('.asset-error-retry').getAttribute('aria-label'))
+            .toBe(t('asset.retryLabel', { label: 'Lab photo' }));
+        expect(container.classList.contains('has-asset-error')).toBe(true);
+    });
+
+    test('has no retry button without onRetry', () => {
+        const container = document.createElement('div');
+
+        const error = showAssetError(container);
+
+        expect(error.querySelector('.asset-error-message').textContent).toBe(t('asset.error'));
+        expect(error.querySelector('.asset-error-retry')).toBeNull();
+    });
+
+    test('retrying clears the error, and a repeated failure focuses the new retry button', () => {
+        const container = document.createElement('div');
+        document.body.appendChild(container);
+        const onRetry = vi.fn(() => showAssetError(container, { onRetry }));
+
+        showAssetError(container, { onRetry }).querySelector('.asset-error-retry').click();
+
+        expect(onRetry).toHaveBeenCalledTimes(1);
+        expect(container.querySelectorAll('.asset-error')).toHaveLength(1);
+        expect(document.activeElement).toBe(container.querySelector('.asset-error-retry'));
+    });
+
+    test('a gallery image that keeps failing shows the error until a retry loads it', async () => {
+        document.body.innerHTML = `
+            <div class="lazy-image-wrapper">
+                <img class="lazy" data-src="photo.jpg" alt="Test rig">
+                <div class="loading-spinner hidden"></div>
+            </div>`;
+        const wrapper = document.querySelector('.lazy-image-wrapper');
+        const img = wrapper.querySelector('img');
+        const spinner = wrapper.querySelector('.loading-spinner');
+        network.fail('photo.jpg');
+
+        new LazyImageLoader();
+        intersect(img);
+        await vi.runAllTimersAsync();
+
+        expect(network.requests('photo.jpg')).toBe(DEFAULT_LOAD_OPTIONS.retries + 1);
+        expect(wrapper.querySelector('.asset-error-message').textContent).toBe(t('image.error'));
+        expect(spinner.classList.contains('hidden')).toBe(true);
+        expect(img.classList.contains('loaded')).toBe(false);
+
+        network.reset();
+        wrapper.querySelector('.asset-error-retry').click();
+        await vi.runAllTimersAsync();
+
+        expect(network.requests('photo.jpg')).toBe(1);
+        expect(wrapper.querySelector('.asset-error')).toBeNull();
+        expect(img.classList.contains('loaded')).toBe(true);
+        expect(img.getAttribute('src')).toBe('photo.jpg');
+    });
+
+    test('a video that keeps failing shows the video error', async () => {
+        document.body.innerHTML = `
+            <div class="video-container">
+                <video class="lazy-video" data-src="demo.mp4"></video>
+                <div class="video-loading-spinner hidden"></div>
+            </div>`;
+        const element = document.querySelector('video');
+        network.fail('demo.mp4');
+
+        new LazyVideoLoader();
+        intersect(element);
+        await vi.runAllTimersAsync();
+
+        expect(network.requests('demo.mp4')).toBe(DEFAULT_LOAD_OPTIONS.retries + 1);
+        expect(element.classList.contains('video-error')).toBe(true);
+        expect(document.querySelector('.video-container .asset-error-message').textContent).toBe(t('video.error'));
+    });
+});
+
+// =============================================================================
+// VIDEO LOADER
+// =============================================================================
+
+describe('video loader', () => {
+    test('loading a video again keeps its one player', async () => {
+        document.body.innerHTML = `
+            <div class="video-container">
+                <div class="lazy-video-wrapper">
+                    <video class="lazy-video" id="demo" data-src="demo.mp4"></video>
+                    <div class="video-loading-spinner hidden"></div>
+                </div>
+            </div>`;
+        const element = document.querySelector('video');
+        const played = vi.fn();
+        document.addEventListener('video:play', played);
+
+        const loader = new LazyVideoLoader();
+        loader.loadAllVideos();
+        await vi.runAllTimersAsync();
+        loader.loadVideoById('demo');
+        await vi.runAllTimersAsync();
+        await element.play();
+        document.removeEventListener('video:play', played);
+
+        expect(loader.players.size).toBe(1);
+        expect(document.querySelectorAll('.video-controls')).toHaveLength(1);
+        expect(played).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * Browser pieces jsdom doesn't have, under the tests' control
+ * jsdom never fetches images or media and has no IntersectionObserver, so
+ * these stand in for them:
+ *
+ *   network.fail('a.jpg', 2);     // the next two loads of a.jpg fail
+ *   network.requests('a.jpg');    // how often it was requested so far
+ *   intersect(img);               // report img as scrolled into view
+ *   setDuration(video, 90);       // a video's metadata has loaded
+ *
+ * Every load settles in a microtask, so fake timers only have to cover the
+ * loader's own timeouts and backoff delays.
+ */
+
+// =============================================================================
+// NETWORK
+// =============================================================================
+
+export const network = {
+    failures: new Map(),
+    counts: new Map(),
+
+    /**
+     * Let the next `times` loads of `src` fail (default: every one)
+     */
+    fail(src, times = Infinity) {
+        this.failures.set(src, times);
+    },
+
+    /**
+     * Record a load of `src`; returns whether it succeeds
+     */
+    request(src) {
+        this.counts.set(src, this.requests(src) + 1);
+
+        const failures = this.failures.get(src) ?? 0;
+        if (failures > 0) this.failures.set(src, failures - 1);
+        return failures === 0;
+    },
+
+    requests(src) {
+        return this.counts.get(src) ?? 0;
+    },
+
+    reset() {
+        this.failures.clear();
+        this.counts.clear();
+    }
+};
+
+/**
+ * new Image(): loads through `network` and calls onload or onerror
+ */
+export class FakeImage {
+    constructor() {
+        this.onload = null;
+        this.onerror = null;
+        this.currentSrc = '';
+    }
+
+    get src() {
+        return this.currentSrc;
+    }
+
+    set src(value) {
+        this.currentSrc = value;
+        queueMicrotask(() => (network.request(value) ? this.onload : this.onerror)?.());
+    }
+}
+
+/**
+ * <video>/<audio>: setting src or calling load() loads the src attribute
+ * through `network` and fires loadeddata or error. play() and pause()
+ * switch `paused` and fire play/pause; <track> children are text tracks
+ * whose cues a test sets, and load at once.
+ */
+function installFakeMedia({ HTMLMediaElement, HTMLTrackElement }) {
+    Object.defineProperties(HTMLMediaElement.prototype, {
+        src: {
+            configurable: true,
+            get() {
+                return this.getAttribute('src') || '';
+            },
+            set(value) {
+                this.setAttribute('src', value);
+                this.load();
+            }
+        },
+        duration: {
+            configurable: true,
+            get() {
+                return this.fakeDuration ?? NaN;
+            }
+        },
+        paused: {
+            configurable: true,
+            get() {
+                return !this.fakePlaying;
+            }
+        },
+        textTracks: {
+            configurable: true,
+            get() {
+                return [...this.querySelectorAll('track')].map(element => element.track);
+            }
+        }
+    });
+
+    HTMLMediaElement.prototype.load = function load() {
+        const src = this.getAttribute('src');
+        queueMicrotask(() => this.dispatchEvent(new Event(network.request(src) ? 'loadeddata' : 'error')));
+    };
+    HTMLMediaElement.prototype.play = function play() {
+        this.fakePlaying = true;
+        this.dispatchEvent(new Event('play'));
+        return Promise.resolve();
+    };
+    HTMLMediaElement.prototype.pause = function pause() {
+        this.fakePlaying = false;
+        this.dispatchEvent(new Event('pause'));
+    };
+
+    Object.defineProperties(HTMLTrackElement.prototype, {
+        track: {
+            configurable: true,
+            get() {
+                this.fakeTrack ??= {
+                    kind: this.getAttribute('kind') || 'subtitles',
+                    label: this.getAttribute('label') || '',
+                    language: this.getAttribute('srclang') || '',
+                    mode: 'disabled',
+                    cues: []
+                };
+                return this.fakeTrack;
+            }
+        },
+        // HTMLTrackElement.LOADED
+        readyState: { configurable: true, get: () => 2 }
+    });
+}
+
+/**
+ * Give a media element its duration, as once its metadata has loaded
+ */
+export function setDuration(media, seconds) {
+    media.fakeDuration = seconds;
+    media.dispatchEvent(new Event('durationchange'));
+}
+
+// =============================================================================
+// INTERSECTION OBSERVER
+// =============================================================================
+
+export class FakeIntersectionObserver {
+    static instances = new Set();
+
+    constructor(callback, options = {}) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+        FakeIntersectionObserver.instances.add(this);
+    }
+
+    observe(target) {
+        this.targets.add(target);
+    }
+
+    unobserve(target) {
+        this.targets.delete(target);
+    }
+
+    disconnect() {
+        this.targets.clear();
+        FakeIntersectionObserver.instances.delete(this);
+    }
+
+    takeRecords() {
+        return [];
+    }
+}
+
+/**
+ * Tell every observer watching `element` that it scrolled into view
+ */
+export function intersect(element) {
+    FakeIntersectionObserver.instances.forEach(observer => {
+        if (!observer.targets.has(element)) return;
+        observer.callback([{ target: element, isIntersecting: true, intersectionRatio: 1 }], observer);
+    });
+}
+
+// =============================================================================
+// INSTALL
+// =============================================================================
+
+/**
+ * Put the fakes on `window`, plus no-op stand-ins for the layout and media
+ * query APIs the runtime touches at import time
+ */
+export function installFakes(window) {
+    window.Image = FakeImage;
+    window.IntersectionObserver = FakeIntersectionObserver;
+    installFakeMedia(window);
+
+    window.matchMedia = query => ({
+        matches: false,
+        media: query,
+        addEventListener() {},
+        removeEventListener() {},
+        addListener() {},
+        removeListener() {}
+    });
+    window.Element.prototype.scrollIntoView = function scrollIntoView() {};
+}
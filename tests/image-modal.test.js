@@ -0,0 +1,155 @@
+/**
+ * js/image-modal.js: navigation stays inside the gallery, by button, key
+ * and swipe
+ */
+
+import { describe, test, expect, beforeAll, beforeEach } from 'vitest';
+import { ImageModal } from '../js/image-modal.js';
+import { t } from '../js/i18n.js';
+
+const SWIPE_THRESHOLD = 50;
+
+let imageModal;
+
+beforeAll(() => {
+    document.body.innerHTML = `
+        <div class="image-gallery" data-gallery="rig">
+            <figure><img class="project-image" data-src="a.jpg" alt="A"><figcaption>First</figcaption></figure>
+            <figure><img class="project-image" data-src="b.jpg" alt="B"><figcaption>Second</figcaption></figure>
+            <figure><img class="project-image" data-src="c.jpg" alt="C" data-image-id="nozzle"><figcaption>Third</figcaption></figure>
+        </div>
+        <div id="imageModal" class="modal">
+            <button class="modal-close"></button>
+            <button class="modal-prev"></button>
+            <button class="modal-next"></button>
+            <img id="modalImage" alt="">
+            <p class="modal-caption"></p>
+            <span class="modal-counter"></span>
+            <span class="modal-zoom-indicator"></span>
+        </div>`;
+    imageModal = new ImageModal();
+});
+
+beforeEach(() => {
+    imageModal.closeModal();
+    imageModal.open('rig', 0);
+});
+
+function press(key) {
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+function touch(type, screenX, touches = []) {
+    const event = new Event(type, { bubbles: true });
+    Object.assign(event, { changedTouches: [{ screenX }], touches });
+    imageModal.modal.dispatchEvent(event);
+}
+
+function swipe(distance) {
+    touch('touchstart', 300);
+    touch('touchend', 300 + distance);
+}
+
+// =============================================================================
+// BOUNDS
+// =============================================================================
+
+describe('gallery bounds', () => {
+    test('opens on the requested image', () => {
+        expect(imageModal.isOpen()).toBe(true);
+        expect(imageModal.modalImg.getAttribute('src')).toBe('a.jpg');
+        expect(imageModal.modalCaption.textContent).toBe('First');
+        expect(imageModal.modalCounter.textContent).toBe(t('modal.counter', { index: 1, total: 3 }));
+    });
+
+    test('previous does nothing on the first image', () => {
+        expect(imageModal.prevBtn.style.display).toBe('none');
+
+        imageModal.showPrevImage();
+
+        expect(imageModal.currentImageIndex).toBe(0);
+        expect(imageModal.modalImg.getAttribute('src')).toBe('a.jpg');
+    });
+
+    test('next stops on the last image', () => {
+        imageModal.showNextImage();
+        imageModal.showNextImage();
+        imageModal.showNextImage();
+
+        expect(imageModal.currentImageIndex).toBe(2);
+        expect(imageModal.modalImg.getAttribute('src')).toBe('c.jpg');
+        expect(imageModal.nextBtn.style.display).toBe('none');
+        expect(imageModal.prevBtn.style.display).toBe('block');
+    });
+
+    test('the arrow keys stay inside the gallery', () => {
+        press('ArrowLeft');
+        expect(imageModal.currentImageIndex).toBe(0);
+
+        ['ArrowRight', 'ArrowRight', 'ArrowRight'].forEach(press);
+        expect(imageModal.currentImageIndex).toBe(2);
+
+        press('ArrowLeft');
+        expect(imageModal.currentImageIndex).toBe(1);
+    });
+
+    test('open() refuses images the gallery does not have', () => {
+        expect(imageModal.open('rig', 3)).toBe(false);
+        expect(imageModal.open('rig', -1)).toBe(false);
+        expect(imageModal.open('rig', 'missing')).toBe(false);
+        expect(imageModal.open('other', 0)).toBe(false);
+        expect(imageModal.currentImageIndex).toBe(0);
+    });
+
+    test('open() finds an image by its id', () => {
+        expect(imageModal.open('rig', 'nozzle')).toBe(true);
+        expect(imageModal.currentImageIndex).toBe(2);
+    });
+});
+
+// =============================================================================
+// SWIPES
+// =============================================================================
+
+describe('swipes', () => {
+    test(`a swipe of ${SWIPE_THRESHOLD}px or less does not navigate`, () => {
+        imageModal.showNextImage();
+
+        swipe(-SWIPE_THRESHOLD);
+        swipe(SWIPE_THRESHOLD);
+
+        expect(imageModal.currentImageIndex).toBe(1);
+    });
+
+    test('a longer swipe to the left shows the next image, to the right the previous one', () => {
+        swipe(-SWIPE_THRESHOLD - 1);
+        expect(imageModal.currentImageIndex).toBe(1);
+
+        swipe(SWIPE_THRESHOLD + 1);
+        expect(imageModal.currentImageIndex).toBe(0);
+    });
+
+    test('swipes past either end stay put', () => {
+        swipe(SWIPE_THRESHOLD + 1);
+        expect(imageModal.currentImageIndex).toBe(0);
+
+        imageModal.open('rig', 2);
+        swipe(-SWIPE_THRESHOLD - 1);
+        expect(imageModal.currentImageIndex).toBe(2);
+    });
+
+    test('a swipe while zoomed pans instead of navigating', () => {
+        imageModal.zoom.zoomIn();
+
+        swipe(-200);
+
+        expect(imageModal.currentImageIndex).toBe(0);
+    });
+
+    test('a touch that ends with fingers still down is not a swipe', () => {
+        touch('touchstart', 300);
+        touch('touchend', 100, [{ screenX: 100 }]);
+
+        expect(imageModal.currentImageIndex).toBe(0);
+    });
+});
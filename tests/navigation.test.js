@@ -0,0 +1,87 @@
+/**
+ * The "g" shortcut (js/navigation.js through js/shortcuts.js), which must
+ * not fire while the visitor is typing
+ */
+
+import { describe, test, expect, vi, beforeAll, beforeEach } from 'vitest';
+import { initializeKeyboardShortcuts } from '../js/navigation.js';
+
+let scrolled;
+
+beforeAll(() => {
+    document.body.innerHTML = `
+        <input type="text" id="text">
+        <input type="search" id="search">
+        <textarea id="textarea"></textarea>
+        <select id="select"><option>One</option></select>
+        <input type="range" id="range">
+        <input type="checkbox" id="checkbox">
+        <button type="button" id="button">Button</button>
+        <section class="image-gallery"></section>`;
+
+    const gallery = document.querySelector('.image-gallery');
+    scrolled = vi.spyOn(gallery, 'scrollIntoView');
+    initializeKeyboardShortcuts();
+});
+
+beforeEach(() => {
+    scrolled.mockClear();
+    document.body.classList.remove('modal-open');
+});
+
+function press(target, key, modifiers = {}) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers });
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('"g" goes to the gallery', () => {
+    test('from the page', () => {
+        const event = press(document.body, 'g');
+
+        expect(scrolled).toHaveBeenCalledTimes(1);
+        expect(event.defaultPrevented).toBe(true);
+    });
+
+    test('with Shift held ("G")', () => {
+        press(document.body, 'G', { shiftKey: true });
+
+        expect(scrolled).toHaveBeenCalledTimes(1);
+    });
+
+    test.each(['range', 'checkbox', 'button'])('from a focused %s, which takes no text', (id) => {
+        press(document.getElementById(id), 'g');
+
+        expect(scrolled).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('"g" is left alone', () => {
+    test.each(['text', 'search', 'textarea', 'select'])('while typing in a %s field', (id) => {
+        const event = press(document.getElementById(id), 'g');
+
+        expect(scrolled).not.toHaveBeenCalled();
+        expect(event.defaultPrevented).toBe(false);
+    });
+
+    test('while typing "G" in a text field', () => {
+        press(document.getElementById('text'), 'G', { shiftKey: true });
+
+        expect(scrolled).not.toHaveBeenCalled();
+    });
+
+    test('with Ctrl held, so browser shortcuts keep working', () => {
+        const event = press(document.body, 'g', { ctrlKey: true });
+
+        expect(scrolled).not.toHaveBeenCalled();
+        expect(event.defaultPrevented).toBe(false);
+    });
+
+    test('while a dialog is open', () => {
+        document.body.classList.add('modal-open');
+
+        press(document.body, 'g');
+
+        expect(scrolled).not.toHaveBeenCalled();
+    });
+});
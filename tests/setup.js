@@ -0,0 +1,13 @@
+/**
+ * Runs before every test file (vitest.config.mjs)
+ */
+
+import { afterEach } from 'vitest';
+import { installFakes, network, FakeIntersectionObserver } from './fakes.js';
+
+installFakes(window);
+
+afterEach(() => {
+    network.reset();
+    FakeIntersectionObserver.instances.clear();
+});
@@ -0,0 +1,261 @@
+/**
+ * js/video-player.js: the player's keys, chapters and captions
+ */
+
+import { describe, test, expect, afterEach } from 'vitest';
+import { VideoPlayer, parseChapters } from '../js/video-player.js';
+import { t } from '../js/i18n.js';
+import { setDuration } from './fakes.js';
+
+afterEach(() => {
+    document.body.replaceChildren();
+});
+
+/**
+ * A loaded video of `duration` seconds with its player; `attributes` and
+ * `tracks` are markup for the <video> tag and its children
+ */
+function player({ duration = 100, attributes = '', tracks = '' } = {}) {
+    document.body.innerHTML = `
+        <div class="lazy-video-wrapper">
+            <video class="project-video" ${attributes}>${tracks}</video>
+        </div>
+        <button type="button" id="outside">Elsewhere</button>`;
+
+    const video = document.querySelector('video');
+    const videoPlayer = new VideoPlayer(video);
+    setDuration(video, duration);
+    video.focus();
+    return videoPlayer;
+}
+
+function press(target, key, modifiers = {}) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers });
+    target.dispatchEvent(event);
+    return event;
+}
+
+// =============================================================================
+// KEYBOARD
+// =============================================================================
+
+describe('keyboard', () => {
+    test('Space and K play and pause', () => {
+        const { video, ui } = player();
+
+        press(video, ' ');
+        expect(video.paused).toBe(false);
+        expect(ui.play.getAttribute('aria-label')).toBe(t('player.pause'));
+
+        press(video, 'k');
+        expect(video.paused).toBe(true);
+        expect(ui.play.getAttribute('aria-label')).toBe(t('player.play'));
+    });
+
+    test('the arrows and J/L seek, within the video', () => {
+        const { video } = player();
+
+        press(video, 'ArrowRight');
+        expect(video.currentTime).toBe(5);
+        press(video, 'l');
+        expect(video.currentTime).toBe(15);
+        press(video, 'j');
+        press(video, 'ArrowLeft');
+        expect(video.currentTime).toBe(0);
+
+        video.currentTime = 98;
+        press(video, 'l');
+        expect(video.currentTime).toBe(100);
+    });
+
+    test('Home, End and the digits jump', () => {
+        const { video } = player();
+
+        press(video, '7');
+        expect(video.currentTime).toBe(70);
+        press(video, 'End');
+        expect(video.currentTime).toBe(100);
+        press(video, 'Home');
+        expect(video.currentTime).toBe(0);
+    });
+
+    test('up, down and M change the volume', () => {
+        const { video, ui } = player();
+        video.volume = 0.5;
+
+        press(video, 'ArrowUp');
+        expect(video.volume).toBeCloseTo(0.6);
+        press(video, 'ArrowDown');
+        press(video, 'ArrowDown');
+        expect(video.volume).toBeCloseTo(0.4);
+
+        press(video, 'm');
+        expect(video.muted).toBe(true);
+        expect(ui.mute.getAttribute('aria-label')).toBe(t('player.unmute'));
+    });
+
+    test('< and > step through the playback rates', () => {
+        const { video } = player();
+
+        press(video, '>', { shiftKey: true });
+        expect(video.playbackRate).toBe(1.25);
+        press(video, '<', { shiftKey: true });
+        press(video, '<', { shiftKey: true });
+        expect(video.playbackRate).toBe(0.75);
+    });
+
+    test('keys only apply while focus is inside the player', () => {
+        const { video } = player();
+
+        const event = press(document.getElementById('outside'), 'ArrowRight');
+
+        expect(video.currentTime).toBe(0);
+        expect(event.defaultPrevented).toBe(false);
+    });
+
+    test('a focused slider keeps its own arrow keys', () => {
+        const { video, ui } = player();
+
+        const event = press(ui.volume, 'ArrowRight');
+
+        expect(video.currentTime).toBe(0);
+        expect(event.defaultPrevented).toBe(false);
+    });
+
+    test('the digits wait for the duration', () => {
+        const { video } = player({ duration: NaN });
+
+        const event = press(video, '5');
+
+        expect(video.currentTime).toBe(0);
+        expect(event.defaultPrevented).toBe(false);
+    });
+});
+
+// =============================================================================
+// CHAPTERS
+// =============================================================================
+
+describe('chapters', () => {
+    const CHAPTERS = `data-chapters='[{"start": "0:00", "title": "Entry"}, {"start": "0:30", "title": "Descent"}, {"start": "1:00", "title": "Landing"}]'`;
+
+    test('parseChapters reads JSON and "m:ss Title" lines, sorted', () => {
+        expect(parseChapters('1:05 Landing\n0:00 Entry\nnot a chapter')).toEqual([
+            { start: 0, title: 'Entry' },
+            { start: 65, title: 'Landing' }
+        ]);
+        expect(parseChapters('[{"start": 90, "title": "Late"}, {"start": "0:10", "title": "Early"}]')).toEqual([
+            { start: 10, title: 'Early' },
+            { start: 90, title: 'Late' }
+        ]);
+        expect(parseChapters('')).toEqual([]);
+    });
+
+    test('every chapter after the first gets a marker on the seek bar', () => {
+        const { ui } = player({ attributes: CHAPTERS });
+
+        const markers = [...ui.markers.children];
+
+        expect(markers.map(marker => marker.style.left)).toEqual(['30%', '60%']);
+        expect(markers[0].title).toBe('0:30 Descent');
+    });
+
+    test('the current chapter is shown and announced', () => {
+        const { video, ui } = player({ attributes: CHAPTERS });
+
+        video.currentTime = 45;
+        video.dispatchEvent(new Event('timeupdate'));
+
+        expect(ui.chapterTitle.textContent).toBe('Descent');
+        expect(ui.seek.getAttribute('aria-valuetext'))
+            .toBe(t('player.positionChapter', { current: '0:45', duration: '1:40', chapter: 'Descent' }));
+    });
+
+    test('PageDown goes to the next chapter and stops at the last', () => {
+        const { video } = player({ attributes: CHAPTERS });
+
+        press(video, 'PageDown');
+        expect(video.currentTime).toBe(30);
+        press(video, 'PageDown');
+        press(video, 'PageDown');
+        expect(video.currentTime).toBe(60);
+    });
+
+    test('PageUp restarts the chapter, or goes to the previous one right after a start', () => {
+        const { video } = player({ attributes: CHAPTERS });
+
+        video.currentTime = 45;
+        press(video, 'PageUp');
+        expect(video.currentTime).toBe(30);
+
+        video.currentTime = 31;
+        press(video, 'PageUp');
+        expect(video.currentTime).toBe(0);
+    });
+
+    test('a chapters track is read from its cues', () => {
+        document.body.innerHTML = '<div class="lazy-video-wrapper"><video><track kind="chapters" src="demo-chapters.vtt"></video></div>';
+        const video = document.querySelector('video');
+        video.querySelector('track').track.cues = [
+            { startTime: 0, text: 'Entry' },
+            { startTime: 50, text: 'Landing' }
+        ];
+
+        const { chapters } = new VideoPlayer(video);
+
+        expect(chapters).toEqual([{ start: 0, title: 'Entry' }, { start: 50, title: 'Landing' }]);
+    });
+});
+
+// =============================================================================
+// CAPTIONS
+// =============================================================================
+
+describe('captions', () => {
+    const TRACKS = `
+        <track kind="captions" label="English" srclang="en" src="en.vtt">
+        <track kind="subtitles" srclang="ru" src="ru.vtt">
+        <track kind="chapters" src="chapters.vtt">`;
+
+    test('the button is hidden without caption tracks', () => {
+        const { ui } = player();
+
+        expect(ui.captions.hidden).toBe(true);
+    });
+
+    test('the button cycles off, each track, off', () => {
+        const { video, ui } = player({ tracks: TRACKS });
+        const [english, russian] = [...video.querySelectorAll('track')].map(element => element.track);
+
+        expect(ui.captions.hidden).toBe(false);
+        expect(ui.captions.getAttribute('aria-pressed')).toBe('false');
+
+        ui.captions.click();
+        expect([english.mode, russian.mode]).toEqual(['showing', 'disabled']);
+        expect(ui.captions.getAttribute('aria-pressed')).toBe('true');
+        expect(ui.captions.getAttribute('aria-label')).toBe(t('player.captionsOn', { label: 'English' }));
+
+        ui.captions.click();
+        expect([english.mode, russian.mode]).toEqual(['disabled', 'showing']);
+        expect(ui.captions.getAttribute('aria-label')).toBe(t('player.captionsOn', { label: 'ru' }));
+
+        ui.captions.click();
+        expect([english.mode, russian.mode]).toEqual(['disabled', 'disabled']);
+        expect(ui.captions.getAttribute('aria-pressed')).toBe('false');
+        expect(ui.captions.getAttribute('aria-label')).toBe(t('player.captionsOff'));
+    });
+
+    test('C toggles captions from the keyboard', () => {
+        const { video, ui } = player({ tracks: TRACKS });
+
+        press(video, 'c');
+
+        expect(ui.captions.getAttribute('aria-pressed')).toBe('true');
+    });
+
+    test('the chapters track is not a caption track', () => {
+        const { captionTracks } = player({ tracks: TRACKS });
+
+        expect(captionTracks.map(track => track.kind)).toEqual(['captions', 'subtitles']);
+    });
+});
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Generate responsive image variants and placeholders (run npm install first)
+ *
+ * Usage:
+ *   node tools/build-images.mjs        process new or changed images, update content/images.json
+ *   node tools/build-images.mjs --all  reprocess every image
+ *
+ * Run node tools/build-pages.mjs afterwards so the pages pick up the new
+ * <picture> sources.
+ */
+
+import {
+    listSourceImages,
+    loadImageManifest,
+    processImage,
+    writeImageManifest
+} from './lib/images.mjs';
+
+async function main(args) {
+    const previous = args.includes('--all') ? {} : await loadImageManifest();
+    const manifest = {};
+    let processed = 0;
+
+    for (const source of await listSourceImages()) {
+        const entry = await processImage(source, previous[source]);
+        if (entry !== previous[source]) {
+            processed++;
+            console.log(`Processed ${source} (${entry.width}x${entry.height})`);
+        }
+        manifest[source] = entry;
+    }
+
+    await writeImageManifest(manifest);
+    console.log(processed ? `Updated ${processed} image(s)` : 'Images are up to date');
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+/**
+ * Build experience pages from content/experiences/*.json
+ *
+ * Writes experiences/<directory>/index.html for every record with a `page`,
+ * regenerates the tiles, language links and hreflang alternates between the
+ * EXPERIENCES, LANGUAGES and ALTERNATES markers in index.html, builds the
+ * translated copies of both under ru/ and ja/ (see tools/lib/i18n.mjs),
+ * writes the offline fallback page of each language and the résumé page
+ * (resume/, see tools/lib/resume.mjs), fills in the canonical URL, link
+ * preview tags and JSON-LD of every page (the SEO region of index.html,
+ * see tools/lib/seo.mjs; case studies use the share cards listed in
+ * content/share-cards.json) with sitemap.xml and robots.txt to match, and
+ * rebuilds the site search index of each language (search-index.json,
+ * ru/search-index.json, ..., see tools/lib/search.mjs) and the service
+ * worker's precache manifest (precache-manifest.js, see
+ * tools/lib/precache.mjs).
+ *
+ * Usage:
+ *   node tools/build-pages.mjs           write the generated files
+ *   node tools/build-pages.mjs --check   exit 1 if any generated file is stale
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { ROOT_DIR, loadExperiences } from './lib/content.mjs';
+import { loadImageManifest } from './lib/images.mjs';
+import { loadVideoManifest } from './lib/videos.mjs';
+import { searchIndexFile, buildSearchIndex, serializeSearchIndex } from './lib/search.mjs';
+import { PRECACHE_FILE, buildPrecacheManifest, serializePrecacheManifest } from './lib/precache.mjs';
+import { SITE_URL, listSiteFiles } from './lib/site.mjs';
+import { RESUME_DIR, loadResume, serializeResume } from './lib/resume.mjs';
+import { loadShareCardManifest } from './lib/share-cards.mjs';
+import {
+    SITEMAP_FILE, ROBOTS_FILE, DEFAULT_PREVIEW, seoTags, previewImage, experiencePreview, personJsonLd, creativeWorkJsonLd,
+    homepageText, renderSitemap, renderRobots
+} from './lib/seo.mjs';
+import {
+    DEFAULT_LOCALE, loadLocales, checkOverlays, translator, localizeExperience, hasLocalizedPage,
+    localizeHomepage, localeDir, pageHref, relocateLinks
+} from './lib/i18n.mjs';
+import { indent, lines } from './lib/html.mjs';
+import { renderExperiencePage } from './templates/experience-page.mjs';
+import { renderExperienceTile } from './templates/experience-tile.mjs';
+import { renderOfflinePage } from './templates/offline-page.mjs';
+import { renderResumePage } from './templates/resume-page.mjs';
+import { alternateLinks, languageSwitcher } from './templates/partials.mjs';
+
+const HOMEPAGE = path.join(ROOT_DIR, 'index.html');
+
+/**
+ * Render every generated file; resolves to a Map of absolute path -> contents
+ */
+export async function renderPages() {
+    const experiences = await loadExperiences();
+    const locales = await loadLocales();
+    const context = { images: await loadImageManifest(), videos: await loadVideoManifest() };
+    const homepage = await readFile(HOMEPAGE, 'utf8');
+    const english = locales.find(locale => locale.code === DEFAULT_LOCALE);
+    const resume = await loadResume();
+    const shareCards = await loadShareCardManifest();
+    const outputs = new Map();
+    const sitemap = [];
+
+    checkOverlays(locales, experiences);
+
+    // The pages (directories relative to the root) each locale has
+    const pagesIn = new Map(locales.map(locale => [locale.code, new Set(['', ...experiences
+        .filter(record => hasLocalizedPage(record, locale))
+        .map(record => `experiences/${record.directory}`)])]));
+
+    locales.forEach(locale => {
+        const t = translator(locale, english);
+        const localPages = pagesIn.get(locale.code);
+        const records = experiences.map(record => localizeExperience(record, locale));
+
+        // Every page is rendered for its English location; the locale trees get relocated links
+        const publish = (dir, markup) => (locale === english ? String(markup) : relocateLinks(markup, { fromDir: dir, toDir: localeDir(locale, dir), localPages }));
+        const i18nFor = dir => {
+            const versions = locales.filter(other => pagesIn.get(other.code).has(dir));
+            return {
+                lang: locale.code,
+                t,
+                languages: versions.map(other => ({
+                    code: other.code,
+                    name: other.name,
+                    href: pageHref(localeDir(locale, dir), localeDir(other, dir)),
+                    current: other === locale
+                })),
+                alternates: versions.map(other => ({ code: other.code, url: pageUrl(localeDir(other, dir)) }))
+            };
+        };
+
+        const homeI18n = i18nFor('');
+        sitemap.push({ url: pageUrl(localeDir(locale)), alternates: homeI18n.alternates });
+
+        experiences.forEach((record, i) => {
+            if (!hasLocalizedPage(record, locale)) return;
+
+            const dir = `experiences/${record.directory}`;
+            const i18n = i18nFor(dir);
+            const url = pageUrl(localeDir(locale, dir));
+            const image = experiencePreview(records[i], { lang: locale.code, shareCards });
+            const seo = seoTags({
+                url,
+                title: records[i].page.documentTitle,
+                description: records[i].tile.description,
+                lang: locale.code,
+                type: 'article',
+                image,
+                alternates: i18n.alternates,
+                jsonLd: [creativeWorkJsonLd(records[i], { url, lang: locale.code, image, author: resume.basics.name })]
+            });
+            const page = renderExperiencePage(records[i], { ...context, i18n, seo });
+            sitemap.push({ url, alternates: i18n.alternates });
+            outputs.set(path.join(ROOT_DIR, localeDir(locale, dir), 'index.html'), publish(dir, page));
+        });
+
+        const localHomepage = locale === english ? homepage : localizeHomepage(homepage, locale, HOMEPAGE);
+        const page = renderHomepage(localHomepage, { locale, records, experiences, resume, i18n: homeI18n, context });
+        outputs.set(path.join(ROOT_DIR, localeDir(locale), 'index.html'), publish('', page));
+
+        // Case studies without a translation are found in English
+        const searchPageUrl = directory => {
+            const dir = `experiences/${directory}`;
+            return pageHref(localeDir(locale), localPages.has(dir) ? localeDir(locale, dir) : dir);
+        };
+        outputs.set(searchIndexFile(locale), serializeSearchIndex(buildSearchIndex(records, localHomepage, { t, pageUrl: searchPageUrl })));
+
+        // Served at whatever URL failed, so its links are root-relative and never relocated
+        const rootHref = dir => `/${localeDir(locale, dir)}/`.replace(/^\/\/$/, '/');
+        const offlinePages = [[rootHref(''), t('nav.home')]];
+        experiences.forEach((record, i) => {
+            const dir = `experiences/${record.directory}`;
+            if (localPages.has(dir)) offlinePages.push([rootHref(dir), records[i].page.title]);
+        });
+        outputs.set(path.join(ROOT_DIR, localeDir(locale), 'offline.html'),
+            renderOfflinePage({ i18n: { lang: locale.code, t }, pages: offlinePages }));
+    });
+
+    // The résumé is only in English, so it has no locale copies
+    const resumeT = translator(english, english);
+    const resumeI18n = { lang: english.code, t: resumeT, languages: [] };
+    const resumeUrl = pageUrl(RESUME_DIR);
+    const resumeImage = previewImage(DEFAULT_PREVIEW, resume.basics.name);
+    const resumeSeo = seoTags({
+        url: resumeUrl,
+        title: resumeT('resume.documentTitle', { name: resume.basics.name }),
+        description: `${resume.basics.label}. ${resume.basics.summary}`,
+        lang: english.code,
+        type: 'profile',
+        image: resumeImage,
+        jsonLd: [personJsonLd(resume, { image: resumeImage })]
+    });
+    outputs.set(path.join(ROOT_DIR, RESUME_DIR, 'index.html'), renderResumePage(resume, { i18n: resumeI18n, seo: resumeSeo }));
+    sitemap.push({ url: resumeUrl });
+    outputs.set(path.join(ROOT_DIR, RESUME_DIR, 'resume.json'), serializeResume(resume, new URL(`${RESUME_DIR}/resume.json`, SITE_URL).href));
+
+    outputs.set(SITEMAP_FILE, renderSitemap(sitemap));
+    outputs.set(ROBOTS_FILE, renderRobots());
+    outputs.set(PRECACHE_FILE, serializePrecacheManifest(await buildPrecacheManifest(await listSiteFiles(), outputs)));
+
+    return outputs;
+}
+
+/**
+ * Absolute URL of the page in a directory relative to the root
+ */
+function pageUrl(dir) {
+    return new URL(pageHref('', dir), SITE_URL).href;
+}
+
+/**
+ * index.html in one locale from its translated markup (`source`): the link
+ * preview tags, the language links and the experience tiles
+ */
+function renderHomepage(source, { locale, records, experiences, resume, i18n, context }) {
+    const tiles = records.map((record, i) =>
+        renderExperienceTile(record, i + 1, { ...context, t: i18n.t, source: experiences[i] }) + '\n');
+    let page = source;
+
+    page = page.replace(/<html lang="[^"]*">/, `<html lang="${locale.code}">`);
+
+    const { title, jobTitle, description } = homepageText(page);
+    const url = pageUrl(localeDir(locale));
+    const image = previewImage(DEFAULT_PREVIEW, resume.basics.name);
+    page = replaceRegion(page, 'SEO', seoTags({
+        url,
+        title,
+        description,
+        lang: locale.code,
+        type: 'profile',
+        image,
+        alternates: i18n.alternates,
+        jsonLd: [personJsonLd(resume, { image, jobTitle, description })]
+    }));
+    page = replaceRegion(page, 'ALTERNATES', alternateLinks(i18n.alternates));
+    page = replaceRegion(page, 'LANGUAGES', languageSwitcher(i18n.languages, i18n.t));
+    return replaceRegion(page, 'EXPERIENCES', lines(tiles));
+}
+
+/**
+ * Replace the markup between <!-- NAME:START ... --> and <!-- NAME:END -->
+ */
+function replaceRegion(source, name, markup) {
+    const startMarker = `<!-- ${name}:START (generated by tools/build-pages.mjs) -->`;
+    const endMarker = `<!-- ${name}:END -->`;
+    const start = source.indexOf(startMarker);
+    const end = source.indexOf(endMarker);
+
+    if (start === -1 || end === -1 || end < start) {
+        throw new Error(`index.html is missing the ${startMarker} / ${endMarker} markers`);
+    }
+
+    // Match the indentation of the start marker
+    const lineStart = source.lastIndexOf('\n', start) + 1;
+    const prefix = source.slice(lineStart, start);
+
+    return source.slice(0, start + startMarker.length) +
+        '\n' + indent(markup, prefix) + '\n' + prefix +
+        source.slice(end);
+}
+
+async function main(args) {
+    const check = args.includes('--check');
+    const outputs = await renderPages();
+    const stale = [];
+
+    for (const [file, contents] of outputs) {
+        const current = await readFile(file, 'utf8').catch(() => null);
+        if (current === contents) continue;
+
+        stale.push(path.relative(ROOT_DIR, file));
+        if (!check) {
+            await mkdir(path.dirname(file), { recursive: true });
+            await writeFile(file, contents);
+        }
+    }
+
+    if (check && stale.length) {
+        console.error(`Generated pages are out of date, run node tools/build-pages.mjs:\n  ${stale.join('\n  ')}`);
+        process.exitCode = 1;
+    } else {
+        console.log(stale.length ? `Updated ${stale.length} file(s):\n  ${stale.join('\n  ')}` : 'Pages are up to date');
+    }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Render the link preview card of every case study (run npm install first)
+ *
+ * Usage:
+ *   node tools/build-share-cards.mjs        render new or changed cards, update content/share-cards.json
+ *   node tools/build-share-cards.mjs --all  render every card again
+ *
+ * A card changes whenever its title, role, technologies or logo do, in any
+ * language. Run node tools/build-pages.mjs afterwards so the pages' og:image
+ * and twitter:image point at the cards; node tools/build.mjs --check fails
+ * while a card is missing or out of date.
+ */
+
+import { pathToFileURL } from 'node:url';
+import { loadExperiences } from './lib/content.mjs';
+import { DEFAULT_LOCALE, loadLocales, localizeExperience, hasLocalizedPage } from './lib/i18n.mjs';
+import { SITE_URL } from './lib/site.mjs';
+import {
+    loadShareCardManifest,
+    logoDataUrl,
+    processShareCard,
+    shareCardPath,
+    writeShareCardManifest
+} from './lib/share-cards.mjs';
+import { CARD_WIDTH, CARD_HEIGHT, renderShareCard } from './templates/share-card.mjs';
+
+/**
+ * [{ file, svg }] for every case study in every language it is published in
+ */
+export async function listShareCards() {
+    const experiences = await loadExperiences();
+    const locales = await loadLocales();
+    const english = locales.find(locale => locale.code === DEFAULT_LOCALE);
+    const site = new URL(SITE_URL).hostname;
+    const cards = [];
+
+    for (const record of experiences.filter(record => hasLocalizedPage(record, english))) {
+        const logo = await logoDataUrl(record);
+
+        for (const locale of locales.filter(locale => hasLocalizedPage(record, locale))) {
+            cards.push({
+                file: shareCardPath(record, locale.code),
+                svg: renderShareCard(localizeExperience(record, locale), { lang: locale.code, logo, site })
+            });
+        }
+    }
+
+    return cards;
+}
+
+async function main(args) {
+    const previous = args.includes('--all') ? {} : await loadShareCardManifest();
+    const manifest = {};
+    let processed = 0;
+
+    for (const { file, svg } of await listShareCards()) {
+        const entry = await processShareCard(file, svg, { width: CARD_WIDTH, height: CARD_HEIGHT }, previous[file]);
+
+        if (entry !== previous[file]) {
+            processed++;
+            console.log(`Rendered ${file}`);
+        }
+        manifest[file] = entry;
+    }
+
+    await writeShareCardManifest(manifest);
+    console.log(processed ? `Updated ${processed} card(s)` : 'Share cards are up to date');
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
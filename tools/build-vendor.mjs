@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+/**
+ * Copy the browser libraries the site loads into vendor/ (run npm install first)
+ *
+ * Usage:
+ *   node tools/build-vendor.mjs
+ *
+ * Run node tools/build-pages.mjs afterwards so the precache manifest picks
+ * up the new files.
+ */
+
+import { copyVendorFiles } from './lib/vendor.mjs';
+
+async function main() {
+    const changed = await copyVendorFiles();
+    console.log(changed.length ? `Updated ${changed.join(', ')}` : 'Vendored files are up to date');
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
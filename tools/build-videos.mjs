@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Generate poster frames, low-quality previews and DASH/HLS streams (requires ffmpeg)
+ *
+ * Usage:
+ *   node tools/build-videos.mjs        process new or changed videos, update content/videos.json
+ *   node tools/build-videos.mjs --all  reprocess every video
+ *
+ * Run node tools/build-pages.mjs afterwards so the pages pick up the new
+ * stream, preview and poster attributes.
+ */
+
+import {
+    assertFfmpegAvailable,
+    listSourceVideos,
+    loadVideoManifest,
+    processVideo,
+    writeVideoManifest
+} from './lib/videos.mjs';
+
+async function main(args) {
+    await assertFfmpegAvailable();
+
+    const previous = args.includes('--all') ? {} : await loadVideoManifest();
+    const manifest = {};
+    let processed = 0;
+
+    for (const source of await listSourceVideos()) {
+        const entry = await processVideo(source, previous[source]);
+        if (entry !== previous[source]) {
+            processed++;
+            console.log(`Processed ${source} (${entry.width}x${entry.height}, ${entry.duration.toFixed(1)}s)`);
+        }
+        manifest[source] = entry;
+    }
+
+    await writeVideoManifest(manifest);
+    console.log(processed ? `Updated ${processed} video(s)` : 'Videos are up to date');
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
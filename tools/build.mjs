@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Build the deployable site into dist/
+ *
+ * 1. Regenerates the experience pages from content/
+ * 2. Checks every link and asset reference (fails the build on broken ones),
+ *    that every image has its responsive variants, that every case study
+ *    has an up-to-date share card and that vendor/ matches the installed
+ *    libraries
+ * 3. Copies the deployable files, including CNAME, into a clean dist/
+ *
+ * Usage:
+ *   node tools/build.mjs           full build
+ *   node tools/build.mjs --check   steps 1-2 only; pages must already be up to date
+ */
+
+import { readFile, writeFile, rm, mkdir, copyFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT_DIR } from './lib/content.mjs';
+import { listSiteFiles, DIST_DIR } from './lib/site.mjs';
+import { loadImageManifest, findUnprocessedImages } from './lib/images.mjs';
+import { findStaleVendorFiles } from './lib/vendor.mjs';
+import { loadShareCardManifest, findStaleShareCards } from './lib/share-cards.mjs';
+import { renderPages } from './build-pages.mjs';
+import { listShareCards } from './build-share-cards.mjs';
+import { runLinkCheck } from './check-links.mjs';
+
+async function main(args) {
+    const check = args.includes('--check');
+
+    // 1. Generated pages
+    const stale = [];
+    for (const [file, contents] of await renderPages()) {
+        const current = await readFile(file, 'utf8').catch(() => null);
+        if (current === contents) continue;
+
+        stale.push(path.relative(ROOT_DIR, file));
+        if (!check) {
+            await mkdir(path.dirname(file), { recursive: true });
+            await writeFile(file, contents);
+        }
+    }
+
+    if (check && stale.length) {
+        console.error(`Generated pages are out of date, run node tools/build-pages.mjs:\n  ${stale.join('\n  ')}`);
+        return false;
+    }
+    if (stale.length) console.log(`Regenerated ${stale.join(', ')}`);
+
+    // 2. Links, image variants, share cards and vendored libraries
+    const siteFiles = await listSiteFiles();
+    if (!await runLinkCheck(siteFiles)) return false;
+
+    const unprocessed = await findUnprocessedImages(await loadImageManifest());
+    if (unprocessed.length) {
+        console.error(`Images without up-to-date responsive variants, run node tools/build-images.mjs:\n  ${unprocessed.join('\n  ')}`);
+        return false;
+    }
+
+    const staleCards = await findStaleShareCards(await listShareCards(), await loadShareCardManifest());
+    if (staleCards.length) {
+        console.error(`Share cards are missing or out of date, run node tools/build-share-cards.mjs:\n  ${staleCards.join('\n  ')}`);
+        return false;
+    }
+
+    const staleVendor = await findStaleVendorFiles();
+    if (staleVendor.length) {
+        console.error(`Vendored libraries are missing or out of date, run node tools/build-vendor.mjs:\n  ${staleVendor.join('\n  ')}`);
+        return false;
+    }
+    if (check) return true;
+
+    // 3. dist/
+    await rm(DIST_DIR, { recursive: true, force: true });
+    for (const file of siteFiles) {
+        const destination = path.join(DIST_DIR, file);
+        await mkdir(path.dirname(destination), { recursive: true });
+        await copyFile(path.join(ROOT_DIR, file), destination);
+    }
+
+    console.log(`Copied ${siteFiles.length} files to ${path.relative(ROOT_DIR, DIST_DIR)}/`);
+    return true;
+}
+
+main(process.argv.slice(2)).then(ok => {
+    if (!ok) process.exitCode = 1;
+}).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
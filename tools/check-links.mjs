@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Check every link and asset reference in the site
+ *
+ * Usage:
+ *   node tools/check-links.mjs
+ *
+ * Exits with 1 and prints a report when any reference is broken. Known gaps
+ * (e.g. large media uploaded to the host separately) can be listed with a
+ * reason under "allowMissing" in tools/link-check.json.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { ROOT_DIR } from './lib/content.mjs';
+import { listSiteFiles } from './lib/site.mjs';
+import { checkLinks } from './lib/links.mjs';
+
+const CONFIG_FILE = path.join(ROOT_DIR, 'tools', 'link-check.json');
+
+/**
+ * Run the checker and print its report; resolves to true when nothing is broken
+ */
+export async function runLinkCheck(siteFiles) {
+    const config = JSON.parse(await readFile(CONFIG_FILE, 'utf8').catch(() => '{}'));
+    const { errors, warnings } = await checkLinks(siteFiles || await listSiteFiles(), config);
+
+    printIssues('warning', warnings);
+    printIssues('error', errors);
+
+    if (errors.length) {
+        console.error(`\nLink check failed: ${errors.length} broken reference(s), ${warnings.length} warning(s)`);
+        return false;
+    }
+
+    console.log(`Link check passed${warnings.length ? ` with ${warnings.length} warning(s)` : ''}`);
+    return true;
+}
+
+function printIssues(level, issues) {
+    const log = level === 'error' ? console.error : console.warn;
+    issues.forEach(({ file, line, ref, message }) => {
+        log(`${level}: ${file}:${line} "${ref}" - ${message}`);
+    });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    runLinkCheck().then(ok => {
+        if (!ok) process.exitCode = 1;
+    }).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
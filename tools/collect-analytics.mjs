@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the analytics server: receives the batches sent by
+ * js/analytics.js and keeps every event in a JSON file (an array, with the
+ * visit's session id on each event), printing them as they arrive. Point a
+ * browser that has allowed analytics at it from the devtools console:
+ *
+ *   localStorage.setItem('analytics-endpoint', 'http://localhost:8788/events');
+ *
+ * and remove the key again to stop.
+ *
+ * Usage:
+ *   node tools/collect-analytics.mjs                        listen on port 8788, write analytics-events.json
+ *   node tools/collect-analytics.mjs --port 9000 --file events.json
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { startCollector, option } from './lib/collector.mjs';
+
+const DEFAULT_PORT = 8788;
+const DEFAULT_FILE = 'analytics-events.json';
+
+async function main(args) {
+    const port = Number(option(args, '--port') || DEFAULT_PORT);
+    const file = option(args, '--file') || DEFAULT_FILE;
+    const events = await readEvents(file);
+    // Batches can arrive together; write the file one batch at a time
+    let writing = Promise.resolve();
+
+    await startCollector({
+        port,
+        onBatch: ({ session, events: received = [] }) => {
+            received.forEach(event => {
+                console.log(`${new Date(event.time).toISOString()}  ${event.page}  ${describe(event)}`);
+                events.push({ session, ...event });
+            });
+
+            writing = writing.catch(() => {}).then(() => writeFile(file, JSON.stringify(events, null, 2) + '\n'));
+            return writing;
+        }
+    });
+
+    console.log(`Collecting analytics events on http://localhost:${port}/events into ${file} (${events.length} so far)`);
+    console.log('Press Ctrl+C to stop.');
+}
+
+async function readEvents(file) {
+    try {
+        const events = JSON.parse(await readFile(file, 'utf8'));
+        if (!Array.isArray(events)) throw new Error(`${file} is not a JSON array of events`);
+        return events;
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+// "experience_open experience=aiaa position=3 via=image"
+function describe({ event, page, lang, time, ...properties }) {
+    return [event, ...Object.entries(properties).map(([name, value]) => `${name}=${value}`)].join(' ');
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Local collector for the performance beacons sent by js/performance.js
+ *
+ * Prints every batch it receives and can append them, one JSON object per
+ * line, to a file. Point a browser at it from the devtools console:
+ *
+ *   localStorage.setItem('performance-endpoint', 'http://localhost:8787/collect');
+ *
+ * and remove the key again to stop.
+ *
+ * Usage:
+ *   node tools/collect-metrics.mjs                      listen on port 8787
+ *   node tools/collect-metrics.mjs --port 9000
+ *   node tools/collect-metrics.mjs --out metrics.ndjson also append the batches to a file
+ */
+
+import { appendFile } from 'node:fs/promises';
+import { startCollector, option } from './lib/collector.mjs';
+
+const DEFAULT_PORT = 8787;
+
+async function main(args) {
+    const port = Number(option(args, '--port') || DEFAULT_PORT);
+    const out = option(args, '--out');
+
+    await startCollector({
+        port,
+        onBatch: async batch => {
+            printBatch(batch);
+            if (out) await appendFile(out, JSON.stringify({ receivedAt: new Date().toISOString(), ...batch }) + '\n');
+        }
+    });
+
+    console.log(`Collecting performance metrics on http://localhost:${port}/collect${out ? ` (appending to ${out})` : ''}`);
+    console.log('Press Ctrl+C to stop.');
+}
+
+function printBatch({ page, pageViewId, metrics = [] }) {
+    console.log(`\n${page} (${String(pageViewId).slice(0, 8)}), ${metrics.length} metric(s)`);
+
+    metrics.forEach(metric => {
+        if (metric.type === 'vital') {
+            console.log(`  ${metric.name.padEnd(5)} ${String(metric.value).padStart(8)}  ${metric.rating}`);
+        } else {
+            const retries = metric.attempts > 1 ? `, ${metric.attempts} attempts` : '';
+            console.log(`  ${metric.kind.padEnd(5)} ${`${metric.duration}ms`.padStart(8)}  ${metric.outcome}  ${metric.src}${retries}${metric.error ? ` (${metric.error})` : ''}`);
+        }
+    });
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,80 @@
+/**
+ * Minimal HTTP collector for the batches the site's beacons send
+ * (js/performance.js, js/analytics.js) and the contact form's messages, for
+ * trying them out locally
+ */
+
+import { createServer } from 'node:http';
+
+// Far above a real batch; anything larger is not from the page
+const MAX_BODY_BYTES = 256 * 1024;
+
+// Beacons come from the site's origin, so the collector has to allow it
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Listen on `port` for POSTed JSON batches and pass each one to
+ * `onBatch(batch)` (which may be async). It may return `{ status, body }`
+ * to answer with something other than an empty 204. Resolves to the server
+ * once it is listening
+ */
+export function startCollector({ port, onBatch }) {
+    const server = createServer((request, response) => {
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, CORS_HEADERS).end();
+            return;
+        }
+        if (request.method !== 'POST') {
+            response.writeHead(405, { ...CORS_HEADERS, Allow: 'POST, OPTIONS' }).end();
+            return;
+        }
+
+        readBody(request).then(async body => {
+            const reply = await onBatch(JSON.parse(body));
+            if (!reply) {
+                response.writeHead(204, CORS_HEADERS).end();
+                return;
+            }
+            response.writeHead(reply.status, { ...CORS_HEADERS, 'Content-Type': 'application/json' }).end(JSON.stringify(reply.body ?? {}));
+        }).catch(error => {
+            console.error(`Rejected a request: ${error.message}`);
+            response.writeHead(400, CORS_HEADERS).end();
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, () => resolve(server));
+    });
+}
+
+/**
+ * Value of a `--name value` command-line option, or null
+ */
+export function option(args, name) {
+    const index = args.indexOf(name);
+    return index === -1 ? null : args[index + 1];
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error(`body larger than ${MAX_BODY_BYTES} bytes`));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
@@ -0,0 +1,106 @@
+/**
+ * Experience content loader
+ * Each experience lives in content/experiences/<slug>.json. A record always
+ * has a homepage `tile`; records that also have a `page` and a `directory`
+ * get a generated case study at experiences/<directory>/index.html.
+ * A tile shows `image` (or an emoji `icon` when there is no image yet) and
+ * links to its page, to `tile.href`, or nowhere when it has neither.
+ * Gallery images are addressed as #gallery/<id>, where the id is the
+ * figure's `id` or its file name without the extension.
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+export const CONTENT_DIR = path.join(ROOT_DIR, 'content', 'experiences');
+
+const REQUIRED_TILE_FIELDS = ['company', 'title', 'description', 'tech'];
+const REQUIRED_PAGE_FIELDS = ['documentTitle', 'breadcrumb', 'title', 'about', 'meta', 'challenge', 'impact', 'technology'];
+
+export class ContentError extends Error {
+    constructor(file, message) {
+        super(`${path.relative(ROOT_DIR, file)}: ${message}`);
+        this.name = 'ContentError';
+        this.file = file;
+    }
+}
+
+/**
+ * Load every experience record, validated and sorted by `order`
+ */
+export async function loadExperiences(contentDir = CONTENT_DIR) {
+    const files = (await readdir(contentDir)).filter(name => name.endsWith('.json'));
+
+    const records = await Promise.all(files.map(async name => {
+        const file = path.join(contentDir, name);
+        let record;
+
+        try {
+            record = JSON.parse(await readFile(file, 'utf8'));
+        } catch (error) {
+            throw new ContentError(file, `invalid JSON (${error.message})`);
+        }
+
+        validateExperience(record, file);
+        return record;
+    }));
+
+    return records.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Homepage href for an experience: its generated page, the tile's own link,
+ * or null when there is nothing to link to yet
+ */
+export function experienceHref(record) {
+    return record.page ? `experiences/${record.directory}/` : record.tile.href || null;
+}
+
+/**
+ * Deep-link id of a gallery figure, unique within its page
+ */
+export function galleryImageId(figure) {
+    return figure.id || path.posix.basename(figure.src).replace(/\.[^.]+$/, '');
+}
+
+function validateExperience(record, file) {
+    if (!record.slug) throw new ContentError(file, 'missing "slug"');
+    if (typeof record.order !== 'number') throw new ContentError(file, 'missing numeric "order"');
+    if (!record.tile) throw new ContentError(file, 'missing "tile"');
+
+    REQUIRED_TILE_FIELDS.forEach(field => {
+        if (!(field in record.tile)) throw new ContentError(file, `tile is missing "${field}"`);
+    });
+
+    if (record.tile.image && !record.tile.imageAlt) {
+        throw new ContentError(file, 'tile.image needs an "imageAlt"');
+    }
+    if (!record.tile.image && !record.tile.icon) {
+        throw new ContentError(file, 'tile needs an "image" or an "icon"');
+    }
+    if (record.tile.skills && !Array.isArray(record.tile.skills)) {
+        throw new ContentError(file, 'tile.skills must be a list of skill names');
+    }
+    // "|" separates the names in the tile's data-skills attribute
+    [...record.tile.tech, ...(record.tile.skills || [])].forEach(name => {
+        if (name.includes('|')) throw new ContentError(file, `skill "${name}" may not contain "|"`);
+    });
+
+    if (record.page) {
+        if (!record.directory) throw new ContentError(file, 'records with a "page" need a "directory"');
+
+        REQUIRED_PAGE_FIELDS.forEach(field => {
+            if (!(field in record.page)) throw new ContentError(file, `page is missing "${field}"`);
+        });
+
+        const ids = new Set();
+        (record.page.challenge.gallery || []).forEach(figure => {
+            const id = galleryImageId(figure);
+            if (!/^[\w-]+$/.test(id)) throw new ContentError(file, `gallery id "${id}" may only contain letters, digits, "-" and "_"`);
+            if (ids.has(id)) throw new ContentError(file, `duplicate gallery id "${id}"; give one of the figures an "id"`);
+            ids.add(id);
+        });
+    }
+}
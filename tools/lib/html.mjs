@@ -0,0 +1,77 @@
+/**
+ * Small HTML helpers shared by the build templates
+ */
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;'
+};
+
+const DECODES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Escape text for use in element content or a double-quoted attribute
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"]/g, char => ESCAPES[char]);
+}
+
+/**
+ * Undo escapeHtml (and &#39;) for text read back out of markup
+ */
+export function decodeHtml(text) {
+    return String(text).replace(/&(amp|lt|gt|quot|#39);/g, entity => DECODES[entity]);
+}
+
+/**
+ * Tagged template that escapes every interpolated value unless it was
+ * produced by another html`` call (or wrapped with raw())
+ */
+export function html(strings, ...values) {
+    let out = strings[0];
+    values.forEach((value, i) => {
+        out += renderValue(value) + strings[i + 1];
+    });
+    return raw(out);
+}
+
+/**
+ * Mark a string as already-safe markup
+ */
+export function raw(markup) {
+    return { __html: String(markup), toString() { return this.__html; } };
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (typeof value === 'object' && '__html' in value) return value.__html;
+    return escapeHtml(value);
+}
+
+/**
+ * Join rendered fragments one per line
+ */
+export function lines(fragments) {
+    return raw(fragments.map(String).join('\n'));
+}
+
+/**
+ * Re-indent a block of markup so every line starts with the given prefix
+ */
+export function indent(markup, prefix) {
+    return raw(String(markup)
+        .split('\n')
+        .map(line => (line.trim() ? prefix + line : ''))
+        .join('\n'));
+}
+
+/**
+ * Indented block on its own line(s), or nothing when the markup is empty.
+ * Use it directly after the previous line so missing blocks leave no gap.
+ */
+export function block(markup, prefix) {
+    return markup ? raw('\n' + indent(markup, prefix)) : '';
+}
@@ -0,0 +1,260 @@
+/**
+ * Locales and translations
+ * English is the source language: the homepage text lives in index.html and
+ * the experience text in content/experiences/*.json. Every other locale is
+ * built into its own tree (ru/, ja/) from content/i18n:
+ *
+ *   <locale>.json           { name, messages } page chrome ("Home", "View Project →")
+ *                           and the homepage text, keyed by the data-i18n
+ *                           attributes in index.html
+ *   <locale>/<slug>.json    translated fields of an experience record, in the
+ *                           same shape as the record; lists are matched by
+ *                           position and null keeps the English entry
+ *
+ * A case study is published in a locale once its overlay has a `page`;
+ * until then the localized homepage links to the English page.
+ */
+
+import { readFile, readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT_DIR, ContentError } from './content.mjs';
+import { escapeHtml } from './html.mjs';
+
+export const I18N_DIR = path.join(ROOT_DIR, 'content', 'i18n');
+export const LOCALES = ['en', 'ru', 'ja'];
+export const DEFAULT_LOCALE = 'en';
+
+// Attributes that hold URLs, as in tools/lib/links.mjs (plus the lightbox's data-full)
+const URL_ATTRIBUTE_PATTERN = /(\s(?:href|src|data-src|data-full|data-pdf|poster|srcset|data-srcset|data-hls|data-dash|data-preview)\s*=\s*)(["'])(.*?)\2/gi;
+const NOT_RELATIVE_PATTERN = /^(?:#|\/|[a-z][a-z0-9+.-]*:)/i;
+const TEXT_PATTERN = /<([a-z][a-z0-9]*)(\s[^>]*?)?\sdata-i18n="([^"]+)"([^>]*)>([\s\S]*?)<\/\1>/gi;
+const ATTRIBUTE_TAG_PATTERN = /<[a-z][a-z0-9]*\s[^>]*\sdata-i18n-[a-z-]+="[^"]*"[^>]*>/gi;
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Load every locale in LOCALES order:
+ * { code, name, messages, overlays: Map(slug -> { file, data }) }
+ */
+export async function loadLocales(i18nDir = I18N_DIR) {
+    return Promise.all(LOCALES.map(async code => {
+        const file = path.join(i18nDir, `${code}.json`);
+        const catalog = await readJson(file);
+
+        if (!catalog.name) throw new ContentError(file, 'missing "name"');
+        if (!catalog.messages || typeof catalog.messages !== 'object') throw new ContentError(file, 'missing "messages"');
+
+        return {
+            code,
+            name: catalog.name,
+            messages: catalog.messages,
+            overlays: code === DEFAULT_LOCALE ? new Map() : await loadOverlays(path.join(i18nDir, code))
+        };
+    }));
+}
+
+async function loadOverlays(dir) {
+    const names = await readdir(dir).catch(() => []);
+    const overlays = await Promise.all(names
+        .filter(name => name.endsWith('.json'))
+        .map(async name => {
+            const file = path.join(dir, name);
+            return [name.replace(/\.json$/, ''), { file, data: await readJson(file) }];
+        }));
+
+    return new Map(overlays);
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        throw new ContentError(file, error.code === 'ENOENT' ? 'file not found' : `invalid JSON (${error.message})`);
+    }
+}
+
+// =============================================================================
+// TRANSLATION
+// =============================================================================
+
+/**
+ * Message lookup for a locale, falling back to English. "{name}"
+ * placeholders are filled from `params`.
+ */
+export function translator(locale, fallback) {
+    return (key, params = {}) => {
+        const message = locale.messages[key] ?? fallback.messages[key];
+        if (message === undefined) throw new Error(`No "${key}" message in content/i18n/${fallback.code}.json`);
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? params[name] : placeholder));
+    };
+}
+
+/**
+ * The experience record with a locale's translated fields applied
+ */
+export function localizeExperience(record, locale) {
+    const overlay = locale.overlays.get(record.slug);
+    if (!overlay) return record;
+
+    return mergeTranslation(record, overlay.data, '', overlay.file);
+}
+
+/**
+ * Fail on overlays that don't belong to any experience record
+ */
+export function checkOverlays(locales, experiences) {
+    const slugs = new Set(experiences.map(record => record.slug));
+
+    locales.forEach(locale => locale.overlays.forEach(({ file }, slug) => {
+        if (!slugs.has(slug)) throw new ContentError(file, `no experience with slug "${slug}"`);
+    }));
+}
+
+/**
+ * Whether the case study of `record` is published in `locale`
+ */
+export function hasLocalizedPage(record, locale) {
+    if (!record.page) return false;
+    return locale.code === DEFAULT_LOCALE || Boolean(locale.overlays.get(record.slug)?.data.page);
+}
+
+/**
+ * [{ hreflang, url }] for every language version of a page plus x-default,
+ * the English page, for visitors whose language has none; empty for a page
+ * that exists in one language. `alternates` is a list of { code, url }.
+ */
+export function hreflangAlternates(alternates) {
+    if (alternates.length < 2) return [];
+
+    const fallback = alternates.find(({ code }) => code === DEFAULT_LOCALE);
+
+    return [
+        ...alternates.map(({ code, url }) => ({ hreflang: code, url })),
+        { hreflang: 'x-default', url: fallback.url }
+    ];
+}
+
+/**
+ * Overlay objects key by key and lists item by item; strings are replaced.
+ * Anything the English record doesn't have is an error, so typos in an
+ * overlay never pass silently.
+ */
+function mergeTranslation(base, overlay, where, file) {
+    if (overlay === undefined || overlay === null) return base;
+
+    const fail = message => {
+        throw new ContentError(file, `${where || 'record'} ${message}`);
+    };
+
+    if (typeof base === 'string') {
+        if (typeof overlay !== 'string') fail('must be a string');
+        return overlay;
+    }
+
+    if (Array.isArray(base)) {
+        if (!Array.isArray(overlay)) fail('must be a list');
+        if (overlay.length > base.length) fail(`has ${overlay.length} entries but the English list has ${base.length}`);
+        return base.map((item, i) => mergeTranslation(item, overlay[i], `${where}[${i}]`, file));
+    }
+
+    if (base && typeof base === 'object') {
+        if (typeof overlay !== 'object' || Array.isArray(overlay)) fail('must be an object');
+
+        Object.keys(overlay).forEach(key => {
+            if (!(key in base)) fail(`has no "${key}" in English`);
+        });
+        return Object.fromEntries(Object.entries(base).map(([key, value]) =>
+            [key, mergeTranslation(value, overlay[key], where ? `${where}.${key}` : key, file)]));
+    }
+
+    return fail('is not text and cannot be translated');
+}
+
+/**
+ * Translate index.html: replaces the text of every data-i18n="key" element
+ * and every data-i18n-<attribute>="key" attribute value. Text without a
+ * translation stays English and is marked lang="en".
+ */
+export function localizeHomepage(source, locale, file) {
+    const text = source.replace(TEXT_PATTERN, (element, tag, before = '', key, after, content) => {
+        if (content.includes('<')) {
+            throw new ContentError(file, `data-i18n="${key}" must only contain text; wrap the text in a <span data-i18n>`);
+        }
+
+        const message = locale.messages[key];
+        if (message === undefined) return `<${tag}${before} data-i18n="${key}"${after} lang="${DEFAULT_LOCALE}">${content}</${tag}>`;
+
+        // Keep the source's surrounding whitespace so the markup stays aligned
+        const [, leading, , trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return `<${tag}${before} data-i18n="${key}"${after}>${leading}${escapeHtml(message)}${trailing}</${tag}>`;
+    });
+
+    return text.replace(ATTRIBUTE_TAG_PATTERN, tag => {
+        let localized = tag;
+        for (const [, attribute, key] of tag.matchAll(/\sdata-i18n-([a-z-]+)="([^"]*)"/g)) {
+            const message = locale.messages[key];
+            if (message === undefined) continue;
+            localized = localized.replace(new RegExp(`(\\s${attribute}=")[^"]*(")`), (match, open, close) => open + escapeHtml(message) + close);
+        }
+        return localized;
+    });
+}
+
+// =============================================================================
+// URLS
+// =============================================================================
+
+/**
+ * Directory of a page (relative to the site root) in a locale's tree
+ */
+export function localeDir(locale, dir = '') {
+    const code = typeof locale === 'string' ? locale : locale.code;
+    return code === DEFAULT_LOCALE ? dir : path.posix.join(code, dir);
+}
+
+/**
+ * Relative link from the page in `fromDir` to the page in `toDir`
+ */
+export function pageHref(fromDir, toDir) {
+    const relative = path.posix.relative(fromDir || '.', toDir || '.');
+    return relative ? `${relative}/` : './';
+}
+
+/**
+ * Rewrite the relative URLs of a page written for `fromDir` so it can be
+ * served from `toDir` in a locale tree. Links to pages that also exist in
+ * the locale (`localPages`, directories relative to the site root) stay
+ * inside the locale; everything else points at the shared English tree.
+ * Tags with hreflang already link to a specific locale and are left alone.
+ */
+export function relocateLinks(markup, { fromDir, toDir, localPages }) {
+    const relocate = url => {
+        if (!url || NOT_RELATIVE_PATTERN.test(url)) return url;
+
+        const pathPart = url.split(/[?#]/)[0];
+        if (!pathPart) return url;
+
+        const suffix = url.slice(pathPart.length);
+        const target = path.posix.normalize(path.posix.join(fromDir || '.', pathPart));
+
+        if (pathPart.endsWith('/')) {
+            const dir = target.replace(/^\.?\/?$/, '').replace(/\/$/, '');
+            return localPages.has(dir) ? url : pageHref(toDir, dir) + suffix;
+        }
+        return path.posix.relative(toDir, target) + suffix;
+    };
+
+    return String(markup).replace(/<[a-z][a-z0-9]*\s[^>]*>/gi, tag => {
+        if (/\shreflang\s*=/i.test(tag)) return tag;
+
+        return tag.replace(URL_ATTRIBUTE_PATTERN, (match, name, quote, value) => {
+            const relocated = /srcset/i.test(name)
+                ? value.split(',').map(candidate => candidate.replace(/^(\s*)(\S+)/, (all, space, url) => space + relocate(url))).join(',')
+                : relocate(value);
+            return `${name}${quote}${relocated}${quote}`;
+        });
+    });
+}
@@ -0,0 +1,164 @@
+/**
+ * Responsive image pipeline
+ * Generates resized AVIF/WebP/JPEG variants and tiny inline placeholders for
+ * every raster image in the site with sharp (libvips). HEIC photos, which
+ * sharp's own libvips can't decode, are decoded by heic-decode first. The
+ * results are described in content/images.json, which the page templates
+ * read to emit <picture> markup with data-srcset/sizes for the lazy loaders.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile, readdir, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT_DIR } from './content.mjs';
+
+export const MANIFEST_FILE = path.join(ROOT_DIR, 'content', 'images.json');
+export const VARIANT_DIR = 'responsive';
+export const WIDTHS = [400, 800, 1600];
+export const FORMATS = [
+    { ext: 'avif', type: 'image/avif', format: 'avif', options: { quality: 50 } },
+    { ext: 'webp', type: 'image/webp', format: 'webp', options: { quality: 75 } },
+    { ext: 'jpg', type: 'image/jpeg', format: 'jpeg', options: { quality: 80, progressive: true, mozjpeg: true } }
+];
+
+const PLACEHOLDER_WIDTH = 24;
+const SOURCE_PATTERN = /\.(jpe?g|png|heic|heif)$/i;
+const HEIC_PATTERN = /\.hei[cf]$/i;
+// Formats every browser can show without conversion
+const DISPLAYABLE_PATTERN = /\.(jpe?g|png)$/i;
+
+/**
+ * Read the manifest; an empty one when the pipeline has not run yet
+ */
+export async function loadImageManifest() {
+    try {
+        return JSON.parse(await readFile(MANIFEST_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+/**
+ * Every source image: images/ and experiences/<Name>/images/, minus generated variants
+ */
+export async function listSourceImages() {
+    const dirs = ['images'];
+    for (const entry of await readdir(path.join(ROOT_DIR, 'experiences'), { withFileTypes: true })) {
+        if (entry.isDirectory()) dirs.push(`experiences/${entry.name}/images`);
+    }
+
+    const images = [];
+    for (const dir of dirs) {
+        const entries = await readdir(path.join(ROOT_DIR, dir), { withFileTypes: true }).catch(() => []);
+        entries
+            .filter(entry => entry.isFile() && SOURCE_PATTERN.test(entry.name))
+            .forEach(entry => images.push(`${dir}/${entry.name}`));
+    }
+
+    return images.sort();
+}
+
+/**
+ * Sources whose variants are missing or were made from an older version of
+ * the file, i.e. what tools/build-images.mjs would process
+ */
+export async function findUnprocessedImages(manifest) {
+    const unprocessed = [];
+
+    for (const source of await listSourceImages()) {
+        const entry = manifest[source];
+        const hash = createHash('sha1').update(await readFile(path.join(ROOT_DIR, source))).digest('hex');
+        if (entry?.hash !== hash || !await variantsExist(entry)) unprocessed.push(source);
+    }
+
+    return unprocessed;
+}
+
+/**
+ * Process one source image; reuses the previous entry when the source is unchanged
+ */
+export async function processImage(source, previous) {
+    const absolute = path.join(ROOT_DIR, source);
+    const hash = createHash('sha1').update(await readFile(absolute)).digest('hex');
+
+    if (previous?.hash === hash && await variantsExist(previous)) {
+        return previous;
+    }
+
+    const image = await openImage(absolute);
+    const metadata = await image.metadata();
+    // Photos stored sideways are measured the way they are shown
+    const { width, height } = metadata.autoOrient || metadata;
+    const widths = targetWidths(width);
+    const dir = path.posix.join(path.posix.dirname(source), VARIANT_DIR);
+    const base = path.posix.basename(source).replace(/\.[^.]+$/, '');
+
+    await mkdir(path.join(ROOT_DIR, dir), { recursive: true });
+
+    const sources = {};
+    for (const format of FORMATS) {
+        sources[format.ext] = [];
+        for (const w of widths) {
+            const output = `${dir}/${base}-${w}.${format.ext}`;
+            await image.clone()
+                .resize({ width: w })
+                .toFormat(format.format, format.options)
+                .toFile(path.join(ROOT_DIR, output));
+            sources[format.ext].push({ src: output, width: w });
+        }
+    }
+
+    return {
+        hash,
+        width,
+        height,
+        displayable: DISPLAYABLE_PATTERN.test(source),
+        placeholder: await placeholder(image),
+        sources
+    };
+}
+
+/**
+ * Write the manifest with stable key order so diffs stay readable
+ */
+export async function writeImageManifest(manifest) {
+    const sorted = Object.fromEntries(Object.keys(manifest).sort().map(key => [key, manifest[key]]));
+    await writeFile(MANIFEST_FILE, JSON.stringify(sorted, null, 4) + '\n');
+}
+
+function targetWidths(width) {
+    const widths = WIDTHS.filter(w => w < width);
+    // Never upscale: below the largest width the original size is the top candidate
+    return width <= WIDTHS[WIDTHS.length - 1] ? [...widths, width] : widths;
+}
+
+async function variantsExist(entry) {
+    const files = Object.values(entry.sources).flat().map(variant => path.join(ROOT_DIR, variant.src));
+    const results = await Promise.all(files.map(file => stat(file).then(() => true, () => false)));
+    return results.every(Boolean);
+}
+
+async function placeholder(image) {
+    const data = await image.clone()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .webp({ quality: 40 })
+        .toBuffer();
+    return `data:image/webp;base64,${data.toString('base64')}`;
+}
+
+/**
+ * A sharp pipeline for the source, upright according to its EXIF orientation
+ */
+async function openImage(absolute) {
+    // Loaded on demand: building the pages only reads the manifest
+    const { default: sharp } = await import('sharp');
+
+    if (HEIC_PATTERN.test(absolute)) {
+        const { default: decode } = await import('heic-decode');
+        const { width, height, data } = await decode({ buffer: await readFile(absolute) });
+        return sharp(Buffer.from(data.buffer), { raw: { width, height, channels: 4 } });
+    }
+
+    return sharp(absolute).rotate();
+}
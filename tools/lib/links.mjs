@@ -0,0 +1,158 @@
+/**
+ * Link checker
+ * Resolves every href, src, data-src, poster, srcset, video stream
+ * attribute (data-hls, data-dash, data-preview) and data-pdf in the site's HTML
+ * (plus url() references in its CSS) against the deployable file set.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT_DIR } from './content.mjs';
+
+const ATTRIBUTE_PATTERN = /\s(href|src|data-src|data-pdf|poster|srcset|data-srcset|data-hls|data-dash|data-preview)\s*=\s*(["'])(.*?)\2/gi;
+const CSS_URL_PATTERN = /url\(\s*(["']?)([^"')]+)\1\s*\)/gi;
+const ID_PATTERN = /\sid\s*=\s*(["'])(.*?)\1/gi;
+const EXTERNAL_PATTERN = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+/**
+ * Check every page and stylesheet; resolves to { errors, warnings }
+ * where each issue is { file, line, ref, message }
+ */
+export async function checkLinks(siteFiles, options = {}) {
+    const allowMissing = options.allowMissing || {};
+    const fileSet = new Set(siteFiles);
+    const sources = new Map();
+    const errors = [];
+    const warnings = [];
+
+    const readSource = async file => {
+        if (!sources.has(file)) {
+            sources.set(file, await readFile(path.join(ROOT_DIR, file), 'utf8'));
+        }
+        return sources.get(file);
+    };
+
+    const idsIn = async file => collectIds(await readSource(file));
+
+    for (const file of siteFiles.filter(name => /\.(html|css)$/.test(name))) {
+        const source = await readSource(file);
+        const refs = file.endsWith('.css') ? extractCssRefs(source) : extractHtmlRefs(source);
+
+        for (const { ref, index } of refs) {
+            const issue = { file, line: lineOf(source, index), ref };
+            const result = await resolveRef(file, ref, fileSet, idsIn);
+
+            if (!result) continue;
+
+            if (result.level === 'error' && allowMissing[result.target]) {
+                warnings.push({ ...issue, message: `${result.message} (allowed: ${allowMissing[result.target]})` });
+            } else {
+                (result.level === 'error' ? errors : warnings).push({ ...issue, message: result.message });
+            }
+        }
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * Resolve one reference; returns null when it is fine, otherwise
+ * { level, message, target }
+ */
+async function resolveRef(fromFile, ref, fileSet, idsIn) {
+    const value = ref.trim();
+
+    if (value === '' || value === '#') {
+        return { level: 'warning', message: 'placeholder link goes nowhere' };
+    }
+    if (value.includes('\\')) {
+        return { level: 'error', message: 'backslash in path (use forward slashes)' };
+    }
+    if (EXTERNAL_PATTERN.test(value)) {
+        return null;
+    }
+
+    const [withoutHash, hash = ''] = value.split('#');
+    const pathPart = withoutHash.split('?')[0];
+
+    // Same-page fragment
+    if (!pathPart) {
+        const ids = await idsIn(fromFile);
+        return ids.has(decodeURIComponent(hash)) ? null : { level: 'error', message: `no element with id="${hash}" on this page` };
+    }
+
+    const target = resolveTarget(fromFile, decodeURIComponent(pathPart), fileSet);
+    if (!target) {
+        const missing = resolvePath(fromFile, decodeURIComponent(pathPart));
+        return { level: 'error', message: `missing file ${missing}`, target: missing };
+    }
+
+    if (hash && target.endsWith('.html')) {
+        const ids = await idsIn(target);
+        if (!ids.has(decodeURIComponent(hash))) {
+            return { level: 'error', message: `no element with id="${hash}" in ${target}` };
+        }
+    }
+
+    return null;
+}
+
+function resolvePath(fromFile, refPath) {
+    const base = refPath.startsWith('/') ? '' : path.posix.dirname(fromFile);
+    return path.posix.normalize(path.posix.join(base, refPath)).replace(/^\/+/, '');
+}
+
+function resolveTarget(fromFile, refPath, fileSet) {
+    const resolved = resolvePath(fromFile, refPath);
+    const isDirectory = refPath.endsWith('/') || resolved === '.';
+    const candidates = isDirectory
+        ? [path.posix.join(resolved, 'index.html')]
+        : [resolved, path.posix.join(resolved, 'index.html')];
+
+    return candidates.map(candidate => candidate.replace(/^\.\//, '')).find(candidate => fileSet.has(candidate)) || null;
+}
+
+function extractHtmlRefs(source) {
+    const withoutComments = blankComments(source);
+    const refs = [];
+
+    for (const match of withoutComments.matchAll(ATTRIBUTE_PATTERN)) {
+        const [, attribute, , value] = match;
+        const valueIndex = match.index + match[0].indexOf(value);
+
+        if (attribute.toLowerCase().endsWith('srcset')) {
+            splitSrcset(value).forEach(url => refs.push({ ref: url, index: valueIndex }));
+        } else {
+            refs.push({ ref: value, index: valueIndex });
+        }
+    }
+
+    for (const match of withoutComments.matchAll(CSS_URL_PATTERN)) {
+        refs.push({ ref: match[2], index: match.index });
+    }
+
+    return refs;
+}
+
+function extractCssRefs(source) {
+    return [...source.matchAll(CSS_URL_PATTERN)]
+        .map(match => ({ ref: match[2], index: match.index }))
+        .filter(({ ref }) => !ref.startsWith('data:') && !ref.startsWith('#'));
+}
+
+function splitSrcset(value) {
+    return value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+function collectIds(source) {
+    return new Set([...blankComments(source).matchAll(ID_PATTERN)].map(match => match[2]));
+}
+
+// Replace comments with spaces so match indexes still map to the original lines
+function blankComments(source) {
+    return source.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+}
+
+function lineOf(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
@@ -0,0 +1,77 @@
+/**
+ * Service worker precache manifest
+ * Lists the pages, styles, scripts and other small files sw.js downloads on
+ * install so the whole site opens offline, each with a content hash. Any
+ * change to one of them changes precache-manifest.js, which makes browsers
+ * install the new worker; files whose hash is unchanged are copied over from
+ * the previous cache instead of being downloaded again.
+ *
+ * Images, video and the résumé PDF are not precached: sw.js caches them at
+ * runtime, as they are viewed. Neither are the streaming libraries, which
+ * only a streamed video downloads. pdf.js is, so the résumé viewer works
+ * offline once the PDF has been viewed.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT_DIR } from './content.mjs';
+
+export const PRECACHE_FILE = path.join(ROOT_DIR, 'precache-manifest.js');
+
+const PRECACHE_PATTERN = /\.(html|css|js|mjs|json|svg|webmanifest)$/;
+
+// The worker itself is checked for updates by the browser, never cached
+const NOT_PRECACHED = new Set(['sw.js', 'precache-manifest.js']);
+const NOT_PRECACHED_DIRS = ['vendor/hls.js/', 'vendor/dashjs/'];
+
+/**
+ * Build the manifest from the deployable files (POSIX paths relative to the
+ * root); `outputs` maps absolute paths of freshly generated files to their
+ * contents, which take precedence over what is on disk
+ */
+export async function buildPrecacheManifest(siteFiles, outputs = new Map()) {
+    const generated = [...outputs.keys()].map(file => path.relative(ROOT_DIR, file).split(path.sep).join('/'));
+    const files = [...new Set([...siteFiles, ...generated])]
+        .filter(file => PRECACHE_PATTERN.test(file) && !NOT_PRECACHED.has(file))
+        .filter(file => !NOT_PRECACHED_DIRS.some(dir => file.startsWith(dir)))
+        .sort();
+
+    const entries = await Promise.all(files.map(async file => {
+        const absolute = path.join(ROOT_DIR, file);
+        const contents = outputs.get(absolute) ?? await readFile(absolute);
+        return { url: precacheUrl(file), revision: hash(contents) };
+    }));
+
+    return {
+        version: hash(entries.map(({ url, revision }) => `${url} ${revision}`).join('\n')),
+        entries
+    };
+}
+
+/**
+ * The URL a file is requested by, relative to the worker's scope (the site
+ * root): pages by their directory, everything else by its path
+ */
+export function precacheUrl(file) {
+    if (file === 'index.html') return './';
+    return file.endsWith('/index.html') ? file.slice(0, -'index.html'.length) : file;
+}
+
+/**
+ * precache-manifest.js, loaded by sw.js with importScripts()
+ */
+export function serializePrecacheManifest({ version, entries }) {
+    return `// Generated by tools/build-pages.mjs from the deployable files. Do not edit.
+self.PRECACHE = {
+    version: '${version}',
+    entries: [
+${entries.map(({ url, revision }) => `        { url: '${url}', revision: '${revision}' }`).join(',\n')}
+    ]
+};
+`;
+}
+
+function hash(contents) {
+    return createHash('sha256').update(contents).digest('hex').slice(0, 12);
+}
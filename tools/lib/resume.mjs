@@ -0,0 +1,60 @@
+/**
+ * Résumé content
+ * content/resume.json holds the résumé in the JSON Resume format
+ * (https://jsonresume.org/schema). tools/build-pages.mjs renders it as the
+ * resume/ page and publishes it as resume/resume.json, so the text of the
+ * PDF is indexable and readable on small screens. The PDF itself is still
+ * exported by hand; keep the two in step.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT_DIR, ContentError } from './content.mjs';
+
+export const RESUME_FILE = path.join(ROOT_DIR, 'content', 'resume.json');
+export const RESUME_DIR = 'resume';
+export const RESUME_PDF = 'Adil_Shirinov_Resume_2025.pdf';
+
+const DATE_PATTERN = /^\d{4}(-\d{2}){0,2}$/;
+const DATED_SECTIONS = ['work', 'education', 'projects'];
+
+/**
+ * Load and validate content/resume.json
+ */
+export async function loadResume(file = RESUME_FILE) {
+    let resume;
+
+    try {
+        resume = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        throw new ContentError(file, `invalid JSON (${error.message})`);
+    }
+
+    validateResume(resume, file);
+    return resume;
+}
+
+/**
+ * The published JSON Resume, pointing back at its own public URL
+ */
+export function serializeResume(resume, url) {
+    return JSON.stringify({ ...resume, meta: { ...resume.meta, canonical: url } }, null, 4) + '\n';
+}
+
+function validateResume(resume, file) {
+    if (!resume.basics?.name) throw new ContentError(file, 'missing "basics.name"');
+
+    DATED_SECTIONS.forEach(section => {
+        const entries = resume[section] || [];
+        if (!Array.isArray(entries)) throw new ContentError(file, `"${section}" must be a list`);
+
+        entries.forEach((entry, i) => {
+            if (!DATE_PATTERN.test(entry.startDate || '')) {
+                throw new ContentError(file, `${section}[${i}] needs a "startDate" like 2024-05`);
+            }
+            if (entry.endDate !== undefined && !DATE_PATTERN.test(entry.endDate)) {
+                throw new ContentError(file, `${section}[${i}].endDate must look like 2024-05`);
+            }
+        });
+    });
+}
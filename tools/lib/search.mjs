@@ -0,0 +1,91 @@
+/**
+ * Search index
+ * Flattens the experience pages (section headings, challenge cards, result
+ * cards, deliverables and tech badges) and the homepage skill tags into one
+ * search-index.json per language, next to that language's homepage
+ * (search-index.json, ru/search-index.json, ...). js/site-search.js fetches
+ * the one for the page's language the first time the search overlay opens.
+ * URLs are relative to the index and point at the section anchor the text
+ * appears under, in the index's language where that page is translated.
+ */
+
+import path from 'node:path';
+import { ROOT_DIR } from './content.mjs';
+import { decodeHtml } from './html.mjs';
+import { localeDir } from './i18n.mjs';
+
+const EXPERTISE_PATTERN = /data-i18n="home\.expertise"[^>]*>([^<]*)</;
+const SKILL_CATEGORY_PATTERN = /<div class="skill-category">\s*<h4[^>]*>(.*?)<\/h4>([\s\S]*?)<\/div>\s*<\/div>/g;
+const SKILL_TAG_PATTERN = /<span class="skill-tag"[^>]*>(.*?)<\/span>/g;
+
+/**
+ * Where the index of `locale` is written
+ */
+export function searchIndexFile(locale) {
+    return path.join(ROOT_DIR, localeDir(locale), 'search-index.json');
+}
+
+/**
+ * Build the index entries ({ page, section, title, text, url }) of one
+ * language from its localized experience records and homepage markup. `t`
+ * looks up the language's messages, and `pageUrl(directory)` links to the
+ * case study in experiences/<directory>/ from the index.
+ */
+export function buildSearchIndex(experiences, homepage, { t, pageUrl }) {
+    const entries = [...skillEntries(homepage, t)];
+
+    experiences.forEach(record => {
+        if (record.page) {
+            entries.push(...pageEntries(record, t, pageUrl(record.directory)));
+        } else {
+            entries.push({
+                page: t('nav.experiences'),
+                section: record.tile.company,
+                title: record.tile.title,
+                text: [record.tile.description, ...record.tile.tech].join(' · '),
+                url: './#experiences'
+            });
+        }
+    });
+
+    return entries;
+}
+
+/**
+ * Serialized index with one entry per line, so diffs of the generated file stay readable
+ */
+export function serializeSearchIndex(entries) {
+    return `[\n${entries.map(entry => `    ${JSON.stringify(entry)}`).join(',\n')}\n]\n`;
+}
+
+function pageEntries({ page }, t, pageUrl) {
+    const entry = (section, anchor, title, text) => ({ page: page.title, section, title, text, url: anchor ? `${pageUrl}#${anchor}` : pageUrl });
+    const { challenge, impact, technology } = page;
+
+    return [
+        entry(t('search.overview'), '', page.title, [page.subtitle, page.about?.text].filter(Boolean).join(' ')),
+        entry(challenge.heading, 'challenge', challenge.heading, challenge.subtitle),
+        ...challenge.cards.map(card => entry(challenge.heading, 'challenge', card.heading, card.items.join(' · '))),
+        entry(impact.heading, 'impact', impact.heading, impact.subtitle),
+        ...impact.results.map(result => entry(impact.heading, 'impact', `${result.value} ${result.label}`, '')),
+        ...(impact.deliverables?.items || []).map(item => entry(impact.heading, 'impact', item.term, item.text)),
+        entry(technology.heading, 'technology', technology.heading, technology.subtitle),
+        ...technology.categories.map(category => entry(technology.heading, 'technology', category.heading, category.badges.join(' · ')))
+    ];
+}
+
+function skillEntries(homepage, t) {
+    const section = decode(homepage.match(EXPERTISE_PATTERN)?.[1] || '');
+
+    return [...homepage.matchAll(SKILL_CATEGORY_PATTERN)].map(([, heading, tags]) => ({
+        page: t('nav.home'),
+        section,
+        title: decode(heading),
+        text: [...tags.matchAll(SKILL_TAG_PATTERN)].map(([, tag]) => decode(tag)).join(' · '),
+        url: './#about'
+    }));
+}
+
+function decode(text) {
+    return decodeHtml(text).trim();
+}
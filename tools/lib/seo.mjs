@@ -0,0 +1,237 @@
+/**
+ * Search engine and link preview metadata
+ * Canonical URLs, Open Graph and Twitter card tags and schema.org JSON-LD
+ * for the <head> of every generated page, plus sitemap.xml and robots.txt.
+ * Everything here is absolute (SITE_URL), since crawlers and link
+ * unfurlers read it without a base URL.
+ */
+
+import path from 'node:path';
+import { ROOT_DIR } from './content.mjs';
+import { SITE_URL } from './site.mjs';
+import { html, raw, lines, decodeHtml } from './html.mjs';
+import { shareCardPath } from './share-cards.mjs';
+import { hreflangAlternates } from './i18n.mjs';
+
+export const SITEMAP_FILE = path.join(ROOT_DIR, 'sitemap.xml');
+export const ROBOTS_FILE = path.join(ROOT_DIR, 'robots.txt');
+
+// Shared by every page that has no better picture of its own
+export const DEFAULT_PREVIEW = 'images/profile-photo.jpg';
+
+const PERSON_ID = `${SITE_URL}#person`;
+const OG_LOCALES = { en: 'en_US', ru: 'ru_RU', ja: 'ja_JP' };
+
+// =============================================================================
+// HEAD TAGS
+// =============================================================================
+
+/**
+ * Tags for one page's <head>. `page` is { url, title, description, lang,
+ * type ('website', 'profile' or 'article'), image: { url, alt, large,
+ * width, height }, alternates: [{ code, url }], jsonLd: [object] }. `large` images get the
+ * wide summary_large_image Twitter card.
+ */
+export function seoTags({ url, title, description, lang, type = 'website', image, alternates = [], jsonLd = [] }) {
+    const ogLocale = code => OG_LOCALES[code] || code;
+
+    return lines([
+        html`<meta name="description" content="${description}">`,
+        html`<link rel="canonical" href="${url}">`,
+        html`<meta property="og:type" content="${type}">`,
+        html`<meta property="og:site_name" content="${siteName()}">`,
+        html`<meta property="og:title" content="${title}">`,
+        html`<meta property="og:description" content="${description}">`,
+        html`<meta property="og:url" content="${url}">`,
+        html`<meta property="og:locale" content="${ogLocale(lang)}">`,
+        ...alternates
+            .filter(({ code }) => code !== lang)
+            .map(({ code }) => html`<meta property="og:locale:alternate" content="${ogLocale(code)}">`),
+        ...(image ? [
+            html`<meta property="og:image" content="${image.url}">`,
+            html`<meta property="og:image:alt" content="${image.alt}">`,
+            ...(image.width ? [
+                html`<meta property="og:image:width" content="${image.width}">`,
+                html`<meta property="og:image:height" content="${image.height}">`
+            ] : [])
+        ] : []),
+        html`<meta name="twitter:card" content="${image?.large ? 'summary_large_image' : 'summary'}">`,
+        html`<meta name="twitter:title" content="${title}">`,
+        html`<meta name="twitter:description" content="${description}">`,
+        ...(image ? [html`<meta name="twitter:image" content="${image.url}">`] : []),
+        ...jsonLd.map(jsonLdScript)
+    ]);
+}
+
+/**
+ * Absolute preview image for a file relative to the site root. Landscape
+ * pictures make a good large card; logos and portraits are shown as the
+ * small square summary card.
+ */
+export function previewImage(src, alt, { large = false, width, height } = {}) {
+    return { url: new URL(src, SITE_URL).href, alt, large, width, height };
+}
+
+/**
+ * The preview image for a (localized) case study: its share card in `lang`
+ * when tools/build-share-cards.mjs has rendered one (`shareCards` is
+ * content/share-cards.json), else its tile picture, else the company logo
+ * from the page badge, else the profile photo
+ */
+export function experiencePreview(record, { lang, shareCards = {} } = {}) {
+    const { tile, page } = record;
+    const card = shareCardPath(record, lang);
+
+    if (shareCards[card]) {
+        const { width, height } = shareCards[card];
+        return previewImage(card, page.title, { large: true, width, height });
+    }
+
+    if (tile?.image) return previewImage(tile.image, tile.imageAlt || page.title, { large: true });
+    if (page.badge?.logo) {
+        return previewImage(path.posix.join('experiences', record.directory, page.badge.logo), page.badge.logoAlt || page.badge.text);
+    }
+    return previewImage(DEFAULT_PREVIEW, siteName());
+}
+
+/**
+ * <script type="application/ld+json">; "<" is escaped so no string in the
+ * data can close the script element
+ */
+function jsonLdScript(data) {
+    const json = JSON.stringify(data, null, 4).replace(/</g, '\\u003c');
+    return raw(`<script type="application/ld+json">\n${json}\n</script>`);
+}
+
+function siteName() {
+    return new URL(SITE_URL).hostname;
+}
+
+// =============================================================================
+// STRUCTURED DATA
+// =============================================================================
+
+/**
+ * schema.org Person built from the résumé's basics, education, languages
+ * and skills. `jobTitle` and `description` override the English résumé
+ * text on translated pages.
+ */
+export function personJsonLd(resume, { image, jobTitle, description } = {}) {
+    const { basics, education = [], languages = [], skills = [], work = [] } = resume;
+    const current = work.find(job => !job.endDate);
+
+    return compact({
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        '@id': PERSON_ID,
+        name: basics.name,
+        jobTitle: jobTitle || basics.label,
+        description: description || basics.summary,
+        url: SITE_URL,
+        image: image?.url,
+        email: basics.email && `mailto:${basics.email}`,
+        telephone: basics.phone,
+        address: basics.location && compact({
+            '@type': 'PostalAddress',
+            addressLocality: basics.location.city,
+            addressRegion: basics.location.region,
+            addressCountry: basics.location.countryCode
+        }),
+        sameAs: (basics.profiles || []).map(profile => profile.url),
+        worksFor: current && { '@type': 'Organization', name: current.name },
+        alumniOf: education.map(school => ({ '@type': 'EducationalOrganization', name: school.institution })),
+        knowsLanguage: languages.map(({ language }) => language),
+        knowsAbout: skills
+            .filter(({ name }) => name === 'Software' || name === 'Engineering')
+            .flatMap(({ keywords = [] }) => keywords)
+    });
+}
+
+/**
+ * schema.org CreativeWork for one (localized) case study, credited to the
+ * Person on the homepage
+ */
+export function creativeWorkJsonLd(record, { url, lang, image, author }) {
+    const { tile, page } = record;
+
+    return compact({
+        '@context': 'https://schema.org',
+        '@type': 'CreativeWork',
+        name: page.title,
+        headline: page.subtitle,
+        description: tile.description,
+        url,
+        inLanguage: lang,
+        image: image?.url,
+        keywords: tile.tech?.join(', '),
+        about: page.badge && { '@type': 'Organization', name: page.badge.text },
+        author: { '@type': 'Person', '@id': PERSON_ID, name: author, url: SITE_URL },
+        isPartOf: { '@type': 'WebSite', name: siteName(), url: SITE_URL }
+    });
+}
+
+/**
+ * Drop empty fields so the output only claims what the content says
+ */
+function compact(data) {
+    return Object.fromEntries(Object.entries(data).filter(([, value]) =>
+        value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)));
+}
+
+// =============================================================================
+// HOMEPAGE TEXT
+// =============================================================================
+
+/**
+ * The <title>, profile title and summary of a (localized) index.html, as
+ * plain text for the homepage's description and Person data
+ */
+export function homepageText(markup) {
+    const text = pattern => {
+        const match = markup.match(pattern);
+        return match ? decodeHtml(match[1].replace(/\s+/g, ' ')).trim() : '';
+    };
+
+    return {
+        title: text(/<title[^>]*>([\s\S]*?)<\/title>/),
+        jobTitle: text(/data-i18n="home\.profileTitle"[^>]*>([\s\S]*?)<\/div>/),
+        description: text(/data-i18n="home\.summary"[^>]*>([\s\S]*?)<\/div>/)
+    };
+}
+
+// =============================================================================
+// SITEMAP AND ROBOTS
+// =============================================================================
+
+/**
+ * sitemap.xml; `pages` is a list of { url, alternates: [{ code, url }] }.
+ * Pages in more than one language list every version with xhtml:link so
+ * crawlers can group them. No <lastmod>: it would change on every build.
+ */
+export function renderSitemap(pages) {
+    const entries = pages.map(({ url, alternates = [] }) => {
+        const links = hreflangAlternates(alternates).map(({ hreflang, url: href }) =>
+            html`        <xhtml:link rel="alternate" hreflang="${hreflang}" href="${href}"/>`);
+
+        return lines([
+            html`    <url>`,
+            html`        <loc>${url}</loc>`,
+            ...links,
+            html`    </url>`
+        ]);
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${lines(entries)}
+</urlset>
+`;
+}
+
+export function renderRobots() {
+    return `User-agent: *
+Allow: /
+
+Sitemap: ${new URL(path.basename(SITEMAP_FILE), SITE_URL).href}
+`;
+}
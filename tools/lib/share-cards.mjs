@@ -0,0 +1,123 @@
+/**
+ * Share card pipeline
+ * Rasterizes the link preview card of every case study in every language it
+ * is published in (tools/templates/share-card.mjs, composed by
+ * tools/build-share-cards.mjs) to PNG with resvg. Only the Noto Sans fonts
+ * installed from npm are used, never the system's, so a card comes out the
+ * same on every machine and Cyrillic and Japanese text always has glyphs.
+ * The cards are described in content/share-cards.json, which
+ * tools/build-pages.mjs reads to point og:image and twitter:image at them
+ * (see experiencePreview in tools/lib/seo.mjs).
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT_DIR } from './content.mjs';
+
+export const SHARE_CARD_MANIFEST = path.join(ROOT_DIR, 'content', 'share-cards.json');
+
+// Noto Sans covers Latin and Cyrillic, Noto Sans JP the Japanese cards
+const FONT_FILES = [
+    '@expo-google-fonts/noto-sans/400Regular/NotoSans_400Regular.ttf',
+    '@expo-google-fonts/noto-sans/700Bold/NotoSans_700Bold.ttf',
+    '@expo-google-fonts/noto-sans-jp/400Regular/NotoSansJP_400Regular.ttf',
+    '@expo-google-fonts/noto-sans-jp/700Bold/NotoSansJP_700Bold.ttf'
+].map(file => path.join(ROOT_DIR, 'node_modules', file));
+
+const LOGO_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.svg': 'image/svg+xml' };
+
+/**
+ * Where the card of a case study in one language lives, relative to the root
+ */
+export function shareCardPath(record, lang) {
+    return `experiences/${record.directory}/share/${lang}.png`;
+}
+
+/**
+ * Read the manifest; an empty one when no cards have been rendered yet
+ */
+export async function loadShareCardManifest() {
+    try {
+        return JSON.parse(await readFile(SHARE_CARD_MANIFEST, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+/**
+ * The record's badge logo as a data: URL, so the card's SVG renders on its
+ * own; null when the page has no logo
+ */
+export async function logoDataUrl(record) {
+    const logo = record.page.badge?.logo;
+    if (!logo) return null;
+
+    const file = path.join(ROOT_DIR, 'experiences', record.directory, logo);
+    const type = LOGO_TYPES[path.extname(logo).toLowerCase()];
+    if (!type) throw new Error(`${path.relative(ROOT_DIR, file)}: share cards can't embed ${path.extname(logo)} logos`);
+
+    return `data:${type};base64,${(await readFile(file)).toString('base64')}`;
+}
+
+/**
+ * Cards ({ file, svg }) that have no manifest entry, were drawn from
+ * different content or are missing on disk, i.e. what
+ * tools/build-share-cards.mjs would render
+ */
+export async function findStaleShareCards(cards, manifest) {
+    const stale = [];
+
+    for (const { file, svg } of cards) {
+        if (!await isCurrent(file, svg, manifest[file])) stale.push(file);
+    }
+
+    return stale;
+}
+
+/**
+ * Rasterize one card to `file` (relative to the root) and check it came out
+ * at `size` ({ width, height }); reuses the previous entry when the SVG, and
+ * so the content and logo it was drawn from, is unchanged
+ */
+export async function processShareCard(file, svg, size, previous) {
+    if (await isCurrent(file, svg, previous)) return previous;
+
+    const { Resvg } = await import('@resvg/resvg-js');
+    const { default: sharp } = await import('sharp');
+    await Promise.all(FONT_FILES.map(font => stat(font).catch(() => {
+        throw new Error(`Missing ${path.relative(ROOT_DIR, font)}; run npm install first`);
+    })));
+
+    const rendered = new Resvg(svg, {
+        font: { fontFiles: FONT_FILES, loadSystemFonts: false, defaultFontFamily: 'Noto Sans' }
+    }).render();
+    const { width, height } = rendered;
+    if (width !== size.width || height !== size.height) {
+        throw new Error(`${file} came out ${width}x${height} instead of ${size.width}x${size.height}`);
+    }
+
+    const absolute = path.join(ROOT_DIR, file);
+    await mkdir(path.dirname(absolute), { recursive: true });
+    await sharp(rendered.asPng()).png({ compressionLevel: 9 }).toFile(absolute);
+
+    return { hash: svgHash(svg), width, height };
+}
+
+function svgHash(svg) {
+    return createHash('sha1').update(svg).digest('hex');
+}
+
+async function isCurrent(file, svg, entry) {
+    if (entry?.hash !== svgHash(svg)) return false;
+    return stat(path.join(ROOT_DIR, file)).then(() => true, () => false);
+}
+
+/**
+ * Write the manifest with stable key order so diffs stay readable
+ */
+export async function writeShareCardManifest(manifest) {
+    const sorted = Object.fromEntries(Object.keys(manifest).sort().map(key => [key, manifest[key]]));
+    await writeFile(SHARE_CARD_MANIFEST, JSON.stringify(sorted, null, 4) + '\n');
+}
@@ -0,0 +1,72 @@
+/**
+ * The set of files that make up the deployed site
+ */
+
+import { execFile } from 'node:child_process';
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { ROOT_DIR } from './content.mjs';
+
+const run = promisify(execFile);
+
+export const DIST_DIR = path.join(ROOT_DIR, 'dist');
+
+// Public address of the site (see CNAME), for URLs that must be absolute
+export const SITE_URL = 'https://adilshirinov.com/';
+
+// Source-only files and folders that never ship to the host; whatever git
+// ignores (local notes, collector output) is left out as well
+const EXCLUDED = new Set([
+    '.git',
+    '.gitignore',
+    'node_modules',
+    'dist',
+    'content',
+    'tools',
+    'tests',
+    'README.md',
+    'package.json',
+    'vitest.config.mjs'
+]);
+
+/**
+ * List every deployable file as a POSIX path relative to the repo root
+ */
+export async function listSiteFiles() {
+    return (await walk(ROOT_DIR, await ignoredPaths())).sort();
+}
+
+async function walk(dir, ignored) {
+    const files = [];
+
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        const relative = path.relative(ROOT_DIR, fullPath).split(path.sep).join('/');
+        if (EXCLUDED.has(entry.name) || ignored.has(relative)) continue;
+
+        if (entry.isDirectory()) {
+            files.push(...await walk(fullPath, ignored));
+        } else if (entry.isFile()) {
+            files.push(relative);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Paths git ignores, with ignored directories as one entry; none outside a
+ * git checkout
+ */
+async function ignoredPaths() {
+    try {
+        const { stdout } = await run('git', ['ls-files', '--others', '--ignored', '--exclude-standard', '--directory'], {
+            cwd: ROOT_DIR,
+            maxBuffer: 16 * 1024 * 1024
+        });
+        return new Set(stdout.split('\n').filter(Boolean).map(file => file.replace(/\/$/, '')));
+    } catch {
+        return new Set();
+    }
+}
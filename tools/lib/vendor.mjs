@@ -0,0 +1,75 @@
+/**
+ * Third-party browser libraries
+ * The runtime has no bundler, so the few libraries it loads are copied from
+ * node_modules into vendor/<package>/ and committed, with their licence.
+ * The versions are the ones package.json installs; after upgrading one, run
+ * node tools/build-vendor.mjs and commit the result.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { ROOT_DIR } from './content.mjs';
+
+export const VENDOR_DIR = path.join(ROOT_DIR, 'vendor');
+
+// package -> the files the site uses, relative to the package
+const VENDORED = {
+    'hls.js': ['dist/hls.light.min.mjs', 'LICENSE'],
+    'dashjs': ['dist/modern/esm/dash.mediaplayer.min.js', 'dist/modern/esm/dash.mediaplayer.min.js.LICENSE.txt', 'LICENSE.md'],
+    'pdfjs-dist': ['build/pdf.min.mjs', 'build/pdf.worker.min.mjs', 'LICENSE']
+};
+
+const NODE_MODULES = path.join(ROOT_DIR, 'node_modules');
+
+/**
+ * [{ source, target }] absolute paths of every vendored file
+ */
+export function vendoredFiles() {
+    return Object.entries(VENDORED).flatMap(([name, files]) => files.map(file => ({
+        source: path.join(NODE_MODULES, name, file),
+        target: path.join(VENDOR_DIR, name, path.basename(file))
+    })));
+}
+
+/**
+ * What a vendored file should contain: the package's file without its
+ * source map reference (the maps are not copied)
+ */
+async function vendoredContents(source) {
+    const contents = await readFile(source, 'utf8');
+    return contents.replace(/\n\/\/# sourceMappingURL=\S+\s*$/, '\n');
+}
+
+/**
+ * Copy the vendored files from node_modules; returns the ones that changed
+ */
+export async function copyVendorFiles() {
+    const changed = [];
+
+    for (const { source, target } of vendoredFiles()) {
+        const contents = await vendoredContents(source);
+        if (await readFile(target, 'utf8').catch(() => null) === contents) continue;
+
+        await mkdir(path.dirname(target), { recursive: true });
+        await writeFile(target, contents);
+        changed.push(path.relative(ROOT_DIR, target));
+    }
+
+    return changed;
+}
+
+/**
+ * Vendored files that are missing, or differ from the installed package;
+ * without node_modules only missing files can be found
+ */
+export async function findStaleVendorFiles() {
+    const stale = [];
+
+    for (const { source, target } of vendoredFiles()) {
+        const current = await readFile(target, 'utf8').catch(() => null);
+        const expected = await vendoredContents(source).catch(() => current);
+        if (current === null || current !== expected) stale.push(path.relative(ROOT_DIR, target));
+    }
+
+    return stale;
+}
@@ -0,0 +1,202 @@
+/**
+ * Video pipeline
+ * Generates, for every source video, a poster frame, a small low-quality MP4
+ * preview and an adaptive DASH + HLS stream (fragmented MP4 segments shared
+ * by both manifests), using ffmpeg and ffprobe. The results are described in
+ * content/videos.json, which the page templates read to emit data-dash,
+ * data-hls, data-preview and poster on the lazy videos.
+ */
+
+import { execFile } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { readFile, writeFile, readdir, mkdir, stat, rm } from 'node:fs/promises';
+import path from 'node:path';
+import { pipeline } from 'node:stream/promises';
+import { promisify } from 'node:util';
+import { ROOT_DIR } from './content.mjs';
+
+const run = promisify(execFile);
+
+export const MANIFEST_FILE = path.join(ROOT_DIR, 'content', 'videos.json');
+export const RENDITIONS = [
+    { height: 360, bitrate: '800k' },
+    { height: 720, bitrate: '2500k' },
+    { height: 1080, bitrate: '5000k' }
+];
+
+const SEGMENT_SECONDS = 4;
+const PREVIEW_HEIGHT = 360;
+const POSTER_WIDTH = 1280;
+const SOURCE_PATTERN = /\.(mp4|m4v|mov|webm)$/i;
+// ffmpeg's output is large; keep enough of it for the error message
+const MAX_BUFFER = 32 * 1024 * 1024;
+
+/**
+ * Read the manifest; an empty one when the pipeline has not run yet
+ */
+export async function loadVideoManifest() {
+    try {
+        return JSON.parse(await readFile(MANIFEST_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+/**
+ * Every source video in experiences/<Name>/videos/ (generated output lives
+ * in subdirectories and is not picked up)
+ */
+export async function listSourceVideos() {
+    const videos = [];
+    for (const entry of await readdir(path.join(ROOT_DIR, 'experiences'), { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+
+        const dir = `experiences/${entry.name}/videos`;
+        const files = await readdir(path.join(ROOT_DIR, dir), { withFileTypes: true }).catch(() => []);
+        files
+            .filter(file => file.isFile() && SOURCE_PATTERN.test(file.name))
+            .forEach(file => videos.push(`${dir}/${file.name}`));
+    }
+
+    return videos.sort();
+}
+
+/**
+ * Fail early with install hints when ffmpeg is missing
+ */
+export async function assertFfmpegAvailable() {
+    try {
+        await run('ffmpeg', ['-version']);
+        await run('ffprobe', ['-version']);
+    } catch {
+        throw new Error('ffmpeg and ffprobe not found. Install them first, e.g. "apt install ffmpeg" or "brew install ffmpeg"');
+    }
+}
+
+/**
+ * Process one source video; reuses the previous entry when the source is unchanged.
+ * Output goes to videos/<name>/ next to the source.
+ */
+export async function processVideo(source, previous) {
+    const absolute = path.join(ROOT_DIR, source);
+    const hash = await hashFile(absolute);
+
+    if (previous?.hash === hash && await outputsExist(previous)) {
+        return previous;
+    }
+
+    const { width, height, duration, hasAudio } = await probe(absolute);
+    const dir = path.posix.join(path.posix.dirname(source), path.posix.basename(source).replace(/\.[^.]+$/, ''));
+    const outputDir = path.join(ROOT_DIR, dir);
+
+    // Stale segments from an earlier encode would otherwise ship alongside the new ones
+    await rm(outputDir, { recursive: true, force: true });
+    await mkdir(outputDir, { recursive: true });
+
+    const entry = {
+        hash,
+        width,
+        height,
+        duration,
+        poster: `${dir}/poster.jpg`,
+        preview: `${dir}/preview.mp4`,
+        dash: `${dir}/manifest.mpd`,
+        hls: `${dir}/master.m3u8`
+    };
+
+    await ffmpeg([
+        '-ss', String(Math.min(duration * 0.1, 5)), '-i', absolute,
+        '-frames:v', '1', '-vf', `scale='min(${POSTER_WIDTH},iw)':-2`, '-q:v', '3',
+        path.join(ROOT_DIR, entry.poster)
+    ]);
+
+    await ffmpeg([
+        '-i', absolute,
+        '-vf', `scale=-2:'min(${PREVIEW_HEIGHT},ih)'`,
+        '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '32', '-pix_fmt', 'yuv420p',
+        ...(hasAudio ? ['-c:a', 'aac', '-b:a', '64k', '-ac', '1'] : ['-an']),
+        '-movflags', '+faststart',
+        path.join(ROOT_DIR, entry.preview)
+    ]);
+
+    await ffmpeg(streamArguments(absolute, targetRenditions(height), hasAudio, path.join(ROOT_DIR, entry.dash)));
+
+    return entry;
+}
+
+/**
+ * Write the manifest with stable key order so diffs stay readable
+ */
+export async function writeVideoManifest(manifest) {
+    const sorted = Object.fromEntries(Object.keys(manifest).sort().map(key => [key, manifest[key]]));
+    await writeFile(MANIFEST_FILE, JSON.stringify(sorted, null, 4) + '\n');
+}
+
+function targetRenditions(height) {
+    const renditions = RENDITIONS.filter(rendition => rendition.height <= height);
+    // Never upscale: a source below the lowest rung gets one rendition at its own size
+    return renditions.length ? renditions : [{ ...RENDITIONS[0], height }];
+}
+
+/**
+ * One ffmpeg run for the whole ladder. Keyframes are forced on segment
+ * boundaries so every rendition's segments line up and the player can switch
+ * between them at any segment; -hls_playlist writes master.m3u8 next to the MPD.
+ */
+function streamArguments(input, renditions, hasAudio, output) {
+    const labels = renditions.map((rendition, i) => `[v${i}]`).join('');
+    const scales = renditions.map((rendition, i) => `[v${i}]scale=-2:${rendition.height}[out${i}]`);
+
+    return [
+        '-i', input,
+        '-filter_complex', [`[0:v]split=${renditions.length}${labels}`, ...scales].join(';'),
+        ...renditions.flatMap((rendition, i) => ['-map', `[out${i}]`, `-b:v:${i}`, rendition.bitrate]),
+        ...(hasAudio ? ['-map', '0:a:0', '-c:a', 'aac', '-b:a', '128k', '-ac', '2'] : []),
+        '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+        '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`, '-sc_threshold', '0',
+        '-f', 'dash',
+        '-seg_duration', String(SEGMENT_SECONDS),
+        '-use_template', '1',
+        '-use_timeline', '0',
+        '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+        '-init_seg_name', 'init-$RepresentationID$.m4s',
+        '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+        '-hls_playlist', '1',
+        output
+    ];
+}
+
+async function probe(absolute) {
+    const { stdout } = await run('ffprobe', [
+        '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', absolute
+    ], { maxBuffer: MAX_BUFFER });
+    const info = JSON.parse(stdout);
+    const video = info.streams.find(stream => stream.codec_type === 'video');
+    if (!video) throw new Error(`${absolute} has no video stream`);
+
+    return {
+        width: video.width,
+        height: video.height,
+        duration: Number(info.format.duration),
+        hasAudio: info.streams.some(stream => stream.codec_type === 'audio')
+    };
+}
+
+async function ffmpeg(args) {
+    await run('ffmpeg', ['-y', '-v', 'error', ...args], { maxBuffer: MAX_BUFFER });
+}
+
+async function hashFile(absolute) {
+    // Videos can be large; hash them as a stream instead of reading them whole
+    const hash = createHash('sha1');
+    await pipeline(createReadStream(absolute), hash);
+    return hash.digest('hex');
+}
+
+async function outputsExist(entry) {
+    const files = [entry.poster, entry.preview, entry.dash, entry.hls].map(file => path.join(ROOT_DIR, file));
+    const results = await Promise.all(files.map(file => stat(file).then(() => true, () => false)));
+    return results.every(Boolean);
+}
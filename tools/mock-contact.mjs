@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the contact form's delivery endpoint: accepts the
+ * messages js/contact-form.js posts and prints them. It can also fail some
+ * of them or answer slowly, to try the form's failed state, retry and
+ * timeout. Point a browser at it from the devtools console:
+ *
+ *   localStorage.setItem('contact-endpoint', 'http://localhost:8789/contact');
+ *
+ * and remove the key again to stop. Messages missing a field are rejected
+ * with a Formspree-style { errors: [{ message }] } body, so both adapters
+ * can be tried against it.
+ *
+ * Usage:
+ *   node tools/mock-contact.mjs                      listen on port 8789, accept everything
+ *   node tools/mock-contact.mjs --fail-rate 0.5      answer half of the messages with a 503
+ *   node tools/mock-contact.mjs --delay 20000        answer after 20 seconds (past the form's timeout)
+ */
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import { startCollector, option } from './lib/collector.mjs';
+
+const DEFAULT_PORT = 8789;
+const REQUIRED_FIELDS = ['name', 'email', 'message'];
+
+async function main(args) {
+    const port = Number(option(args, '--port') || DEFAULT_PORT);
+    const failRate = Number(option(args, '--fail-rate') || 0);
+    const delay = Number(option(args, '--delay') || 0);
+
+    if (!(failRate >= 0 && failRate <= 1)) throw new Error('--fail-rate must be between 0 and 1');
+
+    await startCollector({
+        port,
+        onBatch: async message => {
+            if (delay) await sleep(delay);
+
+            const missing = REQUIRED_FIELDS.filter(field => !String(message[field] ?? '').trim());
+            if (missing.length) {
+                console.log(`Rejected a message without ${missing.join(', ')}`);
+                return { status: 422, body: { errors: missing.map(field => ({ field, message: `${field} is required` })) } };
+            }
+
+            if (Math.random() < failRate) {
+                console.log(`Failed a message from ${message.email} on purpose`);
+                return { status: 503, body: { errors: [{ message: 'Simulated outage' }] } };
+            }
+
+            console.log(`\n${new Date().toISOString()}  ${message.name} <${message.email}>  (${message.lang}, ${message.page})`);
+            console.log(message.message.replace(/^/gm, '  '));
+            return { status: 200, body: { ok: true } };
+        }
+    });
+
+    console.log(`Accepting contact form messages on http://localhost:${port}/contact`
+        + `${failRate ? `, failing ${Math.round(failRate * 100)}%` : ''}${delay ? `, after ${delay}ms` : ''}`);
+    console.log('Press Ctrl+C to stop.');
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,347 @@
+/**
+ * Case study page template (experiences/<directory>/index.html)
+ */
+
+import path from 'node:path';
+import { html, indent, lines, block, escapeHtml } from '../lib/html.mjs';
+import { galleryImageId } from '../lib/content.mjs';
+import { navbar, footer, lazyImage, alternateLinks, PLACEHOLDER_SQUARE, PLACEHOLDER_WIDE } from './partials.mjs';
+
+const GALLERY_SIZES = '(max-width: 768px) 100vw, 400px';
+
+/**
+ * Render the full document for one (localized) experience record; `images`
+ * and `videos` are the media manifests (content/images.json,
+ * content/videos.json), `i18n` is { lang, t, languages, alternates } and
+ * `seo` the page's canonical, preview and JSON-LD tags (tools/lib/seo.mjs).
+ * Paths are written for experiences/<directory>/; tools/lib/i18n.mjs
+ * relocates them for the locale trees.
+ */
+export function renderExperiencePage(record, { images = {}, videos = {}, i18n, seo = '' }) {
+    const { page } = record;
+    const { t } = i18n;
+    const fromDir = `experiences/${record.directory}`;
+    const bodyAttributes = [
+        page.badge ? ' data-badge' : '',
+        page.impact.video ? ' data-video' : ''
+    ].join('');
+
+    return `<!DOCTYPE html>
+<html lang="${i18n.lang}">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    ${html`<title>${page.documentTitle}</title>`}
+    <script src="../../js/theme-init.js"></script>
+    <link rel="stylesheet" href="../../css/themes.css">
+    <link rel="stylesheet" href="styles.css">
+    <link rel="stylesheet" href="../../css/runtime.css">
+    <link rel="stylesheet" href="../../css/i18n.css">
+    <link rel="manifest" href="../../manifest.webmanifest">
+    <link rel="icon" href="../../images/icons/icon.svg" type="image/svg+xml">${block(seo, '    ')}${block(alternateLinks(i18n.alternates), '    ')}
+</head>
+
+<body${bodyAttributes}>
+    <!-- Generated from content/experiences/${record.slug}.json by tools/build-pages.mjs. Edit the content file, not this page. -->
+
+    <!-- Navigation Bar -->
+${indent(navbar([['../../', t('nav.home')], ['../../#contact', t('nav.contact')]], i18n), '    ')}
+
+    <!-- Hero Section -->
+${indent(hero(page, t), '    ')}
+
+    <!-- Challenge & Approach -->
+${indent(challengeSection(page.challenge, { images, fromDir, t }), '    ')}
+
+    <!-- Deliverables & Impact -->
+${indent(impactSection(page.impact, { videos, fromDir, t }), '    ')}
+
+    <!-- Technology Stack -->
+${indent(technologySection(page.technology), '    ')}
+
+    <!-- Footer -->
+${indent(footer(), '    ')}
+
+    <!-- Image Modal -->
+    <div id="imageModal" class="modal" role="dialog" aria-modal="true" aria-label="${escapeHtml(t('modal.label'))}" aria-describedby="modalCounter modalCaption">
+        <button type="button" class="modal-close" aria-label="${escapeHtml(t('modal.close'))}">&times;</button>
+        <img class="modal-content" id="modalImage" alt="">
+        <div class="modal-counter" id="modalCounter" aria-live="polite" hidden></div>
+        <div class="modal-caption" id="modalCaption" aria-live="polite"></div>
+        <div class="modal-zoom-indicator" role="status"></div>
+        <button type="button" class="modal-prev" aria-label="${escapeHtml(t('modal.previous'))}">&#10094;</button>
+        <button type="button" class="modal-next" aria-label="${escapeHtml(t('modal.next'))}">&#10095;</button>
+    </div>
+
+    <!-- Scripts -->
+    <script type="module" src="../../js/experience-page.js"></script>
+</body>
+
+</html>
+`;
+}
+
+// =============================================================================
+// HERO
+// =============================================================================
+
+function hero(page, t) {
+    return html`<section class="hero project-hero">
+    <div class="container">
+        <!-- Breadcrumb -->
+        <div class="breadcrumb">
+            <a href="../../" class="breadcrumb-link">${t('nav.home')}</a>
+            <span class="breadcrumb-separator">→</span>
+            <a href="../../#experiences" class="breadcrumb-link">${t('nav.experiences')}</a>
+            <span class="breadcrumb-separator">→</span>
+            <span class="breadcrumb-current">${page.breadcrumb}</span>
+        </div>${page.badge && block(badge(page.badge), '        ')}
+
+        <!-- Main Title -->
+        <h1 class="project-title">${page.title}</h1>${page.subtitle && html`
+        <p class="subtitle">${page.subtitle}</p>`}
+
+        <!-- Project Context with Contact Below -->
+        <div class="project-context-wrapper">
+            <div class="project-context">
+                <h3>${page.about.heading}</h3>
+                <p>${page.about.text}</p>
+            </div>${page.contact && block(contactBar(page.contact, t), '            ')}
+        </div>
+
+        <!-- Meta Information Grid -->
+        <div class="project-meta-grid">
+${indent(lines(page.meta.map(metaCard)), '            ')}
+        </div>${page.technologies && block(techShowcase(page.technologies, t), '        ')}
+
+        <!-- Call to Action -->
+        <div class="hero-cta">
+            <a href="#challenge" class="cta-primary">
+                <span>${t('page.explore')}</span>
+                <span class="cta-arrow">↓</span>
+            </a>
+            <a href="../../#experiences" class="cta-secondary">
+                <span>${t('page.viewAll')}</span>
+            </a>
+        </div>
+    </div>
+</section>`;
+}
+
+function badge({ text, logo, logoAlt }) {
+    return html`
+<!-- Project Badge -->
+<div class="project-badge">
+    <div class="badge-content">
+        <span class="badge-text">${text}</span>
+    </div>
+    <div class="badge-logo">
+        <img src="${PLACEHOLDER_SQUARE}"
+            data-src="${logo}" alt="${logoAlt}" class="badge-logo-img lazy-load-badge">
+        <div class="badge-loading-spinner">
+            <div class="mini-spinner"></div>
+        </div>
+    </div>
+</div>`;
+}
+
+function contactBar({ name, email, phone, phoneLabel = t('page.phone') }, t) {
+    return html`<div class="context-contact-bar">
+    <div class="contact-name">
+        <span class="contact-label">${t('format.label', { label: t('page.contact') })}</span>
+        <span class="contact-person">${name}</span>
+    </div>
+    <span class="contact-separator">•</span>
+    <div class="contact-item">
+        <span class="contact-label">${t('format.label', { label: t('page.email') })}</span>
+        <a href="mailto:${email}" class="contact-value">${email}</a>
+    </div>
+    <span class="contact-separator">•</span>
+    <div class="contact-item">
+        <span class="contact-label">${t('format.label', { label: phoneLabel })}</span>
+        <a href="tel:${phone}" class="contact-value">${phone}</a>
+    </div>
+</div>`;
+}
+
+function metaCard({ label, value }) {
+    return html`<div class="meta-card">
+    <div class="meta-content">
+        <span class="meta-label">${label}</span>
+        <span class="meta-value">${value}</span>
+    </div>
+</div>`;
+}
+
+function techShowcase(groups, t) {
+    return html`
+<!-- Technology Stack -->
+<div class="tech-showcase">
+    <h4>${t('page.keyTechnologies')}</h4>
+    <div class="tech-categories">
+${indent(lines(groups.map(group => techGroup(group, t))), '        ')}
+    </div>
+</div>`;
+}
+
+function techGroup({ label, items }, t) {
+    return html`<div class="tech-category-group">
+    <span class="category-label">${t('format.label', { label })}</span>
+    <div class="tech-pills">
+${items.map(item => html`        <span class="tech-pill">${item}</span>
+`)}    </div>
+</div>`;
+}
+
+// =============================================================================
+// SECTIONS
+// =============================================================================
+
+function sectionHeader(number, { heading, subtitle }) {
+    return html`<div class="section-header">
+    <h3><span class="section-number">${number}</span>${heading}</h3>
+    <p class="section-subtitle">${subtitle}</p>
+</div>`;
+}
+
+function challengeSection(challenge, context) {
+    return html`<section class="section" style="scroll-margin-top: 40px;" id="challenge">
+    <div class="container">
+${indent(sectionHeader(1, challenge), '        ')}
+
+        <div class="challenge-grid">
+${indent(lines(challenge.cards.map(challengeCard)), '            ')}
+        </div>${challenge.article && block(articleCard(challenge.article), '        ')}${challenge.gallery?.length > 0 && block(gallery(challenge.gallery, context), '        ')}
+    </div>
+</section>`;
+}
+
+function challengeCard({ heading, items }) {
+    return html`<div class="challenge-card">
+    <h4>${heading}</h4>
+    <ul>
+${items.map(item => html`        <li>${item}</li>
+`)}    </ul>
+</div>`;
+}
+
+function articleCard({ heading, text, links }) {
+    return html`
+<!-- Article Link -->
+<div class="article-link-card">
+    <div class="article-icon">📄</div>
+    <div class="article-content">
+        <h3>${heading}</h3>
+        <p>${text}</p>
+        <div class="article-link-buttons">
+${links.map(({ label, href }) => html`            <a href="${href}" class="article-link-btn" target="_blank" rel="noopener">
+                ${label}
+                <span class="link-arrow">→</span>
+            </a>
+`)}        </div>
+    </div>
+</div>`;
+}
+
+function gallery(figures, context) {
+    return html`
+<div class="image-gallery" data-gallery="challenge">
+${indent(lines(figures.map(figure => galleryFigure(figure, context))), '    ')}
+</div>`;
+}
+
+function galleryFigure(figure, { images, fromDir }) {
+    const { src, alt, caption } = figure;
+    const image = lazyImage({
+        src,
+        alt,
+        className: 'project-image lazy',
+        sizes: GALLERY_SIZES,
+        placeholder: PLACEHOLDER_WIDE,
+        data: { 'image-id': galleryImageId(figure) },
+        fromDir,
+        images
+    });
+
+    return html`<figure class="image-container">
+    <div class="image-placeholder lazy-image-wrapper">
+${indent(image, '        ')}
+        <div class="loading-spinner"></div>
+    </div>
+    <figcaption>${caption}</figcaption>
+</figure>`;
+}
+
+function impactSection(impact, context) {
+    return html`<section class="section" style="scroll-margin-top: 40px;" id="impact">
+    <div class="container">
+${indent(sectionHeader(2, impact), '        ')}
+
+        <div class="results-grid">
+${impact.results.map(({ value, label }) => html`            <div class="result-card">
+                <div class="result-number">${value}</div>
+                <div class="result-label">${label}</div>
+            </div>
+`)}        </div>${impact.deliverables && block(deliverables(impact.deliverables, context.t), '        ')}${impact.video && block(videoShowcase(impact.video, context), '        ')}
+    </div>
+</section>`;
+}
+
+function deliverables({ heading, items }, t) {
+    return html`
+<div style="margin-top: 40px;">
+    <h4 style="color: var(--primary-color); margin-bottom: 20px;">${heading}</h4>
+    <div class="challenge-card">
+        <ul>
+${items.map(({ term, text }) => html`            <li><strong>${t('format.label', { label: term })}</strong> ${text}</li>
+`)}        </ul>
+    </div>
+</div>`;
+}
+
+function videoShowcase({ heading, src, poster, muted, caption, chapters, tracks = [] }, { videos, fromDir, t }) {
+    // Streams, preview and a poster frame when tools/build-videos.mjs has processed the video
+    const media = videos[path.posix.join(fromDir, src)];
+    const relative = file => path.posix.relative(fromDir, file);
+    const streams = media && html` data-dash="${relative(media.dash)}" data-hls="${relative(media.hls)}" data-preview="${relative(media.preview)}"`;
+    const posterSrc = poster || (media && relative(media.poster));
+
+    // chapters: a WebVTT file, or [{ start: "m:ss", title }] for data-chapters
+    const chapterTrack = typeof chapters === 'string' && html`
+                <track kind="chapters" src="${chapters}" srclang="en">`;
+    const chapterData = Array.isArray(chapters) && html` data-chapters="${JSON.stringify(chapters)}"`;
+    const textTracks = tracks.map(track => html`
+                <track kind="${track.kind || 'captions'}" src="${track.src}" srclang="${track.srclang}" label="${track.label}"${track.default ? ' default' : ''}>`);
+
+    return html`
+<!-- Video Showcase Section -->
+<div class="video-showcase">
+    <h4>${heading}</h4>
+    <div class="video-container">
+        <div class="lazy-video-wrapper">
+            <video class="project-video lazy-video" data-src="${src}"${streams}${muted ? ' muted' : ''} loop preload="none"
+                ${posterSrc ? html`poster="${posterSrc}" ` : ''}playsinline aria-label="${heading}"${chapterData}>${chapterTrack}${textTracks}
+                ${t('page.videoUnsupported')}
+            </video>
+            <div class="video-loading-spinner"></div>
+        </div>
+    </div>
+    <div class="video-caption">${caption}</div>
+</div>`;
+}
+
+function technologySection(technology) {
+    return html`<section class="section" style="scroll-margin-top: 40px;" id="technology">
+    <div class="container">
+${indent(sectionHeader(3, technology), '        ')}
+${technology.categories.map(({ heading, badges }) => html`
+        <div class="tech-category">
+            <h5>${heading}</h5>
+            <div class="tech-stack">
+${badges.map(name => html`                <div class="tech-badge">${name}</div>
+`)}            </div>
+        </div>
+`)}    </div>
+</section>`;
+}
@@ -0,0 +1,82 @@
+/**
+ * Homepage experience tile template (.experience-item in index.html)
+ */
+
+import { html, indent } from '../lib/html.mjs';
+import { experienceHref } from '../lib/content.mjs';
+import { lazyImage, PLACEHOLDER_SQUARE } from './partials.mjs';
+
+const TILE_SIZES = '(max-width: 768px) 100vw, 480px';
+
+/**
+ * Render the tile for one (localized) experience record; `images` is the
+ * responsive image manifest (content/images.json) and `source` the English
+ * record, whose skill names the homepage skill tags filter on in every language
+ */
+export function renderExperienceTile(record, position, { images = {}, t, source = record }) {
+    const { tile } = record;
+    const href = experienceHref(record);
+    const media = indent(tileMedia(tile, images), '        ');
+
+    return html`<!-- Experience ${position} -->
+<div class="experience-item" data-reveal="slide-in" data-experience="${record.slug}" data-skills="${tileSkills(source).join('|')}">
+${href ? html`    <a href="${href}" class="experience-image-link">
+${media}
+    </a>` : html`    <div class="experience-image-link">
+${media}
+    </div>`}
+    <div class="experience-content">
+        <div class="experience-company">${tile.company}</div>
+        <div class="experience-title">${tile.title}</div>
+        <div class="experience-description">
+            ${tile.description}
+        </div>
+        <div class="experience-tech">
+${tile.tech.map(name => html`            <span class="tech-pill">${name}</span>
+`)}        </div>${href && html`
+        <a href="${href}" class="experience-link">
+            ${t('tile.viewProject')}
+        </a>`}
+    </div>
+</div>`;
+}
+
+/**
+ * Everything the skill filter can match this experience on: the tile's tech
+ * pills, its optional `skills`, and the case study's tech badges and
+ * technology lists, separated by "|" (names can contain commas)
+ */
+function tileSkills({ tile, page }) {
+    return [...new Set([
+        ...tile.tech,
+        ...(tile.skills || []),
+        ...(page?.technology.categories.flatMap(category => category.badges) || []),
+        ...(page?.technologies?.flatMap(group => group.items) || [])
+    ])];
+}
+
+function tileMedia(tile, images) {
+    if (!tile.image) {
+        return html`<div class="experience-image">
+    <div class="experience-icon-overlay" aria-hidden="true">${tile.icon}</div>
+</div>`;
+    }
+
+    const image = lazyImage({
+        src: tile.image,
+        alt: tile.imageAlt,
+        className: 'experience-img lazy-load-experience',
+        sizes: TILE_SIZES,
+        placeholder: PLACEHOLDER_SQUARE,
+        style: tile.imageStyle,
+        fromDir: '',
+        images
+    });
+
+    return html`<div class="experience-image">
+${indent(image, '    ')}
+    <div class="experience-loading">
+        <div class="pulse-loader"></div>
+    </div>
+</div>`;
+}
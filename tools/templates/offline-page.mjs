@@ -0,0 +1,57 @@
+/**
+ * Offline fallback page (offline.html in every locale tree)
+ * sw.js serves it in place of any page it has no copy of while the network
+ * is down, so it can appear at any URL: every link is root-relative. It
+ * loads no scripts besides the theme bootstrap.
+ */
+
+import { html, indent } from '../lib/html.mjs';
+import { footer } from './partials.mjs';
+
+/**
+ * Render the page; `i18n` is { lang, t } and `pages` the [href, label]
+ * pairs of the pages the visitor can still open (all of them precached)
+ */
+export function renderOfflinePage({ i18n, pages }) {
+    const { t } = i18n;
+
+    return `<!DOCTYPE html>
+<html lang="${i18n.lang}">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    ${html`<title>${t('offline.title')}</title>`}
+    <script src="/js/theme-init.js"></script>
+    <link rel="stylesheet" href="/css/themes.css">
+    <link rel="stylesheet" href="/styles.css">
+    <link rel="stylesheet" href="/css/runtime.css">
+    <link rel="stylesheet" href="/css/i18n.css">
+    <link rel="manifest" href="/manifest.webmanifest">
+    <link rel="icon" href="/images/icons/icon.svg" type="image/svg+xml">
+</head>
+
+<body>
+    <!-- Generated by tools/build-pages.mjs; sw.js serves it when a page can't be loaded offline. -->
+
+    <main class="contact-section offline-page">
+        <div class="container">
+            ${html`<h1>${t('offline.heading')}</h1>`}
+            ${html`<p>${t('offline.text')}</p>`}
+            <div class="contact-links">
+${indent(pages.map(([href, label]) => html`<a href="${href}" class="contact-link-item">${label}</a>`).join('\n'), '                ')}
+            </div>
+            <!-- A form without an action reloads the address that failed, no script needed -->
+            <form class="offline-retry" method="get">
+                ${html`<button type="submit" class="contact-link-item">${t('offline.retry')}</button>`}
+            </form>
+        </div>
+    </main>
+
+${indent(footer(), '    ')}
+</body>
+
+</html>
+`;
+}
@@ -0,0 +1,109 @@
+/**
+ * Markup shared by the homepage and the experience pages
+ */
+
+import path from 'node:path';
+import { html, raw, lines, block } from '../lib/html.mjs';
+import { hreflangAlternates } from '../lib/i18n.mjs';
+
+export const PLACEHOLDER_SQUARE = raw("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 1 1'%3E%3C/svg%3E");
+export const PLACEHOLDER_WIDE = raw("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 16 10'%3E%3C/svg%3E");
+
+const LINKEDIN_PATH = 'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z';
+
+export const PROFILE = {
+    name: 'Adil Shirinov',
+    linkedin: 'https://linkedin.com/in/adilsh',
+    email: 'ashirinov203@gmail.com',
+    phone: '+1-470-652-5543',
+    phoneDisplay: '+1 (470) 652-5543'
+};
+
+/**
+ * Navigation bar; `links` is the list of [href, label] pairs shown before
+ * contacts, `i18n` the page's { t, languages } (see languageSwitcher)
+ */
+export function navbar(links, { t, languages }) {
+    return html`<nav class="navbar">
+    <div class="navbar-container">
+        <a href="${PROFILE.linkedin}" class="nav-brand" target="_blank" rel="noopener" title="${t('nav.linkedin')}">
+            ADIL SHIRINOV
+            <svg class="linkedin-icon" width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                <path
+                    d="${LINKEDIN_PATH}" />
+            </svg>
+        </a>
+        <div class="nav-links">
+${links.map(([href, label]) => html`            <a href="${href}" class="nav-link">${label}</a>
+`)}            <button type="button" class="nav-link nav-search" data-search-open aria-keyshortcuts="/">${t('nav.search')}</button>
+            <button type="button" class="theme-toggle" data-theme-toggle aria-label="${t('nav.theme')}">◐</button>${block(languageSwitcher(languages, t), '            ')}
+            <div class="nav-contact">
+                <a href="mailto:${PROFILE.email}" class="nav-contact-item" target="_blank">${PROFILE.email}</a>
+                <a href="tel:${PROFILE.phone}" class="nav-contact-item" target="_blank">${PROFILE.phoneDisplay}</a>
+            </div>
+        </div>
+    </div>
+</nav>`;
+}
+
+/**
+ * Links to this page in the other languages; `languages` is a list of
+ * { code, name, href, current } for the locales the page exists in.
+ * Renders nothing for a page that is only in one language.
+ */
+export function languageSwitcher(languages, t) {
+    if (languages.length < 2) return '';
+
+    return html`<div class="language-switcher" role="group" aria-label="${t('nav.language')}">
+${languages.map(({ code, name, href, current }) => html`    <a href="${href}" class="language-link" hreflang="${code}" lang="${code}" title="${name}"${current ? html` aria-current="page"` : ''}>${code.toUpperCase()}</a>
+`)}</div>`;
+}
+
+/**
+ * <link rel="alternate"> for every language version of the page, plus
+ * x-default for visitors whose language has none; `alternates` is a list of
+ * { code, url } with absolute URLs
+ */
+export function alternateLinks(alternates) {
+    return lines(hreflangAlternates(alternates).map(({ hreflang, url }) =>
+        html`<link rel="alternate" hreflang="${hreflang}" href="${url}">`));
+}
+
+export function footer() {
+    return html`<footer>
+    <div class="container">
+        <p>&copy; 2025 ${PROFILE.name}</p>
+    </div>
+</footer>`;
+}
+
+/**
+ * Lazy image markup. `src` is relative to `fromDir` (the page's directory),
+ * `data` adds data-* attributes to the <img>.
+ * When content/images.json has variants for it, this renders a <picture>
+ * with AVIF/WebP/JPEG data-srcset candidates and a blur-up placeholder;
+ * otherwise a single data-src image behind the given placeholder.
+ */
+export function lazyImage({ src, alt, className, sizes, fromDir, images, placeholder, style, data = {} }) {
+    const entry = images?.[path.posix.join(fromDir, src)];
+    const styleAttribute = style && html` style="${style}"`;
+    const dataAttributes = Object.entries(data).map(([name, value]) => html` data-${name}="${value}"`);
+
+    if (!entry) {
+        return html`<img src="${placeholder}"
+    data-src="${src}" alt="${alt}" class="${className}"${dataAttributes}${styleAttribute}>`;
+    }
+
+    const srcset = variants => variants.map(variant => `${path.posix.relative(fromDir, variant.src)} ${variant.width}w`).join(', ');
+    const jpegs = entry.sources.jpg;
+    const largest = path.posix.relative(fromDir, jpegs[jpegs.length - 1].src);
+    const full = entry.displayable ? src : largest;
+
+    return html`<picture>
+    <source type="image/avif" data-srcset="${srcset(entry.sources.avif)}" sizes="${sizes}">
+    <source type="image/webp" data-srcset="${srcset(entry.sources.webp)}" sizes="${sizes}">
+    <img src="${raw(entry.placeholder)}" width="${entry.width}" height="${entry.height}"
+        data-src="${largest}" data-srcset="${srcset(jpegs)}" sizes="${sizes}" data-full="${full}"
+        alt="${alt}" class="${className} blur-up"${dataAttributes}${styleAttribute}>
+</picture>`;
+}
@@ -0,0 +1,193 @@
+/**
+ * Résumé page template (resume/index.html)
+ * The HTML version of content/resume.json, for search engines and small
+ * screens; the PDF opens from it in js/resume-viewer.js.
+ */
+
+import { html, indent, lines, block } from '../lib/html.mjs';
+import { RESUME_PDF } from '../lib/resume.mjs';
+import { navbar, footer } from './partials.mjs';
+
+const MONTH_FORMAT = new Intl.DateTimeFormat('en', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Render the full document; `i18n` is { lang, t, languages } and `seo` the
+ * page's canonical, preview and JSON-LD tags (tools/lib/seo.mjs)
+ */
+export function renderResumePage(resume, { i18n, seo = '' }) {
+    const { t } = i18n;
+    const { basics } = resume;
+    const sections = [
+        entriesSection('education', t('resume.education'), resume.education, educationEntry, t),
+        skillsSection(resume, t),
+        entriesSection('experience', t('resume.experience'), resume.work, workEntry, t),
+        entriesSection('leadership', t('resume.leadership'), resume.projects, projectEntry, t)
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="${i18n.lang}">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    ${html`<title>${t('resume.documentTitle', { name: basics.name })}</title>`}
+    <script src="../js/theme-init.js"></script>
+    <link rel="stylesheet" href="../css/themes.css">
+    <link rel="stylesheet" href="../styles.css">
+    <link rel="stylesheet" href="../css/runtime.css">
+    <link rel="stylesheet" href="../css/i18n.css">
+    <link rel="manifest" href="../manifest.webmanifest">
+    <link rel="icon" href="../images/icons/icon.svg" type="image/svg+xml">${block(seo, '    ')}
+    <link rel="alternate" type="application/json" href="resume.json">
+</head>
+
+<body data-gallery="false" data-resume>
+    <!-- Generated from content/resume.json by tools/build-pages.mjs. Edit the content file, not this page. -->
+
+    <!-- Navigation Bar -->
+${indent(navbar([['../', t('nav.home')], ['../#experiences', t('nav.experiences')], ['../#contact', t('nav.contact')]], i18n), '    ')}
+
+    <main class="resume-page">
+        <div class="container">
+${indent(header(basics, t), '            ')}
+
+${indent(sections.join('\n\n'), '            ')}
+        </div>
+    </main>
+
+    <!-- Footer -->
+${indent(footer(), '    ')}
+
+    <!-- Scripts -->
+    <script type="module" src="../js/experience-page.js"></script>
+</body>
+
+</html>
+`;
+}
+
+// =============================================================================
+// HEADER
+// =============================================================================
+
+function header(basics, t) {
+    const { city, region } = basics.location || {};
+    const linkedin = (basics.profiles || []).find(profile => profile.network === 'LinkedIn');
+    const contacts = [
+        basics.email && html`<a href="mailto:${basics.email}">${basics.email}</a>`,
+        basics.phone && html`<a href="tel:${basics.phone.replace(/[^\d+]/g, '')}">${basics.phone}</a>`,
+        city && html`${[city, region].filter(Boolean).join(', ')}`,
+        linkedin && html`<a href="${linkedin.url}" target="_blank" rel="noopener">LinkedIn</a>`
+    ].filter(Boolean);
+
+    return html`<header class="resume-header">
+    <h1>${basics.name}</h1>${basics.label && html`
+    <p class="resume-label">${basics.label}</p>`}${basics.summary && html`
+    <p class="resume-summary">${basics.summary}</p>`}
+    <ul class="resume-contact">
+${indent(lines(contacts.map(contact => html`<li>${contact}</li>`)), '        ')}
+    </ul>
+    <div class="resume-actions">
+        <a href="../${RESUME_PDF}" class="resume-action" data-resume-viewer>${t('resume.viewPdf')}</a>
+        <a href="../${RESUME_PDF}" class="resume-action" download>${t('resume.downloadPdf')}</a>
+        <a href="resume.json" class="resume-action" type="application/json">${t('resume.json')}</a>
+    </div>
+</header>`;
+}
+
+// =============================================================================
+// SECTIONS
+// =============================================================================
+
+function section(id, heading, body) {
+    return html`<section class="resume-section" id="${id}">
+    <h2>${heading}</h2>
+${indent(body, '    ')}
+</section>`;
+}
+
+function entriesSection(id, heading, entries, renderEntry, t) {
+    if (!entries?.length) return null;
+    return section(id, heading, lines(entries.map(entry => renderEntry(entry, t))));
+}
+
+function skillsSection({ skills = [], languages = [] }, t) {
+    if (!skills.length && !languages.length) return null;
+
+    const rows = skills.map(({ name, level, keywords = [] }) =>
+        html`<dt>${name}</dt>
+<dd>${level && html`${level}: `}${keywords.join(', ')}</dd>`);
+
+    if (languages.length) {
+        rows.push(html`<dt>${t('resume.languages')}</dt>
+<dd>${languages.map(({ language, fluency }) => (fluency ? `${language} (${fluency.toLowerCase()})` : language)).join(', ')}</dd>`);
+    }
+
+    return section('skills', t('resume.skills'), html`<dl class="resume-skills">
+${indent(lines(rows), '    ')}
+</dl>`);
+}
+
+// =============================================================================
+// ENTRIES
+// =============================================================================
+
+function entry({ title, organization, dates, details = [], highlights = [] }) {
+    return html`<article class="resume-entry">
+    <div class="resume-entry-header">
+        <h3>${title}</h3>
+        <p class="resume-dates">${dates}</p>
+    </div>${organization && html`
+    <p class="resume-organization">${organization}</p>`}${details.map(detail => html`
+    <p class="resume-detail">${detail}</p>`)}${highlights.length > 0 && html`
+    <ul class="resume-highlights">
+${indent(lines(highlights.map(highlight => html`<li>${highlight}</li>`)), '        ')}
+    </ul>`}
+</article>`;
+}
+
+function educationEntry(item, t) {
+    return entry({
+        title: item.institution,
+        organization: item.location,
+        dates: dateRange(item, t),
+        details: [
+            [item.studyType, item.area].filter(Boolean).join(' in '),
+            item.score && t('resume.score', { score: item.score }),
+            item.courses?.length && `${t('resume.courses')} ${item.courses.join(', ')}`
+        ].filter(Boolean)
+    });
+}
+
+function workEntry(item, t) {
+    return entry({
+        title: item.position,
+        organization: [item.name, item.location].filter(Boolean).join(', '),
+        dates: dateRange(item, t),
+        highlights: item.highlights
+    });
+}
+
+function projectEntry(item, t) {
+    return entry({
+        title: item.name,
+        organization: item.description,
+        dates: dateRange(item, t),
+        highlights: item.highlights
+    });
+}
+
+/**
+ * "Aug 2020 – May 2025", "Dec 2023 – Present", or one date when an entry
+ * starts and ends in the same month
+ */
+function dateRange({ startDate, endDate }, t) {
+    const start = time(startDate);
+    if (endDate === startDate) return start;
+    return html`${start} – ${endDate ? time(endDate) : t('resume.present')}`;
+}
+
+function time(date) {
+    const [year, month = '01'] = date.split('-');
+    return html`<time datetime="${date}">${MONTH_FORMAT.format(Date.UTC(Number(year), Number(month) - 1))}</time>`;
+}
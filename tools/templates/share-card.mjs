@@ -0,0 +1,176 @@
+/**
+ * Share card template (experiences/<directory>/share/<lang>.png)
+ * A 1200x630 SVG of one (localized) case study for link previews: the
+ * company logo and name, the project title, the role and the first few
+ * technologies as badges. tools/lib/share-cards.mjs rasterizes it.
+ *
+ * SVG has no text layout, so lines are wrapped here from estimated glyph
+ * widths. The estimates err on the wide side; a card may end up with a
+ * little more margin than it needs, never with text running off the edge.
+ */
+
+import { html, lines, indent } from '../lib/html.mjs';
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+const MARGIN = 80;
+const TEXT_WIDTH = CARD_WIDTH - MARGIN * 2;
+const LOGO_SIZE = 112;
+const MAX_BADGES = 4;
+const TITLE = { size: 52, lineHeight: 64, top: 280, maxLines: 3 };
+// The fonts tools/lib/share-cards.mjs renders with. Japanese cards list
+// Noto Sans JP first: glyphs found through fallback lose their bold weight.
+const FONT_FAMILY = "'Noto Sans', 'Noto Sans JP', sans-serif";
+const FONT_FAMILIES = { ja: "'Noto Sans JP', 'Noto Sans', sans-serif" };
+
+// css/themes.css, light theme
+const COLORS = {
+    primary: '#1e3a5f',
+    secondary: '#4a90e2',
+    onPrimary: '#ffffff'
+};
+
+/**
+ * Render the card in `lang`; `logo` is a data: URL (or null for a monogram)
+ * and `site` the host name printed in the corner
+ */
+export function renderShareCard(record, { lang, logo, site }) {
+    const { tile, page } = record;
+    const company = page.badge?.text || tile.company;
+    const titleLines = wrapText(page.title, { size: TITLE.size, bold: true, maxLines: TITLE.maxLines });
+    const roleY = TITLE.top + (titleLines.length - 1) * TITLE.lineHeight + 56;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+    <defs>
+        <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="${COLORS.primary}"/>
+            <stop offset="1" stop-color="${COLORS.secondary}"/>
+        </linearGradient>
+        <clipPath id="logo-clip">
+            <rect x="${MARGIN}" y="${MARGIN}" width="${LOGO_SIZE}" height="${LOGO_SIZE}" rx="20"/>
+        </clipPath>
+    </defs>
+    <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#background)"/>
+    <g font-family="${FONT_FAMILIES[lang] || FONT_FAMILY}" fill="${COLORS.onPrimary}">
+${indent(logoMark(logo, company), '        ')}
+        ${text(wrapText(company, { size: 30, maxLines: 1, width: TEXT_WIDTH - LOGO_SIZE - 32 })[0], { x: MARGIN + LOGO_SIZE + 32, y: MARGIN + LOGO_SIZE / 2 + 11, size: 30, opacity: 0.9 })}
+${indent(lines(titleLines.map((line, i) => text(line, { x: MARGIN, y: TITLE.top + i * TITLE.lineHeight, size: TITLE.size, weight: 700 }))), '        ')}
+        ${text(wrapText(tile.title, { size: 32, maxLines: 1 })[0], { x: MARGIN, y: roleY, size: 32, opacity: 0.85 })}
+${indent(badges(tile.tech || []), '        ')}
+        ${text(site, { x: CARD_WIDTH - MARGIN, y: CARD_HEIGHT - 34, size: 22, opacity: 0.7, anchor: 'end' })}
+    </g>
+</svg>
+`;
+}
+
+// =============================================================================
+// PARTS
+// =============================================================================
+
+function logoMark(logo, company) {
+    const box = html`<rect x="${MARGIN}" y="${MARGIN}" width="${LOGO_SIZE}" height="${LOGO_SIZE}" rx="20" fill="${COLORS.onPrimary}"/>`;
+
+    if (logo) {
+        return lines([
+            box,
+            html`<image x="${MARGIN}" y="${MARGIN}" width="${LOGO_SIZE}" height="${LOGO_SIZE}" preserveAspectRatio="xMidYMid meet" clip-path="url(#logo-clip)" xlink:href="${logo}"/>`
+        ]);
+    }
+
+    return lines([
+        box,
+        text(Array.from(company.trim())[0].toUpperCase(), {
+            x: MARGIN + LOGO_SIZE / 2, y: MARGIN + LOGO_SIZE / 2 + 20, size: 56, weight: 700, anchor: 'middle', fill: COLORS.primary
+        })
+    ]);
+}
+
+/**
+ * The first technologies that fit on one row, as rounded pills
+ */
+function badges(tech) {
+    const size = 24;
+    const padding = 22;
+    const gap = 14;
+    const y = 504;
+    const pills = [];
+    let x = MARGIN;
+
+    for (const label of tech.slice(0, MAX_BADGES)) {
+        const width = Math.ceil(textWidth(label, size) + padding * 2);
+        if (x + width > CARD_WIDTH - MARGIN) break;
+
+        pills.push(lines([
+            html`<rect x="${x}" y="${y}" width="${width}" height="48" rx="24" fill="${COLORS.onPrimary}" fill-opacity="0.16" stroke="${COLORS.onPrimary}" stroke-opacity="0.45"/>`,
+            text(label, { x: x + width / 2, y: y + 32, size, anchor: 'middle' })
+        ]));
+        x += width + gap;
+    }
+
+    return lines(pills);
+}
+
+function text(content, { x, y, size, weight, opacity, anchor, fill }) {
+    return html`<text x="${x}" y="${y}" font-size="${size}"${weight ? html` font-weight="${weight}"` : ''}${opacity ? html` fill-opacity="${opacity}"` : ''}${anchor ? html` text-anchor="${anchor}"` : ''}${fill ? html` fill="${fill}"` : ''}>${content}</text>`;
+}
+
+// =============================================================================
+// TEXT LAYOUT
+// =============================================================================
+
+const WIDE_PATTERN = /[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF]/;
+const NARROW_PATTERN = /[\sil.,:;'|!()[\]\-ftjr]/;
+
+/**
+ * Estimated advance of a string in em-based units of the given font size
+ */
+function textWidth(value, size, bold = false) {
+    let width = 0;
+    for (const char of value) {
+        if (WIDE_PATTERN.test(char)) width += 1;
+        else if (NARROW_PATTERN.test(char)) width += 0.32;
+        else if (/[A-ZА-ЯЁMW@%]/.test(char)) width += 0.7;
+        else width += 0.58;
+    }
+    return width * size * (bold ? 1.06 : 1);
+}
+
+/**
+ * Break text into at most `maxLines` lines of `width` pixels, ending the
+ * last one with an ellipsis when the text does not fit. Words wider than a
+ * line, and text without spaces (Japanese), break between characters.
+ */
+function wrapText(value, { size, bold = false, maxLines, width = TEXT_WIDTH }) {
+    const fits = candidate => textWidth(candidate, size, bold) <= width;
+    // [text, whether a space separates it from the previous piece]
+    const pieces = String(value).trim().split(/\s+/).flatMap(word => (fits(word)
+        ? [[word, true]]
+        : Array.from(word, (char, i) => [char, i === 0])));
+    const result = [];
+    let line = '';
+
+    for (const [piece, spaced] of pieces) {
+        const candidate = line + (line && spaced ? ' ' : '') + piece;
+
+        if (fits(candidate) || !line) {
+            line = candidate;
+            continue;
+        }
+
+        result.push(line);
+        line = piece;
+        if (result.length === maxLines) break;
+    }
+
+    if (result.length < maxLines) {
+        result.push(line);
+        return result;
+    }
+
+    // Out of lines: shorten the last one to make room for the ellipsis
+    let last = result[maxLines - 1];
+    while (last && !fits(`${last}…`)) last = Array.from(last).slice(0, -1).join('').trimEnd();
+    result[maxLines - 1] = `${last}…`;
+    return result;
+}
@@ -0,0 +1,14 @@
+/**
+ * Unit tests for the browser runtime in js/, run under jsdom (npm test).
+ * tests/setup.js installs the fakes in tests/fakes.js before every file.
+ */
+
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+    test: {
+        environment: 'jsdom',
+        include: ['tests/**/*.test.js'],
+        setupFiles: ['tests/setup.js']
+    }
+});